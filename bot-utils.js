@@ -0,0 +1,98 @@
+// 키퍼, 오라클 업데이터 등 장기 실행 운영 스크립트가 공유하는 유틸리티
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * 숫자형 환경 변수 읽기 (값이 없으면 기본값, 숫자가 아니면 즉시 실패)
+ */
+export function readEnvNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value)) {
+    throw new Error(`${name} 환경 변수가 숫자가 아닙니다: ${raw}`);
+  }
+  return value;
+}
+
+/**
+ * 필수 주소형 환경 변수 읽기
+ */
+export function readEnvAddress(ethers, name) {
+  const value = process.env[name];
+  if (!value || !ethers.isAddress(value)) {
+    throw new Error(`${name} 환경 변수에 올바른 컨트랙트 주소를 설정하세요.`);
+  }
+  return ethers.getAddress(value);
+}
+
+function jsonReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * 한 줄에 하나의 JSON 객체를 출력하는 구조화 로거
+ * @param {string} service - 로그를 남기는 서비스 이름 (예: 'keeper')
+ */
+export function createJsonLogger(service) {
+  return function log(event, fields = {}) {
+    const line = JSON.stringify({ ts: new Date().toISOString(), service, event, ...fields }, jsonReplacer);
+    if (fields.level === 'error') {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  };
+}
+
+export function isNonceError(error) {
+  const message = `${error.code || ''} ${error.message || ''}`.toLowerCase();
+  return error.code === 'NONCE_EXPIRED' ||
+    error.code === 'REPLACEMENT_UNDERPRICED' ||
+    message.includes('nonce too low') ||
+    message.includes('nonce too high') ||
+    message.includes('already known');
+}
+
+/**
+ * 서명자별 로컬 nonce 관리자
+ * 연속 제출 시 RPC의 pending nonce 지연에 영향을 받지 않도록 로컬에서 증가시키고,
+ * nonce 관련 오류가 나면 resync()로 체인 상태에서 다시 읽습니다.
+ */
+export function createNonceManager(signer) {
+  let nextNonce = null;
+  return {
+    async next() {
+      if (nextNonce === null) {
+        nextNonce = await signer.provider.getTransactionCount(await signer.getAddress(), 'pending');
+      }
+      return nextNonce++;
+    },
+    resync() {
+      nextNonce = null;
+    }
+  };
+}
+
+/**
+ * 지수 백오프 재시도
+ * @param {(attempt: number) => Promise<any>} fn - 1부터 시작하는 시도 번호를 받음
+ * @param {object} options
+ * @param {number} [options.retries=3] - 첫 시도 이후 추가 재시도 횟수
+ * @param {number} [options.baseDelayMs=1000]
+ * @param {(error: Error) => boolean} [options.shouldRetry] - false면 즉시 실패
+ * @param {(error: Error, attempt: number) => void} [options.onRetry]
+ */
+export async function withRetry(fn, { retries = 3, baseDelayMs = 1000, shouldRetry = () => true, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !shouldRetry(error)) throw error;
+      if (onRetry) onRetry(error, attempt);
+      await sleep(baseDelayMs * 2 ** (attempt - 1));
+    }
+  }
+}
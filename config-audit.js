@@ -0,0 +1,175 @@
+import { createResolver, validateDeployConfig } from "./deploy-config.js";
+import { loadDeployMessages } from "./deploy-messages.js";
+
+// 배포된 프로토콜의 설정(wiring) 감사
+//
+// 매니페스트(deployments/<network>.json)의 주소와 배포 설정에서 만든 기대값을 온체인 상태와 하나씩 비교해
+// { section, check, expected, actual, pass, error? } 목록을 반환합니다.
+// verify-config.js(단독 실행)와 deploy.js(배포 후 최종 검증)가 함께 사용합니다.
+
+const { t } = loadDeployMessages();
+
+// DynamicRangeVault._initializeLeverageRangeMatrix와 같은 값 (레버리지 BPS => 최대 범위 BPS)
+export const DEFAULT_LEVERAGE_RANGES = {
+  10000: 5000,
+  20000: 2500,
+  30000: 1666,
+  40000: 1250,
+  50000: 1000,
+  100000: 500
+};
+
+/**
+ * 매니페스트에 기록된 배포 설정(manifest.config)으로 기대값 구성
+ * 설정 파일이 이후에 바뀌어도 실제 배포에 사용된 값과 비교합니다.
+ * @param {object} ethers - hre.ethers (단위 변환용)
+ * @param {object} manifest - config, tokens, addresses가 기록된 배포 매니페스트
+ */
+export function expectationsFromConfig(ethers, manifest) {
+  if (!manifest.config) {
+    throw new Error(t('audit.noConfig'));
+  }
+  const config = validateDeployConfig(ethers, manifest.config.values, manifest.config.path);
+  const resolve = createResolver(manifest.tokens, manifest.deployer);
+  const token = (ref) => ({ symbol: ref, address: resolve.token(ref) });
+  const updaters = [manifest.deployer, ...config.oracleUpdaters.map(resolve.account)];
+
+  return {
+    lendingAssets: config.lendingAssets.map(({ token: ref, ...rates }) => ({ ...token(ref), ...rates })),
+    assetTiers: config.assetTiers.map(({ token: ref, tier }) => ({ ...token(ref), tier })),
+    leverageRanges: DEFAULT_LEVERAGE_RANGES,
+    liquidationThresholds: config.liquidationThresholds.map(({ token: ref, thresholdBps }) => ({ ...token(ref), threshold: thresholdBps })),
+    trackedTokens: config.trackedTokens.map(token),
+    updaters: [...new Set(updaters.map((updater) => updater.toLowerCase()))],
+    tierRequirements: config.tierRequirements || {},
+    treasury: resolve.account(config.treasury),
+    insuranceFund: resolve.account(config.insuranceFund),
+    // governance가 없으면 배포 계정이 계속 소유
+    owner: config.governance ? config.governance.owner : manifest.deployer,
+    paused: false
+  };
+}
+
+function normalize(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value)) return value.toLowerCase();
+  return value;
+}
+
+/**
+ * @param {object} hre - Hardhat 런타임
+ * @param {object} manifest - 배포 매니페스트 (addresses, contracts 필요)
+ * @param {object} expected - expectationsFromConfig 형식의 기대값
+ * @returns {Promise<Array<{section: string, check: string, expected: any, actual: any, pass: boolean, error?: string}>>}
+ */
+export async function auditDeployment(hre, manifest, expected) {
+  const { ethers } = hre;
+  const address = (key) => manifest.contracts[key].address;
+  const [oracle, registry, lendingVault, dynamicVault, engine] = await Promise.all([
+    ethers.getContractAt('PumpFunOracle', address('PumpFunOracle')),
+    ethers.getContractAt('MemeTokenRegistry', address('MemeTokenRegistry')),
+    ethers.getContractAt('PillarLendingVault', address('PillarLendingVault')),
+    ethers.getContractAt('DynamicRangeVault', address('DynamicRangeVault')),
+    ethers.getContractAt('PillarLiquidationEngine', address('PillarLiquidationEngine'))
+  ]);
+
+  const results = [];
+  async function check(section, name, expectedValue, read) {
+    try {
+      const actual = normalize(await read());
+      const expectedNormalized = normalize(expectedValue);
+      results.push({ section, check: name, expected: expectedNormalized, actual, pass: actual === expectedNormalized });
+    } catch (error) {
+      results.push({ section, check: name, expected: normalize(expectedValue), actual: null, pass: false, error: error.shortMessage || error.message });
+    }
+  }
+
+  // 컨트랙트 간 연결
+  await check('links', 'MemeTokenRegistry.pumpOracle', address('PumpFunOracle'), () => registry.pumpOracle());
+  await check('links', 'DynamicRangeVault.lendingVault', address('PillarLendingVault'), () => dynamicVault.lendingVault());
+  await check('links', 'DynamicRangeVault.memeRegistry', address('MemeTokenRegistry'), () => dynamicVault.memeRegistry());
+  await check('links', 'DynamicRangeVault.liquidationEngine', address('PillarLiquidationEngine'), () => dynamicVault.liquidationEngine());
+  await check('links', 'PillarLiquidationEngine.dynamicVault', address('DynamicRangeVault'), () => engine.dynamicVault());
+  await check('links', 'PillarLiquidationEngine.lendingVault', address('PillarLendingVault'), () => engine.lendingVault());
+  await check('links', 'PillarLiquidationEngine.memeRegistry', address('MemeTokenRegistry'), () => engine.memeRegistry());
+  await check('links', 'PillarLendingVault.authorizedVaults(DynamicRangeVault)', true, () => lendingVault.authorizedVaults(address('DynamicRangeVault')));
+
+  // 렌딩 자산 및 이자율 모델
+  for (const asset of expected.lendingAssets) {
+    const read = () => lendingVault.assets(asset.address);
+    await check('lending', `${asset.symbol}.isActive`, true, async () => (await read()).isActive);
+    for (const field of ['baseRatePerYear', 'multiplierPerYear', 'jumpMultiplierPerYear', 'optimalUtilizationRate', 'reserveFactor']) {
+      await check('lending', `${asset.symbol}.${field}`, asset[field], async () => (await read())[field]);
+    }
+  }
+
+  // 볼트 자산 등급과 레버리지-범위 매트릭스
+  for (const asset of expected.assetTiers) {
+    await check('tiers', `assetTiers(${asset.symbol})`, BigInt(asset.tier), () => dynamicVault.assetTiers(asset.address));
+  }
+  for (const [leverageBps, maxRangeBps] of Object.entries(expected.leverageRanges)) {
+    await check('ranges', `getAllowedRange(${leverageBps})`, BigInt(maxRangeBps), () => dynamicVault.getAllowedRange(leverageBps));
+  }
+
+  // 레지스트리 티어 요구사항 (생성자에서만 정해지므로 설정과 같은지 확인만 함)
+  for (const [tier, requirement] of Object.entries(expected.tierRequirements)) {
+    const read = () => registry.getTierRequirements(tier);
+    for (const [field, value] of Object.entries(requirement)) {
+      await check('registry', `tier${tier}.${field}`, value, async () => (await read())[field]);
+    }
+  }
+
+  // 청산 임계값
+  for (const asset of expected.liquidationThresholds) {
+    await check('liquidation', `liquidationThresholds(${asset.symbol})`, BigInt(asset.threshold), () => engine.liquidationThresholds(asset.address));
+  }
+
+  // 수수료 수령 주소
+  await check('treasury', 'PillarLendingVault.treasury', expected.treasury, () => lendingVault.treasury());
+  await check('treasury', 'DynamicRangeVault.treasury', expected.treasury, () => dynamicVault.treasury());
+  await check('treasury', 'PillarLiquidationEngine.treasury', expected.treasury, () => engine.treasury());
+  await check('treasury', 'PillarLiquidationEngine.insuranceFund', expected.insuranceFund, () => engine.insuranceFund());
+
+  // 오라클 추적 토큰과 업데이터 권한
+  for (const token of expected.trackedTokens) {
+    await check('oracle', `tokenMetrics(${token.symbol}).isTracking`, true, async () => (await oracle.tokenMetrics(token.address)).isTracking);
+  }
+  for (const updater of expected.updaters) {
+    await check('oracle', `authorizedUpdaters(${updater})`, true, () => oracle.authorizedUpdaters(updater));
+  }
+
+  // 소유권
+  const owned = {
+    PumpFunOracle: oracle,
+    MemeTokenRegistry: registry,
+    PillarLendingVault: lendingVault,
+    DynamicRangeVault: dynamicVault,
+    PillarLiquidationEngine: engine
+  };
+  for (const [key, contract] of Object.entries(owned)) {
+    await check('ownership', `${key}.owner`, expected.owner, () => contract.owner());
+  }
+
+  // 일시 정지 상태
+  await check('pause', 'PillarLendingVault.paused', expected.paused, () => lendingVault.paused());
+  await check('pause', 'DynamicRangeVault.paused', expected.paused, () => dynamicVault.paused());
+
+  return results;
+}
+
+/**
+ * 감사 결과를 고정폭 표 문자열로 변환
+ */
+export function formatAuditTable(results) {
+  const rows = results.map((result) => [
+    result.pass ? 'PASS' : 'FAIL',
+    result.section,
+    result.check,
+    String(result.expected),
+    result.error ? t('audit.error', { message: result.error }) : String(result.actual)
+  ]);
+  const header = ['result', 'section', 'item', 'expected', 'actual'].map((column) => t(`audit.column.${column}`));
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join(' | ');
+  return [line(header), widths.map((width) => '-'.repeat(width)).join('-+-'), ...rows.map(line)].join('\n');
+}
@@ -0,0 +1,312 @@
+import { access, readFile } from "node:fs/promises";
+import path from "node:path";
+import { loadDeployMessages } from "./deploy-messages.js";
+
+// 네트워크별 배포 파라미터 (deploy-config/<network>.json | .yaml | .yml)
+//
+// deploy.js는 이 파일만을 배포 파라미터의 출처로 사용합니다. 파일이 없거나 값이 잘못되면
+// 트랜잭션을 보내기 전에 모든 문제를 모아 실패하며, 다른 값으로 대체하지 않습니다.
+//
+// {
+//   "treasury": "deployer" | "0x...",
+//   "insuranceFund": "deployer" | "0x...",
+//   "governance": { "owner": "0x..." },
+//   "tokens": {
+//     "USDC": { "mock": { "name", "symbol", "decimals", "initialSupply", "mintToDeployer" } },
+//     "WETH": { "address": "0x..." }
+//   },
+//   "pillarToken": "PILLAR" | "0x...",
+//   "lendingAssets": [{ "token": "USDC", "baseRatePerYear": "0.05", "multiplierPerYear": "0.2",
+//                       "jumpMultiplierPerYear": "2", "optimalUtilizationRate": "0.8", "reserveFactorBps": 500 }],
+//   "assetTiers": [{ "token": "WETH", "tier": "BLUE_CHIP" }],
+//   "liquidationThresholds": [{ "token": "WETH", "thresholdBps": 8500 }],
+//   "trackedTokens": ["WETH"],
+//   "oracleUpdaters": ["deployer"],
+//   "tierRequirements": { "1": { "minVolumeUSD24h": "50000", "minLiquidityUSD": "25000", "minHolders": 100,
+//                                "minMarketCapUSD": "100000", "maxLeverageBps": 15000 } }
+// }
+//
+// governance가 있으면 배포 후 오라클, 레지스트리, 두 볼트, 청산 엔진의 소유권을 owner로 넘기며,
+// 이때 treasury와 insuranceFund는 "deployer"가 아닌 실제 주소여야 합니다.
+// 토큰 참조는 tokens의 키 또는 컨트랙트 주소입니다. 이자율은 연 이율 소수(0.05 = 5%)이며,
+// 티어 요구사항의 USD 값은 달러 단위입니다.
+
+const { t } = loadDeployMessages();
+
+export const DEPLOY_CONFIG_DIR = 'deploy-config';
+const CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+export const ASSET_TIERS = { BLUE_CHIP: 0, MAJOR_ALT: 1, MEME: 2 };
+const REQUIRED_TOKENS = ['USDC', 'WETH']; // UI의 기본 담보 자산과 기본 대상 자산
+const MAX_RESERVE_FACTOR_BPS = 5000;      // PillarLendingVault.MAX_RESERVE_FACTOR
+const THRESHOLD_RANGE_BPS = [5000, 9500]; // PillarLiquidationEngine.setLiquidationThreshold 허용 범위
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+
+async function exists(filePath) {
+  try {
+    await access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 설정 파일 경로 결정: DEPLOY_CONFIG 환경 변수 → deploy-config/<network>.{json,yaml,yml}
+ */
+export async function resolveDeployConfigPath(network) {
+  if (process.env.DEPLOY_CONFIG) return process.env.DEPLOY_CONFIG;
+  for (const extension of CONFIG_EXTENSIONS) {
+    const candidate = path.join(DEPLOY_CONFIG_DIR, `${network}${extension}`);
+    if (await exists(candidate)) return candidate;
+  }
+  throw new Error(
+    t('config.missing', { network, path: path.join(DEPLOY_CONFIG_DIR, `${network}.json`) })
+  );
+}
+
+export async function readDeployConfigFile(filePath) {
+  const text = await readFile(filePath, 'utf8');
+  if (filePath.endsWith('.json')) return JSON.parse(text);
+
+  let yaml;
+  try {
+    yaml = await import('yaml');
+  } catch (error) {
+    throw new Error(t('config.yamlMissing', { path: filePath }));
+  }
+  return yaml.parse(text);
+}
+
+/**
+ * 설정 검증 및 정규화 (온체인 단위의 bigint로 변환)
+ * 모든 오류를 모아 한 번에 보고합니다.
+ * @param {object} ethers - hre.ethers (주소 검증, 단위 변환용)
+ * @param {object} raw - 파일에서 읽은 설정
+ * @param {string} origin - 오류 메시지에 표시할 파일 경로
+ */
+export function validateDeployConfig(ethers, raw, origin) {
+  const errors = [];
+  const fail = (field, message) => errors.push(`${field}: ${message}`);
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (!isObject(raw)) {
+    throw new Error(t('config.notObject', { origin }));
+  }
+
+  const checkAccount = (field, value) => {
+    if (value === 'deployer' || (typeof value === 'string' && ethers.isAddress(value))) return value;
+    fail(field, t('config.account', { value }));
+    return null;
+  };
+  // decimals: 변환할 단위의 소수 자릿수 (parseUnits가 넘치는 자릿수를 필드 이름 없이 던지지 않도록 미리 확인)
+  const checkDecimal = (field, value, { max, decimals } = {}) => {
+    const text = typeof value === 'number' ? String(value) : value;
+    if (typeof text !== 'string' || !DECIMAL_PATTERN.test(text)) {
+      fail(field, t('config.nonNegative', { value }));
+      return null;
+    }
+    if (decimals !== undefined && (text.split('.')[1] || '').length > decimals) {
+      fail(field, t('config.precision', { decimals, value }));
+      return null;
+    }
+    if (max !== undefined && Number(text) > max) {
+      fail(field, t('config.atMost', { max, value }));
+      return null;
+    }
+    return text;
+  };
+  const checkInteger = (field, value, min, max) => {
+    if (!Number.isInteger(value) || value < min || value > max) {
+      fail(field, t('config.integerRange', { min, max, value }));
+      return null;
+    }
+    return value;
+  };
+
+  // 토큰
+  const tokens = {};
+  if (!isObject(raw.tokens)) {
+    fail('tokens', t('config.tokensRequired'));
+  } else {
+    for (const [key, token] of Object.entries(raw.tokens)) {
+      const field = `tokens.${key}`;
+      if (!isObject(token) || (token.mock === undefined) === (token.address === undefined)) {
+        fail(field, t('config.mockOrAddress'));
+        continue;
+      }
+      if (token.address !== undefined) {
+        if (!ethers.isAddress(token.address)) fail(`${field}.address`, t('config.invalidAddress', { value: token.address }));
+        tokens[key] = { address: token.address };
+        continue;
+      }
+      const mock = token.mock;
+      if (!isObject(mock)) {
+        fail(`${field}.mock`, t('config.object'));
+        continue;
+      }
+      for (const name of ['name', 'symbol']) {
+        if (typeof mock[name] !== 'string' || mock[name] === '') fail(`${field}.mock.${name}`, t('config.nonEmptyString'));
+      }
+      const decimals = checkInteger(`${field}.mock.decimals`, mock.decimals, 0, 36);
+      const initialSupply = checkDecimal(`${field}.mock.initialSupply`, mock.initialSupply, { decimals: decimals ?? undefined });
+      const mintToDeployer = checkDecimal(`${field}.mock.mintToDeployer`, mock.mintToDeployer ?? '0', { decimals: decimals ?? undefined });
+      if (decimals !== null && initialSupply !== null && mintToDeployer !== null) {
+        tokens[key] = {
+          mock: {
+            name: mock.name,
+            symbol: mock.symbol,
+            decimals,
+            initialSupply: ethers.parseUnits(initialSupply, decimals),
+            mintToDeployer: ethers.parseUnits(mintToDeployer, decimals)
+          }
+        };
+      }
+    }
+    REQUIRED_TOKENS.filter((key) => !raw.tokens[key]).forEach((key) => fail(`tokens.${key}`, t('config.requiredToken')));
+  }
+
+  const checkTokenRef = (field, value) => {
+    if (typeof value === 'string' && (raw.tokens?.[value] || ethers.isAddress(value))) return value;
+    fail(field, t('config.tokenRef', { value }));
+    return null;
+  };
+  const checkList = (field, value) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) {
+      fail(field, t('config.array'));
+      return [];
+    }
+    return value;
+  };
+
+  const treasury = checkAccount('treasury', raw.treasury);
+  const insuranceFund = checkAccount('insuranceFund', raw.insuranceFund);
+  const pillarToken = checkTokenRef('pillarToken', raw.pillarToken);
+
+  let governance = null;
+  if (raw.governance !== undefined) {
+    if (!isObject(raw.governance) || typeof raw.governance.owner !== 'string' || !ethers.isAddress(raw.governance.owner)) {
+      fail('governance.owner', t('config.governanceOwner', { value: raw.governance?.owner }));
+    } else {
+      governance = { owner: raw.governance.owner };
+    }
+    // 소유권을 넘기는 배포에서 수수료가 배포 계정으로 가지 않도록 차단
+    for (const field of ['treasury', 'insuranceFund']) {
+      if (raw[field] === 'deployer') fail(field, t('config.governanceAccount'));
+    }
+  }
+
+  // 렌딩 자산 (PILLAR 토큰은 컨트랙트가 거부하므로 미리 차단)
+  const lendingAssets = checkList('lendingAssets', raw.lendingAssets).map((asset, i) => {
+    const field = `lendingAssets[${i}]`;
+    const token = checkTokenRef(`${field}.token`, asset?.token);
+    if (token !== null && token === pillarToken) fail(`${field}.token`, t('config.pillarLending'));
+    const base = checkDecimal(`${field}.baseRatePerYear`, asset?.baseRatePerYear, { decimals: 27 });
+    const multiplier = checkDecimal(`${field}.multiplierPerYear`, asset?.multiplierPerYear, { decimals: 27 });
+    const jump = checkDecimal(`${field}.jumpMultiplierPerYear`, asset?.jumpMultiplierPerYear, { decimals: 27 });
+    const optimal = checkDecimal(`${field}.optimalUtilizationRate`, asset?.optimalUtilizationRate, { max: 1, decimals: 18 });
+    const reserveFactor = checkInteger(`${field}.reserveFactorBps`, asset?.reserveFactorBps, 0, MAX_RESERVE_FACTOR_BPS);
+    if ([token, base, multiplier, jump, optimal, reserveFactor].includes(null)) return null;
+    return {
+      token,
+      baseRatePerYear: ethers.parseUnits(base, 27),       // RAY
+      multiplierPerYear: ethers.parseUnits(multiplier, 27),
+      jumpMultiplierPerYear: ethers.parseUnits(jump, 27),
+      optimalUtilizationRate: ethers.parseUnits(optimal, 18), // WAD
+      reserveFactor: BigInt(reserveFactor)
+    };
+  });
+  if (raw.lendingAssets === undefined || (Array.isArray(raw.lendingAssets) && !raw.lendingAssets.some((asset) => asset?.token === 'USDC'))) {
+    fail('lendingAssets', t('config.usdcLending'));
+  }
+
+  const assetTiers = checkList('assetTiers', raw.assetTiers).map((asset, i) => {
+    const token = checkTokenRef(`assetTiers[${i}].token`, asset?.token);
+    if (!(asset?.tier in ASSET_TIERS)) {
+      fail(`assetTiers[${i}].tier`, t('config.oneOf', { options: Object.keys(ASSET_TIERS).join(' | '), value: asset?.tier }));
+      return null;
+    }
+    return token === null ? null : { token, tier: ASSET_TIERS[asset.tier] };
+  });
+
+  const liquidationThresholds = checkList('liquidationThresholds', raw.liquidationThresholds).map((entry, i) => {
+    const token = checkTokenRef(`liquidationThresholds[${i}].token`, entry?.token);
+    const thresholdBps = checkInteger(`liquidationThresholds[${i}].thresholdBps`, entry?.thresholdBps, ...THRESHOLD_RANGE_BPS);
+    return token === null || thresholdBps === null ? null : { token, thresholdBps: BigInt(thresholdBps) };
+  });
+
+  const trackedTokens = checkList('trackedTokens', raw.trackedTokens).map((token, i) => checkTokenRef(`trackedTokens[${i}]`, token));
+  const oracleUpdaters = checkList('oracleUpdaters', raw.oracleUpdaters).map((updater, i) => checkAccount(`oracleUpdaters[${i}]`, updater));
+
+  let tierRequirements = null;
+  if (raw.tierRequirements !== undefined) {
+    if (!isObject(raw.tierRequirements)) {
+      fail('tierRequirements', t('config.object'));
+    } else {
+      tierRequirements = {};
+      for (const [tier, requirement] of Object.entries(raw.tierRequirements)) {
+        const field = `tierRequirements.${tier}`;
+        if (!['1', '2', '3'].includes(tier)) {
+          fail(field, t('config.tierKey'));
+          continue;
+        }
+        const usd = ['minVolumeUSD24h', 'minLiquidityUSD', 'minMarketCapUSD']
+          .map((name) => [name, checkDecimal(`${field}.${name}`, requirement?.[name], { decimals: 18 })]);
+        const minHolders = checkInteger(`${field}.minHolders`, requirement?.minHolders, 0, Number.MAX_SAFE_INTEGER);
+        const maxLeverageBps = checkInteger(`${field}.maxLeverageBps`, requirement?.maxLeverageBps, 10000, 100000);
+        if (usd.some(([, value]) => value === null) || minHolders === null || maxLeverageBps === null) continue;
+        tierRequirements[tier] = {
+          ...Object.fromEntries(usd.map(([name, value]) => [name, ethers.parseUnits(value, 18)])),
+          minHolders: BigInt(minHolders),
+          maxLeverageBps: BigInt(maxLeverageBps)
+        };
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(t('config.errors', { origin, count: errors.length, errors: errors.join('\n  - ') }));
+  }
+  return {
+    treasury,
+    insuranceFund,
+    governance,
+    tokens,
+    pillarToken,
+    lendingAssets,
+    assetTiers,
+    liquidationThresholds,
+    trackedTokens,
+    oracleUpdaters,
+    tierRequirements
+  };
+}
+
+/**
+ * 설정 파일을 찾아 읽고 검증
+ * @returns {Promise<{ path: string, raw: object, config: object }>}
+ */
+export async function loadDeployConfig(ethers, network) {
+  const filePath = await resolveDeployConfigPath(network);
+  const raw = await readDeployConfigFile(filePath);
+  return { path: filePath, raw, config: validateDeployConfig(ethers, raw, filePath) };
+}
+
+/**
+ * 토큰 참조와 "deployer"를 실제 주소로 변환하는 함수 생성
+ * @param {object} tokenAddresses - 토큰 키 => 주소 (배포된 mock 포함)
+ * @param {string} deployer - 배포 계정 주소
+ */
+export function createResolver(tokenAddresses, deployer) {
+  return {
+    token(ref) {
+      const address = tokenAddresses[ref] || ref;
+      if (!/^0x[0-9a-fA-F]{40}$/.test(address)) throw new Error(t('config.unknownToken', { ref }));
+      return address;
+    },
+    account(value) {
+      return value === 'deployer' ? deployer : value;
+    }
+  };
+}
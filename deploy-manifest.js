@@ -0,0 +1,145 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { loadDeployMessages } from "./deploy-messages.js";
+
+// 네트워크별 배포 매니페스트 (deployments/<network>.json)
+//
+// deploy.js가 컨트랙트 배포와 설정 트랜잭션을 한 단계씩 기록해 두고,
+// 다시 실행하면 완료된 단계를 건너뛰고 첫 번째 미완료 단계부터 이어서 진행합니다.
+//
+// {
+//   "network": "sonicTestnet", "chainId": 57054, "deployer": "0x...", "updatedAt": "...",
+//   "contracts": { "<key>": { contract, address, txHash, blockNumber, args } },
+//   "steps":     { "<key>": { txHash, blockNumber, deps: { "<contract key>": address } } },
+//   "tokens":    { "<token key>": address },
+//   "config":    { path, values }   // 배포에 사용한 deploy-config 원본
+// }
+
+const { t } = loadDeployMessages();
+
+export const DEPLOYMENTS_DIR = 'deployments';
+
+export function getManifestPath(network) {
+  return path.join(DEPLOYMENTS_DIR, `${network}.json`);
+}
+
+// 생성자 인자와 매니페스트 기록은 JSON으로 저장되므로 bigint를 문자열로 맞춰 비교
+export function serializeArgs(args) {
+  return JSON.parse(JSON.stringify(args, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+}
+
+/**
+ * 매니페스트 읽기 (없으면 빈 매니페스트)
+ * 같은 이름의 네트워크라도 체인 ID가 다르면 기록을 재사용하지 않습니다.
+ */
+export async function loadManifest(network, chainId) {
+  const empty = { network, chainId, contracts: {}, steps: {} };
+  let text;
+  try {
+    text = await readFile(getManifestPath(network), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return empty;
+    throw error;
+  }
+  const manifest = JSON.parse(text);
+  if (manifest.chainId !== chainId) {
+    throw new Error(
+      t('manifest.chainMismatch', { path: getManifestPath(network), recorded: manifest.chainId, chainId })
+    );
+  }
+  return { ...empty, ...manifest, contracts: manifest.contracts || {}, steps: manifest.steps || {} };
+}
+
+// 중간에 중단돼도 파일이 깨지지 않도록 임시 파일에 쓴 뒤 교체
+export async function saveManifest(manifest) {
+  const filePath = getManifestPath(manifest.network);
+  await mkdir(path.dirname(filePath), { recursive: true });
+  manifest.updatedAt = new Date().toISOString();
+  const tmpPath = `${filePath}.tmp`;
+  await writeFile(tmpPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  await rename(tmpPath, filePath);
+}
+
+/**
+ * 매니페스트 기반 배포 도우미
+ * @param {object} hre - Hardhat 런타임
+ * @param {object} manifest - loadManifest 결과
+ * @returns {{ deploy: Function, step: Function, address: Function }}
+ */
+export function createManifestDeployer(hre, manifest) {
+  const { ethers } = hre;
+
+  async function hasCode(address) {
+    return (await ethers.provider.getCode(address)) !== '0x';
+  }
+
+  /**
+   * 컨트랙트 배포 (같은 컨트랙트·생성자 인자로 이미 배포돼 있으면 재사용)
+   * 의존 컨트랙트가 새로 배포되면 생성자 인자가 달라지므로 자동으로 다시 배포됩니다.
+   */
+  async function deploy(key, contractName, args = []) {
+    const entry = manifest.contracts[key];
+    const serialized = serializeArgs(args);
+    if (entry) {
+      const sameArgs = JSON.stringify(entry.args) === JSON.stringify(serialized);
+      if (entry.contract === contractName && sameArgs && await hasCode(entry.address)) {
+        console.log(`⏭️ ${t('manifest.reuse', { key, address: entry.address })}`);
+        return ethers.getContractAt(contractName, entry.address);
+      }
+      console.log(`⚠️ ${t('manifest.redeploy', { key, address: entry.address })}`);
+    }
+
+    const factory = await ethers.getContractFactory(contractName);
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    const receipt = await contract.deploymentTransaction().wait();
+    manifest.contracts[key] = {
+      contract: contractName,
+      address: await contract.getAddress(),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      args: serialized
+    };
+    await saveManifest(manifest);
+    return contract;
+  }
+
+  /**
+   * 설정 트랜잭션 단계
+   * @param {string} key - 매니페스트 steps 키
+   * @param {object} options
+   * @param {string[]} [options.deps=[]] - 이 단계가 대상으로 하는 컨트랙트 키 (주소가 바뀌면 다시 실행)
+   * @param {() => Promise<boolean>} [options.isDone] - 온체인 상태로 완료 여부 확인 (있으면 기록보다 우선)
+   * @param {() => Promise<object|undefined>} options.run - 트랜잭션을 보내고 반환
+   * @returns {Promise<boolean>} 실제로 실행했으면 true, 건너뛰었으면 false
+   */
+  async function step(key, { deps = [], isDone, run }) {
+    const depAddresses = Object.fromEntries(deps.map((dep) => [dep, address(dep)]));
+    const recorded = manifest.steps[key];
+    const done = isDone
+      ? await isDone()
+      : Boolean(recorded) && JSON.stringify(recorded.deps) === JSON.stringify(depAddresses);
+    if (done) {
+      console.log(`⏭️ ${t('manifest.stepDone', { key })}`);
+      return false;
+    }
+
+    const tx = await run();
+    const receipt = tx ? await tx.wait() : null;
+    manifest.steps[key] = {
+      txHash: receipt ? receipt.hash : null,
+      blockNumber: receipt ? receipt.blockNumber : null,
+      deps: depAddresses
+    };
+    await saveManifest(manifest);
+    return true;
+  }
+
+  function address(key) {
+    const entry = manifest.contracts[key];
+    if (!entry) throw new Error(t('manifest.missingContract', { key }));
+    return entry.address;
+  }
+
+  return { deploy, step, address };
+}
@@ -0,0 +1,295 @@
+import { LOCALES, createTranslator, resolveLocale } from "./pillar-messages.js";
+
+/*
+ * 배포 스크립트(deploy.js)와 배포 도구(deploy-config, deploy-manifest, ownership-handoff, config-audit,
+ * verify-config, frontend-config) 출력 문구 카탈로그
+ *
+ * 언어는 PILLAR_LANG(en 또는 ko)으로 고르고, 없으면 LC_ALL/LC_MESSAGES/LANG의 언어를 따르며 그 외에는 영어입니다.
+ * 문구 형식과 번역 대체 규칙은 UI 카탈로그(pillar-messages.js)와 같습니다.
+ *
+ * 실행 예:
+ *   PILLAR_LANG=ko npx hardhat run deploy.js --network localhost
+ */
+
+export const DEPLOY_MESSAGES = {
+  en: {
+    // 배포 설정 검증
+    'config.missing': 'No deployment config for the {network} network. Create {path} or set the DEPLOY_CONFIG environment variable to a config path.',
+    'config.yamlMissing': 'Install the yaml package to read the YAML config ({path}): npm install --save-dev yaml',
+    'config.notObject': '{origin}: the config must be an object.',
+    'config.account': 'must be "deployer" or an address ({value})',
+    'config.nonNegative': 'must be a number of 0 or more ({value})',
+    'config.atMost': 'must be {max} or less ({value})',
+    'config.precision': 'must have at most {decimals} decimal places ({value})',
+    'config.integerRange': 'must be an integer from {min} to {max} ({value})',
+    'config.tokensRequired': 'a token map object is required',
+    'config.mockOrAddress': 'specify exactly one of mock or address',
+    'config.invalidAddress': 'not a valid address ({value})',
+    'config.object': 'must be an object',
+    'config.nonEmptyString': 'must be a non-empty string',
+    'config.requiredToken': 'required token',
+    'config.tokenRef': 'must be a key of tokens or an address ({value})',
+    'config.array': 'must be an array',
+    'config.governanceOwner': 'must be the address that receives ownership ({value})',
+    'config.governanceAccount': 'must be a real address when governance is set',
+    'config.pillarLending': 'the PILLAR token cannot be added as a lending asset',
+    'config.usdcLending': 'a USDC lending asset is required',
+    'config.oneOf': 'must be one of {options} ({value})',
+    'config.tierKey': 'the tier must be 1 (Bronze), 2 (Silver) or 3 (Gold)',
+    'config.errors': '{origin}: {count} deployment config error(s):\n  - {errors}',
+    'config.unknownToken': 'Unknown token reference: {ref}',
+
+    // 매니페스트
+    'manifest.chainMismatch': 'The chain ID in {path} ({recorded}) does not match the current network ({chainId}). Move or delete the file and run again.',
+    'manifest.reuse': '{key}: reusing existing deployment ({address})',
+    'manifest.redeploy': '{key}: the manifest record ({address}) does not match the current config or has no code, redeploying.',
+    'manifest.stepDone': '{key}: step already completed.',
+    'manifest.missingContract': 'The manifest has no deployment record for {key}.',
+
+    // 실행 정보
+    'run.start': 'Starting deployment...',
+    'run.network': 'Network:',
+    'run.deployer': 'Deployer:',
+    'run.config': 'Deployment config:',
+    'run.balance': 'Balance:',
+    'run.lowBalance': 'The deployer balance is too low. At least {minimum} is required.',
+    'run.manifest': 'Deployment manifest:',
+
+    // 토큰 준비
+    'tokens.preparing': 'Preparing tokens...',
+    'tokens.existing': '{key}: using existing token {address}',
+    'tokens.deployingMock': 'Deploying Mock {key} ({symbol})...',
+    'tokens.mockDeployed': 'Mock {key} deployed:',
+    'tokens.lendingAssetIsPillar': 'Deployment config error: lending asset {token} has the same address as the PILLAR token ({address}).',
+
+    // 컨트랙트 배포
+    'contracts.deploying': 'Deploying {contract}...',
+    'contracts.deployed': '{contract} deployed:',
+    'contracts.tierMismatch': 'Deployment config error: tier {tier} requirements ({fields}) differ from MemeTokenRegistry. The registry has no setter, so change the contract constants or align the config.',
+    'contracts.tierChecked': 'Tier requirements verified',
+
+    // 컨트랙트 간 설정
+    'wiring.start': 'Wiring contracts together...',
+    'wiring.setLiquidationEngine': 'Setting the LiquidationEngine on DynamicRangeVault...',
+    'wiring.liquidationEngineSet': 'DynamicRangeVault: LiquidationEngine set',
+    'wiring.authorizeVault': 'Authorizing DynamicRangeVault on PillarLendingVault...',
+    'wiring.vaultAuthorized': 'PillarLendingVault: DynamicRangeVault authorized',
+
+    // 자산 설정
+    'assets.start': 'Configuring assets...',
+    'assets.addingLending': 'Adding {token} as a lending asset...',
+    'assets.lendingAdded': '{token} added as a lending asset',
+    'assets.settingTier': 'Setting {token} to the {tier} tier...',
+    'assets.tierSet': '{token} set to the {tier} tier',
+    'assets.settingThreshold': 'Setting the {token} liquidation threshold to {percent}%...',
+    'assets.thresholdSet': '{token} liquidation threshold set',
+
+    // 초기 토큰 분배
+    'mint.start': 'Distributing tokens for testing...',
+    'mint.minting': 'Minting {amount} {key} to the deployer...',
+    'mint.done': 'Tokens minted to the deployer',
+
+    // 오라클 설정
+    'oracle.start': 'Configuring PumpFunOracle...',
+    'oracle.tracking': 'Started tracking {token} (prices appear once oracle-updater.js runs)',
+    'oracle.updaterAuthorized': 'Oracle updater authorized: {updater}',
+
+    // 소유권 이전
+    'handoff.plan': 'Ownership handoff plan:',
+    'handoff.dryRun': 'HANDOFF_DRY_RUN: exiting without executing {count} pending change(s).',
+    'handoff.dryRunIncomplete': 'HANDOFF_DRY_RUN needs a completed deployment, but {path} has no address summary. Run deploy.js without HANDOFF_DRY_RUN first; the dry run sends no transactions.',
+    'handoff.dryRunConfigChanged': 'HANDOFF_DRY_RUN: {config} differs from the config recorded in {path}, so a real run would send deployment or setup transactions before the handoff. Run deploy.js without HANDOFF_DRY_RUN first.',
+    'handoff.verifyFailed': 'Ownership handoff verification failed:\n  - {failures}',
+    'handoff.verified': 'Ownership handoff verified: {owner}',
+    'handoff.noGovernance': 'No governance in the deployment config, so every contract stays owned by the deployer.',
+    'handoff.alreadySet': 'already {target}',
+    'handoff.ownedBy': '{contract} (owner {owner})',
+    'handoff.notOwner': 'Cannot hand off ownership: {signer} does not own these contracts - {contracts}',
+    'handoff.mismatch': '{change}: expected {expected}, actual {actual}',
+
+    // 최종 검증
+    'audit.start': 'Verifying the deployed contract settings...',
+    'audit.failed': 'Config verification failed: {count} item(s) mismatched (run npx hardhat run verify-config.js --network {network} for the full report)',
+    'audit.passed': 'Config verified ({count} items)',
+    'audit.deployerBalance': 'Deployer {key} balance: {amount}',
+    'audit.noConfig': 'The manifest has no deployment config record (config). Redeploy with deploy.js.',
+    'audit.error': 'Error: {message}',
+    'audit.column.result': 'Result',
+    'audit.column.section': 'Section',
+    'audit.column.item': 'Item',
+    'audit.column.expected': 'Expected',
+    'audit.column.actual': 'Actual',
+    'audit.noDeployment': '{path} has no completed deployment. Run deploy.js first.',
+    'audit.reportPassed': 'Config audit passed ({count} items)',
+    'audit.reportFailed': 'Config mismatches: {failed} of {count} items',
+    'audit.crashed': 'Config audit failed:',
+
+    // 최종 요약
+    'summary.done': 'Deployment complete!',
+    'summary.addresses': 'Contract addresses:',
+    'summary.frontendConfig': 'Frontend config module written: {path} (addresses + compiled ABIs)',
+    'summary.noAddresses': 'The manifest has no address summary for the {network} network.',
+    'summary.allDone': 'All contracts deployed and configured!',
+    'next.title': 'Next steps:',
+    'next.serveConfig': 'Serve {path} next to pillarui.js.',
+    'next.runUpdater': 'Run the oracle updater: {command}',
+    'next.testFrontend': 'Test the frontend application.',
+    'next.extraConfig': 'Apply any additional configuration you need.',
+
+    // 실패 안내
+    'failure.title': 'Deployment failed!',
+    'failure.details': 'Error details:',
+    'failure.resume': 'Completed steps are recorded in {path}. Run the same command again to resume.',
+    'failure.cause': 'Cause: {message}',
+    'failure.fix': 'How to fix: {hint}',
+    'run.succeeded': 'Deployment script finished successfully!',
+    'run.crashed': 'Deployment script failed:'
+  },
+  ko: {
+    // 배포 설정 검증
+    'config.missing': '{network} 네트워크의 배포 설정이 없습니다. {path}을 만들거나 DEPLOY_CONFIG 환경 변수로 경로를 지정하세요.',
+    'config.yamlMissing': 'YAML 설정({path})을 읽으려면 yaml 패키지를 설치하세요: npm install --save-dev yaml',
+    'config.notObject': '{origin}: 설정은 객체여야 합니다.',
+    'config.account': '"deployer" 또는 주소여야 합니다 ({value})',
+    'config.nonNegative': '0 이상의 숫자여야 합니다 ({value})',
+    'config.atMost': '{max} 이하여야 합니다 ({value})',
+    'config.precision': '소수점 이하 {decimals}자리까지만 쓸 수 있습니다 ({value})',
+    'config.integerRange': '{min}~{max} 범위의 정수여야 합니다 ({value})',
+    'config.tokensRequired': '토큰 목록 객체가 필요합니다',
+    'config.mockOrAddress': 'mock 또는 address 중 하나만 지정해야 합니다',
+    'config.invalidAddress': '올바른 주소가 아닙니다 ({value})',
+    'config.object': '객체여야 합니다',
+    'config.nonEmptyString': '비어 있지 않은 문자열이어야 합니다',
+    'config.requiredToken': '필수 토큰입니다',
+    'config.tokenRef': 'tokens의 키 또는 주소여야 합니다 ({value})',
+    'config.array': '배열이어야 합니다',
+    'config.governanceOwner': '소유권을 넘길 주소여야 합니다 ({value})',
+    'config.governanceAccount': 'governance를 지정한 배포에서는 실제 주소여야 합니다',
+    'config.pillarLending': 'PILLAR 토큰은 렌딩 자산으로 추가할 수 없습니다',
+    'config.usdcLending': 'USDC 렌딩 자산이 필요합니다',
+    'config.oneOf': '{options} 중 하나여야 합니다 ({value})',
+    'config.tierKey': '티어는 1(Bronze), 2(Silver), 3(Gold) 중 하나여야 합니다',
+    'config.errors': '{origin} 배포 설정 오류 {count}개:\n  - {errors}',
+    'config.unknownToken': '알 수 없는 토큰 참조: {ref}',
+
+    // 매니페스트
+    'manifest.chainMismatch': '{path}의 체인 ID({recorded})가 현재 네트워크({chainId})와 다릅니다. 파일을 옮기거나 삭제한 뒤 다시 실행하세요.',
+    'manifest.reuse': '{key}: 기존 배포 재사용 ({address})',
+    'manifest.redeploy': '{key}: 매니페스트 기록({address})이 현재 설정과 맞지 않거나 코드가 없어 다시 배포합니다.',
+    'manifest.stepDone': '{key}: 이미 완료된 단계입니다.',
+    'manifest.missingContract': '매니페스트에 {key} 배포 기록이 없습니다.',
+
+    // 실행 정보
+    'run.start': '배포 프로세스를 시작합니다...',
+    'run.network': '네트워크:',
+    'run.deployer': '배포 계정:',
+    'run.config': '배포 설정:',
+    'run.balance': '계정 잔액:',
+    'run.lowBalance': '배포를 위한 계정 잔액이 부족합니다. 최소 {minimum}가 필요합니다.',
+    'run.manifest': '배포 매니페스트:',
+
+    // 토큰 준비
+    'tokens.preparing': '토큰을 준비합니다...',
+    'tokens.existing': '{key}: 기존 토큰 사용 {address}',
+    'tokens.deployingMock': 'Mock {key} ({symbol}) 배포 중...',
+    'tokens.mockDeployed': 'Mock {key} 배포 완료:',
+    'tokens.lendingAssetIsPillar': '배포 설정 오류: 렌딩 자산 {token}이 PILLAR 토큰({address})과 같은 주소입니다.',
+
+    // 컨트랙트 배포
+    'contracts.deploying': '{contract} 배포를 시작합니다...',
+    'contracts.deployed': '{contract} 배포 완료:',
+    'contracts.tierMismatch': '배포 설정 오류: 티어 {tier} 요구사항({fields})이 MemeTokenRegistry와 다릅니다. 레지스트리에는 변경 함수가 없으므로 컨트랙트 상수를 바꾸거나 설정을 맞추세요.',
+    'contracts.tierChecked': '티어 요구사항 확인 완료',
+
+    // 컨트랙트 간 설정
+    'wiring.start': '컨트랙트 간 설정을 진행합니다...',
+    'wiring.setLiquidationEngine': 'DynamicRangeVault에 LiquidationEngine 설정 중...',
+    'wiring.liquidationEngineSet': 'DynamicRangeVault: LiquidationEngine 설정 완료',
+    'wiring.authorizeVault': 'PillarLendingVault에 DynamicRangeVault 인가 중...',
+    'wiring.vaultAuthorized': 'PillarLendingVault: DynamicRangeVault 인가 완료',
+
+    // 자산 설정
+    'assets.start': '자산을 설정합니다...',
+    'assets.addingLending': '{token}를 대출 자산으로 추가 중...',
+    'assets.lendingAdded': '{token} 대출 자산 추가 완료',
+    'assets.settingTier': '{token}를 {tier} 등급으로 설정 중...',
+    'assets.tierSet': '{token} {tier} 등급 설정 완료',
+    'assets.settingThreshold': '{token} 청산 임계값을 {percent}%로 설정 중...',
+    'assets.thresholdSet': '{token} 청산 임계값 설정 완료',
+
+    // 초기 토큰 분배
+    'mint.start': '테스트를 위해 토큰을 분배합니다...',
+    'mint.minting': '배포자에게 {key} {amount} 민팅 중...',
+    'mint.done': '배포자에게 토큰 민팅 완료',
+
+    // 오라클 설정
+    'oracle.start': 'PumpFunOracle을 설정합니다...',
+    'oracle.tracking': '{token} 추적 시작 완료 (가격은 oracle-updater.js 실행 후 반영됩니다)',
+    'oracle.updaterAuthorized': '오라클 업데이터 인가 완료: {updater}',
+
+    // 소유권 이전
+    'handoff.plan': '소유권 이전 계획:',
+    'handoff.dryRun': 'HANDOFF_DRY_RUN: 대기 중인 변경 {count}개를 실행하지 않고 종료합니다.',
+    'handoff.dryRunIncomplete': 'HANDOFF_DRY_RUN은 완료된 배포가 필요하지만 {path}에 주소 요약이 없습니다. 먼저 HANDOFF_DRY_RUN 없이 deploy.js를 실행하세요. 사전 점검은 트랜잭션을 보내지 않습니다.',
+    'handoff.dryRunConfigChanged': 'HANDOFF_DRY_RUN: {config}이(가) {path}에 기록된 설정과 달라 실제 실행은 소유권 이전 전에 배포·설정 트랜잭션을 보냅니다. 먼저 HANDOFF_DRY_RUN 없이 deploy.js를 실행하세요.',
+    'handoff.verifyFailed': '소유권 이전 확인 실패:\n  - {failures}',
+    'handoff.verified': '소유권 이전 확인 완료: {owner}',
+    'handoff.noGovernance': '배포 설정에 governance가 없어 모든 컨트랙트가 배포 계정 소유로 남습니다.',
+    'handoff.alreadySet': '이미 {target}',
+    'handoff.ownedBy': '{contract} (소유자 {owner})',
+    'handoff.notOwner': '소유권 이전 불가: {signer}가 소유자가 아닌 컨트랙트가 있습니다 - {contracts}',
+    'handoff.mismatch': '{change}: 기대값 {expected}, 실제값 {actual}',
+
+    // 최종 검증
+    'audit.start': '배포된 컨트랙트 설정을 최종 검증합니다...',
+    'audit.failed': '설정 검증 실패: {count}개 항목 불일치 (npx hardhat run verify-config.js --network {network}로 전체 보고서 확인)',
+    'audit.passed': '설정 검증 완료 ({count}개 항목)',
+    'audit.deployerBalance': '배포자 {key} 잔액: {amount}',
+    'audit.noConfig': '매니페스트에 배포 설정 기록(config)이 없습니다. deploy.js로 다시 배포하세요.',
+    'audit.error': '오류: {message}',
+    'audit.column.result': '결과',
+    'audit.column.section': '구분',
+    'audit.column.item': '항목',
+    'audit.column.expected': '기대값',
+    'audit.column.actual': '실제값',
+    'audit.noDeployment': '{path}에 완료된 배포 기록이 없습니다. deploy.js를 먼저 실행하세요.',
+    'audit.reportPassed': '설정 감사 통과 ({count}개 항목)',
+    'audit.reportFailed': '설정 불일치 {failed}개 / {count}개 항목',
+    'audit.crashed': '설정 감사 실행 중 오류 발생:',
+
+    // 최종 요약
+    'summary.done': '배포 완료!',
+    'summary.addresses': '컨트랙트 주소:',
+    'summary.frontendConfig': '프론트엔드 설정 모듈 생성 완료: {path} (주소 + 컴파일된 ABI)',
+    'summary.noAddresses': '{network} 네트워크의 주소 요약이 매니페스트에 없습니다.',
+    'summary.allDone': '모든 컨트랙트 배포 및 설정이 완료되었습니다!',
+    'next.title': '다음 단계:',
+    'next.serveConfig': '{path}를 pillarui.js와 같은 위치에 배포하세요.',
+    'next.runUpdater': '오라클 업데이터를 실행하세요: {command}',
+    'next.testFrontend': '프론트엔드 애플리케이션을 테스트하세요.',
+    'next.extraConfig': '필요한 경우 추가 설정을 진행하세요.',
+
+    // 실패 안내
+    'failure.title': '배포 실패!',
+    'failure.details': '오류 상세:',
+    'failure.resume': '완료된 단계는 {path}에 기록되어 있습니다. 같은 명령으로 다시 실행하면 이어서 진행합니다.',
+    'failure.cause': '원인: {message}',
+    'failure.fix': '해결 방법: {hint}',
+    'run.succeeded': '배포 스크립트가 성공적으로 완료되었습니다!',
+    'run.crashed': '배포 스크립트 실행 중 오류 발생:'
+  }
+};
+
+/**
+ * 환경 변수로 출력 언어를 정하고 번역 함수를 만듦
+ * @param {object} [env=process.env]
+ * @returns {{ locale: string, t: (key: string, params?: object) => string }}
+ */
+export function loadDeployMessages(env = process.env) {
+  if (env.PILLAR_LANG && !LOCALES.includes(env.PILLAR_LANG)) {
+    // 잘못 입력한 값을 조용히 무시하면 원하지 않는 언어로 배포 로그가 남으므로 바로 실패
+    throw new Error(`Unsupported PILLAR_LANG "${env.PILLAR_LANG}" (supported: ${LOCALES.join(', ')})`);
+  }
+  const locale = env.PILLAR_LANG || resolveLocale([env.LC_ALL, env.LC_MESSAGES, env.LANG]);
+  return { locale, t: createTranslator(DEPLOY_MESSAGES, locale) };
+}
@@ -1,312 +1,363 @@
 import hre from "hardhat";
+import { createManifestDeployer, getManifestPath, loadManifest, saveManifest } from "./deploy-manifest.js";
+import { writeFrontendConfig } from "./frontend-config.js";
+import { auditDeployment, expectationsFromConfig, formatAuditTable } from "./config-audit.js";
+import { createResolver, loadDeployConfig } from "./deploy-config.js";
+import { executeHandoff, formatHandoffPlan, planHandoff, verifyHandoff } from "./ownership-handoff.js";
+import { decodeContractError } from "./pillar-errors.js";
+import { loadDeployMessages } from "./deploy-messages.js";
 const { ethers } = hre;
 
+// 배포 파라미터는 deploy-config/<network>.json(.yaml)에서 읽습니다 (DEPLOY_CONFIG로 경로 지정 가능).
+// 설정이 잘못되면 트랜잭션을 보내기 전에 실패하며, 다른 값으로 대체하지 않습니다.
+//
+// 배포 진행 상황과 사용한 설정은 deployments/<network>.json에 기록됩니다.
+// 중간에 실패하면 같은 명령으로 다시 실행하세요. 완료된 배포·설정 단계는 건너뜁니다.
+// 처음부터 다시 배포하려면 해당 매니페스트 파일을 삭제하세요.
+//
+// 출력 언어는 PILLAR_LANG(en 또는 ko)으로 정하고, 없으면 LANG을 따릅니다 (deploy-messages.js).
+
+const { locale, t } = loadDeployMessages();
+
+/**
+ * 소유권 이전 사전 점검 (HANDOFF_DRY_RUN=1)
+ * 배포·설정 단계가 남아 있으면 실제 실행은 그 트랜잭션부터 보내게 되므로, 현재 설정으로 끝까지 완료된
+ * 매니페스트에 대해서만 계획을 출력하고 그렇지 않으면 트랜잭션 없이 실패합니다.
+ */
+async function printHandoffDryRun(deployConfig, manifest, deployer) {
+  const { config } = deployConfig;
+  if (!config.governance) {
+    console.log(`\n⚠️ ${t('handoff.noGovernance')}`);
+    return;
+  }
+  const manifestPath = getManifestPath(hre.network.name);
+  if (!manifest.addresses) {
+    throw new Error(t('handoff.dryRunIncomplete', { path: manifestPath }));
+  }
+  if (!manifest.config || JSON.stringify(manifest.config.values) !== JSON.stringify(deployConfig.raw)) {
+    throw new Error(t('handoff.dryRunConfigChanged', { path: manifestPath, config: deployConfig.path }));
+  }
+
+  const resolve = createResolver(manifest.tokens || {}, deployer.address);
+  console.log(`\n🔑 ${t('handoff.plan')}`);
+  const handoffChanges = await planHandoff(hre, manifest, {
+    owner: config.governance.owner,
+    treasury: resolve.account(config.treasury),
+    insuranceFund: resolve.account(config.insuranceFund)
+  });
+  formatHandoffPlan(handoffChanges).forEach((line) => console.log(line));
+  const pendingCount = handoffChanges.filter((change) => change.pending).length;
+  console.log(`\n📝 ${t('handoff.dryRun', { count: pendingCount })}`);
+}
+
 async function main() {
   try {
     const [deployer] = await ethers.getSigners();
-    const treasury = deployer.address;
-    const insuranceFund = deployer.address; // 데모 목적
 
-    console.log('🚀 배포 프로세스를 시작합니다...');
-    console.log('네트워크:', hre.network.name);
-    console.log('배포 계정:', deployer.address);
+    console.log(`🚀 ${t('run.start')}`);
+    console.log(t('run.network'), hre.network.name);
+    console.log(t('run.deployer'), deployer.address);
+
+    // 배포 설정 검증 (트랜잭션 전에 모든 오류를 보고)
+    const deployConfig = await loadDeployConfig(ethers, hre.network.name);
+    const { config } = deployConfig;
+    console.log(t('run.config'), deployConfig.path);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = await loadManifest(hre.network.name, Number(chainId));
+
+    // HANDOFF_DRY_RUN=1이면 어떤 트랜잭션도 보내기 전에 소유권 이전 계획만 출력하고 종료합니다.
+    if (process.env.HANDOFF_DRY_RUN === '1') {
+      await printHandoffDryRun(deployConfig, manifest, deployer);
+      return;
+    }
     
     const balance = await deployer.provider.getBalance(deployer.address);
-    console.log('계정 잔액:', ethers.formatEther(balance), 'ETH');
+    console.log(t('run.balance'), ethers.formatEther(balance), 'ETH');
     
     // 배포를 위한 최소 잔액 확인 (예: 0.1 ETH)
     if (balance < ethers.parseEther('0.1')) {
-      throw new Error('배포를 위한 계정 잔액이 부족합니다. 최소 0.1 ETH가 필요합니다.');
+      throw new Error(t('run.lowBalance', { minimum: '0.1 ETH' }));
     }
 
-    // --- 1. Mock 토큰 배포 ---
-    console.log('\n📝 테스트용 Mock 토큰을 배포합니다...');
-    
-    const MockERC20 = await ethers.getContractFactory('MockERC20');
-    
-    // Mock USDC 배포 - 이름을 "Test USD Coin"으로 변경하여 PILLAR 토큰으로 인식되지 않도록 함
-    console.log('Mock USDC 배포 중...');
-    let mockUSDC = await MockERC20.deploy(  // ✅ let으로 변경 (재할당 가능)
-      'Test USD Coin', // 이름 변경
-      'tUSDC',         // 심볼도 변경
-      6, // 소수점 6자리
-      ethers.parseUnits('1000000', 6) // 1백만 USDC
-    );
-    await mockUSDC.waitForDeployment();
-    let usdcAddress = await mockUSDC.getAddress();  // ✅ let으로 변경 (재할당 가능)
-    console.log('✅ Mock USDC 배포 완료:', usdcAddress);
-
-    // Mock WETH 배포
-    console.log('Mock WETH 배포 중...');
-    let mockWETH = await MockERC20.deploy(  // ✅ let으로 변경 (일관성 위해)
-      'Test Wrapped Ether', // 이름 변경
-      'tWETH',              // 심볼도 변경
-      18, // 소수점 18자리
-      ethers.parseEther('10000') // 1만 WETH
-    );
-    await mockWETH.waitForDeployment();
-    let wethAddress = await mockWETH.getAddress();  // ✅ let으로 변경 (일관성 위해)
-    console.log('✅ Mock WETH 배포 완료:', wethAddress);
+    manifest.deployer = deployer.address;
+    await saveManifest(manifest);
+    const { deploy, step } = createManifestDeployer(hre, manifest);
+    console.log(t('run.manifest'), getManifestPath(hre.network.name));
+
+    // --- 1. 토큰 준비 ---
+    // mock으로 지정된 토큰은 Mock<키> 이름으로 배포하고, address로 지정된 토큰은 그대로 사용합니다.
+    console.log(`\n📝 ${t('tokens.preparing')}`);
+    const tokenAddresses = {};
+    const mockTokens = {};
+    for (const [key, token] of Object.entries(config.tokens)) {
+      if (token.address) {
+        tokenAddresses[key] = token.address;
+        console.log(`✅ ${t('tokens.existing', { key, address: token.address })}`);
+        continue;
+      }
+      const { name, symbol, decimals, initialSupply } = token.mock;
+      console.log(t('tokens.deployingMock', { key, symbol }));
+      mockTokens[key] = await deploy(`Mock${key}`, 'MockERC20', [name, symbol, decimals, initialSupply]);
+      tokenAddresses[key] = await mockTokens[key].getAddress();
+      console.log(`✅ ${t('tokens.mockDeployed', { key })}`, tokenAddresses[key]);
+    }
+
+    const resolve = createResolver(tokenAddresses, deployer.address);
+    const treasury = resolve.account(config.treasury);
+    const insuranceFund = resolve.account(config.insuranceFund);
+    const pillarTokenAddress = resolve.token(config.pillarToken);
+    const usdcAddress = tokenAddresses.USDC;
+    const wethAddress = tokenAddresses.WETH;
+
+    // 키가 달라도 같은 주소를 가리키면 컨트랙트가 거부하므로 주소로 한 번 더 확인
+    for (const asset of config.lendingAssets) {
+      if (resolve.token(asset.token).toLowerCase() === pillarTokenAddress.toLowerCase()) {
+        throw new Error(t('tokens.lendingAssetIsPillar', { token: asset.token, address: pillarTokenAddress }));
+      }
+    }
+
+    manifest.tokens = tokenAddresses;
+    manifest.config = { path: deployConfig.path, values: deployConfig.raw };
+    await saveManifest(manifest);
 
     // --- 2. PumpFunOracle 배포 ---
-    console.log('\n🔮 PumpFunOracle을 배포합니다...');
-    const PumpFunOracle = await ethers.getContractFactory('PumpFunOracle');
-    const pumpOracle = await PumpFunOracle.deploy();
-    await pumpOracle.waitForDeployment();
+    console.log(`\n🔮 ${t('contracts.deploying', { contract: 'PumpFunOracle' })}`);
+    const pumpOracle = await deploy('PumpFunOracle', 'PumpFunOracle');
     const oracleAddress = await pumpOracle.getAddress();
-    console.log('✅ PumpFunOracle 배포 완료:', oracleAddress);
+    console.log(`✅ ${t('contracts.deployed', { contract: 'PumpFunOracle' })}`, oracleAddress);
 
     // --- 3. MemeTokenRegistry 배포 ---
-    console.log('\n📋 MemeTokenRegistry를 배포합니다...');
-    const MemeTokenRegistry = await ethers.getContractFactory('MemeTokenRegistry');
-    const memeRegistry = await MemeTokenRegistry.deploy(oracleAddress);
-    await memeRegistry.waitForDeployment();
+    console.log(`\n📋 ${t('contracts.deploying', { contract: 'MemeTokenRegistry' })}`);
+    const memeRegistry = await deploy('MemeTokenRegistry', 'MemeTokenRegistry', [oracleAddress]);
     const registryAddress = await memeRegistry.getAddress();
-    console.log('✅ MemeTokenRegistry 배포 완료:', registryAddress);
+    console.log(`✅ ${t('contracts.deployed', { contract: 'MemeTokenRegistry' })}`, registryAddress);
+
+    // 티어 요구사항은 생성자에서만 정해지므로 설정과 다르면 더 진행하지 않음
+    if (config.tierRequirements) {
+      for (const [tier, requirement] of Object.entries(config.tierRequirements)) {
+        const onchain = await memeRegistry.getTierRequirements(tier);
+        const mismatched = Object.keys(requirement).filter((field) => onchain[field] !== requirement[field]);
+        if (mismatched.length > 0) {
+          throw new Error(t('contracts.tierMismatch', { tier, fields: mismatched.join(', ') }));
+        }
+      }
+      console.log(`✅ ${t('contracts.tierChecked')}`);
+    }
 
     // --- 4. PillarLendingVault 배포 ---
-    console.log('\n🏦 PillarLendingVault를 배포합니다...');
-    const PillarLendingVault = await ethers.getContractFactory('PillarLendingVault');
-    const lendingVault = await PillarLendingVault.deploy(usdcAddress, treasury);
-    await lendingVault.waitForDeployment();
+    console.log(`\n🏦 ${t('contracts.deploying', { contract: 'PillarLendingVault' })}`);
+    const lendingVault = await deploy('PillarLendingVault', 'PillarLendingVault', [pillarTokenAddress, treasury]);
     const lendingVaultAddress = await lendingVault.getAddress();
-    console.log('✅ PillarLendingVault 배포 완료:', lendingVaultAddress);
+    console.log(`✅ ${t('contracts.deployed', { contract: 'PillarLendingVault' })}`, lendingVaultAddress);
 
     // --- 5. DynamicRangeVault 배포 ---
-    console.log('\n💎 DynamicRangeVault를 배포합니다...');
-    const DynamicRangeVault = await ethers.getContractFactory('DynamicRangeVault');
-    const dynamicVault = await DynamicRangeVault.deploy(
+    console.log(`\n💎 ${t('contracts.deploying', { contract: 'DynamicRangeVault' })}`);
+    const dynamicVault = await deploy('DynamicRangeVault', 'DynamicRangeVault', [
       lendingVaultAddress,
       registryAddress,
       treasury
-    );
-    await dynamicVault.waitForDeployment();
+    ]);
     const dynamicVaultAddress = await dynamicVault.getAddress();
-    console.log('✅ DynamicRangeVault 배포 완료:', dynamicVaultAddress);
+    console.log(`✅ ${t('contracts.deployed', { contract: 'DynamicRangeVault' })}`, dynamicVaultAddress);
 
     // --- 6. PillarLiquidationEngine 배포 ---
-    console.log('\n⚡ PillarLiquidationEngine을 배포합니다...');
-    const PillarLiquidationEngine = await ethers.getContractFactory('PillarLiquidationEngine');
-    const liquidationEngine = await PillarLiquidationEngine.deploy(
+    console.log(`\n⚡ ${t('contracts.deploying', { contract: 'PillarLiquidationEngine' })}`);
+    const liquidationEngine = await deploy('PillarLiquidationEngine', 'PillarLiquidationEngine', [
       dynamicVaultAddress,
       lendingVaultAddress,
       registryAddress,
       treasury,
       insuranceFund
-    );
-    await liquidationEngine.waitForDeployment();
+    ]);
     const liquidationEngineAddress = await liquidationEngine.getAddress();
-    console.log('✅ PillarLiquidationEngine 배포 완료:', liquidationEngineAddress);
+    console.log(`✅ ${t('contracts.deployed', { contract: 'PillarLiquidationEngine' })}`, liquidationEngineAddress);
 
     // --- 7. 컨트랙트 간 설정 ---
-    console.log('\n⚙️ 컨트랙트 간 설정을 진행합니다...');
+    console.log(`\n⚙️ ${t('wiring.start')}`);
 
     // DynamicRangeVault에 LiquidationEngine 설정
-    console.log('DynamicRangeVault에 LiquidationEngine 설정 중...');
-    let tx = await dynamicVault.setLiquidationEngine(liquidationEngineAddress);  // ✅ let 유지
-    await tx.wait();
-    console.log('✅ DynamicRangeVault: LiquidationEngine 설정 완료');
+    console.log(t('wiring.setLiquidationEngine'));
+    if (await step('setLiquidationEngine', {
+      isDone: async () => (await dynamicVault.liquidationEngine()).toLowerCase() === liquidationEngineAddress.toLowerCase(),
+      run: () => dynamicVault.setLiquidationEngine(liquidationEngineAddress)
+    })) {
+      console.log(`✅ ${t('wiring.liquidationEngineSet')}`);
+    }
 
     // PillarLendingVault에 DynamicRangeVault 인가
-    console.log('PillarLendingVault에 DynamicRangeVault 인가 중...');
-    tx = await lendingVault.setVaultAuthorization(dynamicVaultAddress, true);  // ✅ 재할당 (let 맞음)
-    await tx.wait();
-    console.log('✅ PillarLendingVault: DynamicRangeVault 인가 완료');
-
-    // --- 8. 자산 설정 (수정됨) ---
-    console.log('\n🪙 자산을 설정합니다...');
-
-    // PILLAR 토큰 주소 확인 (스마트 컨트랙트에서 PILLAR 토큰 주소를 가져와야 함)
-    console.log('PILLAR 토큰 주소 확인 중...');
-    let pillarTokenAddress;  // ✅ 이미 let으로 되어 있음 (올바름)
-    try {
-      // PillarLendingVault에서 PILLAR 토큰 주소를 가져옴
-      pillarTokenAddress = await lendingVault.pillarToken();
-      console.log('PILLAR 토큰 주소:', pillarTokenAddress);
-    } catch (error) {
-      console.log('⚠️ PILLAR 토큰 주소를 가져올 수 없습니다. 스킵합니다.');
-      pillarTokenAddress = ethers.ZeroAddress;
+    console.log(t('wiring.authorizeVault'));
+    if (await step('setVaultAuthorization', {
+      isDone: () => lendingVault.authorizedVaults(dynamicVaultAddress),
+      run: () => lendingVault.setVaultAuthorization(dynamicVaultAddress, true)
+    })) {
+      console.log(`✅ ${t('wiring.vaultAuthorized')}`);
     }
 
-    // USDC 주소가 PILLAR 토큰과 다른지 확인
-    if (usdcAddress.toLowerCase() === pillarTokenAddress.toLowerCase() && pillarTokenAddress !== ethers.ZeroAddress) {
-      console.log('⚠️ USDC 주소가 PILLAR 토큰과 같습니다. 다른 주소로 새 토큰을 배포합니다...');
-      
-      // 새로운 USDC 토큰 배포
-      const newMockUSDC = await MockERC20.deploy(
-        'Alternative USD Coin',
-        'aUSDC',
-        6,
-        ethers.parseUnits('1000000', 6)
-      );
-      await newMockUSDC.waitForDeployment();
-      const newUsdcAddress = await newMockUSDC.getAddress();
-      console.log('✅ 새 Mock USDC 배포 완료:', newUsdcAddress);
-      
-      // 기존 변수 업데이트 - ✅ 이제 let이라 재할당 가능!
-      usdcAddress = newUsdcAddress;
-      mockUSDC = newMockUSDC;
+    // --- 8. 자산 설정 ---
+    console.log(`\n🪙 ${t('assets.start')}`);
+
+    for (const asset of config.lendingAssets) {
+      const assetAddress = resolve.token(asset.token);
+      console.log(t('assets.addingLending', { token: asset.token }));
+      await step(`addLendingAsset:${asset.token}`, {
+        isDone: async () => (await lendingVault.assets(assetAddress)).isActive,
+        run: () => lendingVault.addAsset(
+          assetAddress,
+          asset.baseRatePerYear,
+          asset.multiplierPerYear,
+          asset.jumpMultiplierPerYear,
+          asset.optimalUtilizationRate,
+          asset.reserveFactor
+        )
+      });
+      console.log(`✅ ${t('assets.lendingAdded', { token: asset.token })}`);
     }
 
-    // USDC를 대출 자산으로 추가 (더 안전한 매개변수 사용)
-    console.log('USDC를 대출 자산으로 추가 중...');
-    try {
-      tx = await lendingVault.addAsset(
-        usdcAddress,
-        ethers.parseUnits('0.05', 27), // 5% 기본 이자율 (더 높은 값으로 설정)
-        ethers.parseUnits('0.2', 27),  // 20% 승수
-        ethers.parseUnits('2', 27),    // 200% 점프 승수
-        ethers.parseUnits('0.8', 18),  // 80% 최적 활용률
-        500 // 5% 예치금 비율 (500 -> 5.00%)
-      );
-      await tx.wait();
-      console.log('✅ USDC 대출 자산 추가 완료');
-    } catch (error) {
-      console.error('❌ USDC 자산 추가 실패:', error.message);
-      
-      // 대안: 기본 자산으로 추가 시도
-      console.log('🔄 기본 설정으로 USDC 자산 추가를 재시도합니다...');
-      try {
-        tx = await lendingVault.addAsset(
-          usdcAddress,
-          ethers.parseUnits('0.03', 27), // 3% 기본 이자율
-          ethers.parseUnits('0.15', 27), // 15% 승수
-          ethers.parseUnits('1.5', 27),  // 150% 점프 승수
-          ethers.parseUnits('0.75', 18), // 75% 최적 활용률
-          300 // 3% 예치금 비율
-        );
-        await tx.wait();
-        console.log('✅ USDC 대출 자산 추가 완료 (기본 설정)');
-      } catch (retryError) {
-        console.error('❌ USDC 자산 추가 재시도 실패. 자산 설정을 건너뜁니다.');
-        console.error('자세한 오류:', retryError.message);
-      }
+    const TIER_NAMES = ['BLUE_CHIP', 'MAJOR_ALT', 'MEME'];
+    for (const { token, tier } of config.assetTiers) {
+      const assetAddress = resolve.token(token);
+      console.log(t('assets.settingTier', { token, tier: TIER_NAMES[tier] }));
+      await step(`setAssetTier:${token}`, {
+        isDone: async () => (await dynamicVault.assetTiers(assetAddress)) === BigInt(tier),
+        run: () => dynamicVault.setAssetTier(assetAddress, tier)
+      });
+      console.log(`✅ ${t('assets.tierSet', { token, tier: TIER_NAMES[tier] })}`);
     }
 
-    // WETH를 BLUE_CHIP 등급으로 설정
-    console.log('WETH를 BLUE_CHIP 등급으로 설정 중...');
-    try {
-      tx = await dynamicVault.setAssetTier(wethAddress, 0); // BLUE_CHIP = 0
-      await tx.wait();
-      console.log('✅ WETH BLUE_CHIP 등급 설정 완료');
-    } catch (error) {
-      console.error('❌ WETH 등급 설정 실패:', error.message);
-      console.log('⚠️ WETH 등급 설정을 건너뜁니다.');
+    for (const { token, thresholdBps } of config.liquidationThresholds) {
+      const assetAddress = resolve.token(token);
+      console.log(t('assets.settingThreshold', { token, percent: Number(thresholdBps) / 100 }));
+      await step(`setLiquidationThreshold:${token}`, {
+        isDone: async () => (await liquidationEngine.liquidationThresholds(assetAddress)) === thresholdBps,
+        run: () => liquidationEngine.setLiquidationThreshold(assetAddress, thresholdBps)
+      });
+      console.log(`✅ ${t('assets.thresholdSet', { token })}`);
     }
 
     // --- 9. 초기 토큰 분배 ---
-    console.log('\n💰 테스트를 위해 토큰을 분배합니다...');
-    
-    // 배포자에게 토큰 민팅
-    console.log('배포자에게 USDC 민팅 중...');
-    tx = await mockUSDC.mint(deployer.address, ethers.parseUnits('50000', 6)); // 5만 USDC
-    await tx.wait();
+    console.log(`\n💰 ${t('mint.start')}`);
     
-    console.log('배포자에게 WETH 민팅 중...');
-    tx = await mockWETH.mint(deployer.address, ethers.parseEther('500')); // 500 WETH
-    await tx.wait();
-    console.log('✅ 배포자에게 토큰 민팅 완료');
-
-    // --- 10. 초기 가격 설정 (선택 사항) ---
-    console.log('\n📊 초기 가격을 설정합니다...');
-    try {
-      // WETH 초기 가격 설정 (예: \$2000)
-      tx = await pumpOracle.setPrice(wethAddress, ethers.parseUnits('2000', 8)); // \$2000 (8자리 소수점)
-      await tx.wait();
-      console.log('✅ WETH 초기 가격 설정 완료: \$2000');
-    } catch (error) {
-      console.log('⚠️ 초기 가격 설정 실패 (Oracle이 지원하지 않거나 다른 오류 발생)');
-      console.log('오류 상세:', error.message);
+    // 배포자에게 Mock 토큰 민팅
+    // 재실행 시 중복 민팅하지 않도록 민팅한 토큰 주소를 기록
+    for (const [key, token] of Object.entries(mockTokens)) {
+      const { mintToDeployer, decimals } = config.tokens[key].mock;
+      if (mintToDeployer === 0n) continue;
+      console.log(t('mint.minting', { key, amount: ethers.formatUnits(mintToDeployer, decimals) }));
+      await step(`mint:${key}`, {
+        deps: [`Mock${key}`],
+        run: () => token.mint(deployer.address, mintToDeployer)
+      });
     }
+    console.log(`✅ ${t('mint.done')}`);
 
-    // --- 11. 배포 후 최종 검증 (간소화) ---
-    console.log('\n🔍 배포된 컨트랙트 설정을 최종 검증합니다...');
+    // --- 10. 오라클 설정 ---
+    // PumpFunOracle에는 setPrice가 없으므로, 추적만 시작하고 지표는 oracle-updater.js가 제출합니다.
+    console.log(`\n📊 ${t('oracle.start')}`);
+    for (const token of config.trackedTokens) {
+      const tokenAddress = resolve.token(token);
+      await step(`startTrackingToken:${token}`, {
+        isDone: async () => (await pumpOracle.tokenMetrics(tokenAddress)).isTracking,
+        run: () => pumpOracle.startTrackingToken(tokenAddress)
+      });
+      console.log(`✅ ${t('oracle.tracking', { token })}`);
+    }
+    for (const updater of config.oracleUpdaters.map(resolve.account)) {
+      await step(`authorizeUpdater:${updater}`, {
+        isDone: () => pumpOracle.authorizedUpdaters(updater),
+        run: () => pumpOracle.authorizeUpdater(updater)
+      });
+      console.log(`✅ ${t('oracle.updaterAuthorized', { updater })}`);
+    }
 
-    // DynamicRangeVault에 LiquidationEngine이 올바르게 설정되었는지 확인
-    try {
-      const configuredLiquidationEngine = await dynamicVault.liquidationEngine();
-      if (configuredLiquidationEngine.toLowerCase() !== liquidationEngineAddress.toLowerCase()) {
-          console.error(`⚠️ DynamicRangeVault Liquidation Engine 설정 오류. 예상: ${liquidationEngineAddress}, 실제: ${configuredLiquidationEngine}`);
-      } else {
-          console.log('✅ DynamicRangeVault: Liquidation Engine 설정 검증 완료.');
+    // --- 11. 소유권 이전 ---
+    // governance가 설정되어 있으면 청산 엔진의 treasury/보험 기금을 맞추고 소유권을 넘깁니다.
+    manifest.addresses = {
+      dynamicVault: dynamicVaultAddress,
+      lendingVault: lendingVaultAddress,
+      usdc: usdcAddress,
+      weth: wethAddress,
+      oracle: oracleAddress,
+      registry: registryAddress,
+      liquidationEngine: liquidationEngineAddress
+    };
+    await saveManifest(manifest);
+
+    if (config.governance) {
+      console.log(`\n🔑 ${t('handoff.plan')}`);
+      const handoffChanges = await planHandoff(hre, manifest, {
+        owner: config.governance.owner,
+        treasury,
+        insuranceFund
+      });
+      formatHandoffPlan(handoffChanges).forEach((line) => console.log(line));
+      await executeHandoff(hre, handoffChanges, step);
+      const handoffFailures = await verifyHandoff(handoffChanges);
+      if (handoffFailures.length > 0) {
+        throw new Error(t('handoff.verifyFailed', { failures: handoffFailures.join('\n  - ') }));
       }
-    } catch (error) {
-      console.log('⚠️ Liquidation Engine 설정 검증 실패:', error.message);
+      console.log(`✅ ${t('handoff.verified', { owner: config.governance.owner })}`);
+    } else {
+      console.log(`\n⚠️ ${t('handoff.noGovernance')}`);
     }
 
-    // PillarLendingVault가 DynamicRangeVault를 인가했는지 확인
-    try {
-      const isDynamicVaultAuthorized = await lendingVault.isVaultAuthorized(dynamicVaultAddress);
-      if (!isDynamicVaultAuthorized) {
-          console.error(`⚠️ PillarLendingVault가 DynamicRangeVault(${dynamicVaultAddress})를 인가하지 않았습니다.`);
-      } else {
-          console.log('✅ PillarLendingVault: DynamicRangeVault 인가 검증 완료.');
-      }
-    } catch (error) {
-      console.log('⚠️ 인가 설정 검증 실패:', error.message);
+    // --- 12. 배포 후 최종 검증 ---
+    // verify-config.js와 같은 감사를 실행하고, 하나라도 불일치하면 배포를 실패로 처리합니다.
+    console.log(`\n🔍 ${t('audit.start')}`);
+    const auditResults = await auditDeployment(hre, manifest, expectationsFromConfig(ethers, manifest));
+    const auditFailures = auditResults.filter((result) => !result.pass);
+    if (auditFailures.length > 0) {
+      console.error(formatAuditTable(auditFailures));
+      throw new Error(t('audit.failed', { count: auditFailures.length, network: hre.network.name }));
     }
-    
+    console.log(`✅ ${t('audit.passed', { count: auditResults.length })}`);
+
     // 초기 토큰 분배 검증
-    try {
-      const usdcBalance = await mockUSDC.balanceOf(deployer.address);
-      const wethBalance = await mockWETH.balanceOf(deployer.address);
-      
-      console.log(`✅ 배포자 잔액 검증 완료 (USDC: ${ethers.formatUnits(usdcBalance, 6)}, WETH: ${ethers.formatEther(wethBalance)})`);
-    } catch (error) {
-      console.log('⚠️ 토큰 잔액 검증 실패:', error.message);
+    for (const [key, token] of Object.entries(mockTokens)) {
+      const balance = await token.balanceOf(deployer.address);
+      console.log(`✅ ${t('audit.deployerBalance', { key, amount: ethers.formatUnits(balance, config.tokens[key].mock.decimals) })}`);
     }
 
     // --- 최종 요약 ---
-    console.log('\n🎉 배포 완료! 🎉');
+    console.log(`\n🎉 ${t('summary.done')} 🎉`);
     console.log('═'.repeat(60));
-    console.log('📋 컨트랙트 주소:');
+    console.log(`📋 ${t('summary.addresses')}`);
     console.log('═'.repeat(60));
-    console.log(`Mock USDC (tUSDC):      ${usdcAddress}`);
-    console.log(`Mock WETH (tWETH):      ${wethAddress}`);
+    for (const [key, tokenAddress] of Object.entries(tokenAddresses)) {
+      console.log(`${key.padEnd(24)}${tokenAddress}`);
+    }
     console.log(`PumpFunOracle:          ${oracleAddress}`);
     console.log(`MemeTokenRegistry:      ${registryAddress}`);
     console.log(`PillarLendingVault:     ${lendingVaultAddress}`);
     console.log(`DynamicRangeVault:      ${dynamicVaultAddress}`);
     console.log(`PillarLiquidationEngine: ${liquidationEngineAddress}`);
-    if (pillarTokenAddress && pillarTokenAddress !== ethers.ZeroAddress) {
-      console.log(`PILLAR Token:           ${pillarTokenAddress}`);
-    }
+    console.log(`PILLAR Token:           ${pillarTokenAddress}`);
+    console.log(`Treasury:               ${treasury}`);
+    console.log(`Insurance Fund:         ${insuranceFund}`);
+    console.log(`Owner:                  ${config.governance ? config.governance.owner : deployer.address}`);
+    console.log(`${t('run.manifest').padEnd(24)}${getManifestPath(hre.network.name)}`);
     console.log('═'.repeat(60));
     
-    console.log('\n🔧 프론트엔드 설정용 JavaScript 객체:');
-    console.log('═'.repeat(60));
-    console.log(`
-// 프론트엔드 JavaScript 코드의 CONTRACTS 객체를 다음으로 교체하세요:
-const CONTRACTS = {
-  dynamicVault: "${dynamicVaultAddress}",
-  lendingVault: "${lendingVaultAddress}",
-  usdc: "${usdcAddress}",
-  weth: "${wethAddress}",
-  oracle: "${oracleAddress}",
-  registry: "${registryAddress}",
-  liquidationEngine: "${liquidationEngineAddress}"
-};
-    `);
-    console.log('═'.repeat(60));
-    
-    console.log('\n✅ 모든 컨트랙트 배포 및 설정이 완료되었습니다!');
-    console.log('\n📝 다음 단계:');
-    console.log('1. 위 컨트랙트 주소를 프론트엔드 코드의 CONTRACTS 객체에 복사하세요.');
-    console.log('2. 프론트엔드 애플리케이션을 테스트하세요.');
-    console.log('3. 필요한 경우 추가 설정을 진행하세요.');
+    // 프론트엔드 설정 모듈 생성 (UI가 부트스트랩 시 주소와 ABI를 불러옴)
+    const configPath = await writeFrontendConfig(hre, hre.network.name);
+    console.log(`\n🔧 ${t('summary.frontendConfig', { path: configPath })}`);
+
+    console.log(`\n✅ ${t('summary.allDone')}`);
+    console.log(`\n📝 ${t('next.title')}`);
+    console.log(`1. ${t('next.serveConfig', { path: configPath })}`);
+    console.log(`2. ${t('next.runUpdater', { command: `PILLAR_ORACLE=${oracleAddress} npx hardhat run oracle-updater.js --network ${hre.network.name}` })}`);
+    console.log(`3. ${t('next.testFrontend')}`);
+    console.log(`4. ${t('next.extraConfig')}`);
     
   } catch (error) {
-    console.error('\n❌ 배포 실패!');
-    console.error('오류 상세:', error.message);
+    console.error(`\n❌ ${t('failure.title')}`);
+    console.error(t('failure.details'), error.message);
+    console.error(`💡 ${t('failure.resume', { path: getManifestPath(hre.network.name) })}`);
     
-    if (error.message.includes('insufficient funds')) {
-      console.error('💡 해결 방법: 배포 계정에 더 많은 ETH를 추가하세요.');
-    } else if (error.message.includes('Contract deployment failed')) {
-      console.error('💡 해결 방법: 컨트랙트 코드의 컴파일 오류를 확인하세요.');
-    } else if (error.message.includes('Cannot add PLLAR token')) {
-      console.error('💡 해결 방법: PILLAR 토큰과 다른 주소의 토큰을 사용해야 합니다.');
-    } else if (error.message.includes('nonce too high')) {
-      console.error('💡 해결 방법: 계정 nonce를 재설정하거나 보류 중인 트랜잭션을 기다리세요.');
+    const decoded = decodeContractError(error, { locale });
+    if (decoded.code) {
+      console.error(`💡 ${t('failure.cause', { message: decoded.message })}`);
+      if (decoded.hint) console.error(`💡 ${t('failure.fix', { hint: decoded.hint })}`);
     }
     
     throw error;
@@ -315,10 +366,10 @@ const CONTRACTS = {
 
 main()
   .then(() => {
-    console.log('\n🎯 배포 스크립트가 성공적으로 완료되었습니다!');
+    console.log(`\n🎯 ${t('run.succeeded')}`);
     process.exit(0);
   })
   .catch((error) => {
-    console.error('\n💥 배포 스크립트 실행 중 오류 발생:', error);
+    console.error(`\n💥 ${t('run.crashed')}`, error);
     process.exit(1);
   });
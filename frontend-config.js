@@ -0,0 +1,87 @@
+import { readdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { DEPLOYMENTS_DIR } from "./deploy-manifest.js";
+import { loadDeployMessages } from "./deploy-messages.js";
+
+// 프론트엔드 설정 모듈(pillar.config.js) 생성
+//
+// deployments/*.json 매니페스트에 기록된 네트워크별 주소와 Hardhat 아티팩트의 컴파일된 ABI를
+// 하나의 ES 모듈로 내보냅니다. pillarui.js는 부트스트랩 시 이 모듈을 불러옵니다.
+
+const { t } = loadDeployMessages();
+
+export const FRONTEND_CONFIG_PATH = 'pillar.config.js';
+
+// ABI를 내보낼 컨트랙트 (토큰은 MockERC20 ABI를 ERC20 공통 ABI로 사용)
+export const FRONTEND_ABI_CONTRACTS = [
+  'DynamicRangeVault',
+  'PillarLendingVault',
+  'MemeTokenRegistry',
+  'PumpFunOracle',
+  'PillarLiquidationEngine',
+  'MockERC20'
+];
+
+// 주소 요약의 키별 배포 블록 (UI가 이벤트를 배포 시점부터 조회하는 데 사용)
+function readDeployBlocks(manifest) {
+  const entries = Object.values(manifest.contracts || {});
+  const blocks = {};
+  for (const [key, address] of Object.entries(manifest.addresses)) {
+    const entry = entries.find((contract) => contract.address.toLowerCase() === address.toLowerCase());
+    if (entry && Number.isInteger(entry.blockNumber)) blocks[key] = entry.blockNumber;
+  }
+  return blocks;
+}
+
+async function readNetworkAddresses() {
+  let files;
+  try {
+    files = await readdir(DEPLOYMENTS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+  const networks = {};
+  for (const file of files.filter((name) => name.endsWith('.json')).sort()) {
+    const manifest = JSON.parse(await readFile(path.join(DEPLOYMENTS_DIR, file), 'utf8'));
+    // 배포가 끝까지 완료돼 주소 요약이 기록된 네트워크만 포함
+    if (manifest.addresses) {
+      networks[manifest.network] = {
+        chainId: manifest.chainId,
+        contracts: manifest.addresses,
+        deployBlocks: readDeployBlocks(manifest)
+      };
+    }
+  }
+  return networks;
+}
+
+/**
+ * 모든 네트워크 매니페스트와 컴파일된 ABI로 pillar.config.js를 다시 생성
+ * @param {object} hre - Hardhat 런타임 (아티팩트 조회용)
+ * @param {string} defaultNetwork - UI가 기본으로 사용할 네트워크 이름
+ * @returns {Promise<string>} 생성된 파일 경로
+ */
+export async function writeFrontendConfig(hre, defaultNetwork) {
+  const networks = await readNetworkAddresses();
+  if (!networks[defaultNetwork]) {
+    throw new Error(t('summary.noAddresses', { network: defaultNetwork }));
+  }
+  const abis = {};
+  for (const name of FRONTEND_ABI_CONTRACTS) {
+    abis[name] = (await hre.artifacts.readArtifact(name)).abi;
+  }
+
+  const config = { generatedAt: new Date().toISOString(), defaultNetwork, networks, abis };
+  const source = [
+    '// 자동 생성 파일입니다. 직접 수정하지 마세요.',
+    '// deploy.js가 deployments/*.json과 컴파일된 아티팩트로부터 다시 생성합니다.',
+    `export default ${JSON.stringify(config, null, 2)};`,
+    ''
+  ].join('\n');
+
+  const tmpPath = `${FRONTEND_CONFIG_PATH}.tmp`;
+  await writeFile(tmpPath, source);
+  await rename(tmpPath, FRONTEND_CONFIG_PATH);
+  return FRONTEND_CONFIG_PATH;
+}
@@ -0,0 +1,362 @@
+import hre from "hardhat";
+import {
+  createJsonLogger,
+  createNonceManager,
+  readEnvAddress,
+  readEnvNumber,
+  sleep,
+  withRetry
+} from "./bot-utils.js";
+
+const { ethers } = hre;
+
+/*
+ * PillarLiquidationEngine 청산 키퍼
+ *
+ * 열린 포지션을 순회하며 canLiquidate를 확인하고, 예상 수익(키퍼 보상 - 가스비)이
+ * 기준 이상인 포지션을 청산합니다. 모든 시도는 한 줄짜리 JSON 로그로 남습니다.
+ *
+ * 실행 예 (로컬 Hardhat 노드):
+ *   npx hardhat node
+ *   PILLAR_LIQUIDATION_ENGINE=0x... npx hardhat run keeper.js --network localhost
+ *
+ * 환경 변수:
+ *   PILLAR_LIQUIDATION_ENGINE  청산 엔진 주소 (필수, DynamicRangeVault 주소는 엔진에서 읽음)
+ *   KEEPER_INTERVAL_MS         라운드 간격 (기본 30000)
+ *   KEEPER_MIN_PROFIT_USD      최소 예상 수익 USD (기본 0)
+ *   KEEPER_NATIVE_PRICE_USD    가스비 환산용 네이티브 토큰 가격 USD (기본 1)
+ *   KEEPER_MAX_RETRIES         전송 실패·사라진 트랜잭션 재시도 횟수 (기본 3)
+ *   KEEPER_ONCE=1              한 라운드만 실행하고 종료 (테스트용)
+ */
+
+const log = createJsonLogger('keeper');
+
+const OPEN_STATUSES = new Set([0, 1]);     // ACTIVE, OUT_OF_RANGE
+const TERMINAL_STATUSES = new Set([2, 3]); // LIQUIDATED, CLOSED
+const SCAN_BATCH_SIZE = 20;
+const GAS_LIMIT_BUFFER_PCT = 120n;
+const DAILY_LIMIT_REASON = 'Daily liquidation limit reached';
+
+function loadConfig() {
+  return {
+    liquidationEngine: readEnvAddress(ethers, 'PILLAR_LIQUIDATION_ENGINE'),
+    intervalMs: readEnvNumber('KEEPER_INTERVAL_MS', 30000),
+    minProfitUsd: readEnvNumber('KEEPER_MIN_PROFIT_USD', 0),
+    nativePriceUsd: readEnvNumber('KEEPER_NATIVE_PRICE_USD', 1),
+    maxRetries: readEnvNumber('KEEPER_MAX_RETRIES', 3),
+    once: process.env.KEEPER_ONCE === '1'
+  };
+}
+
+// 엔진의 일일 한도는 block.timestamp / 86400 기준이므로 체인 시간으로 날짜를 계산
+async function getChainDay() {
+  const block = await ethers.provider.getBlock('latest');
+  return Math.floor(block.timestamp / 86400);
+}
+
+function pauseUntilNextDay(keeper, day, source) {
+  keeper.pausedUntilDay = day + 1;
+  log('daily_limit_reached', { day, resumeDay: keeper.pausedUntilDay, source });
+}
+
+/**
+ * 열린(ACTIVE/OUT_OF_RANGE) 포지션 목록 조회
+ * 청산·종료된 포지션은 다시 열리지 않으므로 캐시해 다음 라운드부터 건너뜁니다.
+ */
+async function scanOpenPositions(keeper) {
+  const nextId = Number(await keeper.vault.nextPositionId());
+  const ids = [];
+  for (let id = 1; id < nextId; id++) {
+    if (!keeper.terminalIds.has(id)) ids.push(id);
+  }
+
+  const open = [];
+  for (let i = 0; i < ids.length; i += SCAN_BATCH_SIZE) {
+    const batch = ids.slice(i, i + SCAN_BATCH_SIZE);
+    const positions = await Promise.all(batch.map((id) => keeper.vault.positions(id)));
+    positions.forEach((position, j) => {
+      const status = Number(position.status);
+      if (TERMINAL_STATUSES.has(status)) {
+        keeper.terminalIds.add(batch[j]);
+      } else if (OPEN_STATUSES.has(status)) {
+        open.push({ id: batch[j], baseAsset: position.baseAsset });
+      }
+    });
+  }
+  return open;
+}
+
+async function getDecimals(keeper, asset) {
+  if (!keeper.decimals.has(asset)) {
+    const token = await ethers.getContractAt(['function decimals() view returns (uint8)'], asset);
+    keeper.decimals.set(asset, Number(await token.decimals()));
+  }
+  return keeper.decimals.get(asset);
+}
+
+/**
+ * 예상 수익 = 키퍼 보상(기초 자산, USD 스테이블 가정) - 가스비(네이티브 토큰 * 가격)
+ * estimateGas가 실패하면 현재 상태로는 청산이 리버트된다는 뜻이므로 호출자가 건너뜁니다.
+ */
+async function estimateProfit(keeper, position) {
+  const [keeperReward] = await keeper.engine.calculateLiquidationReward(position.id);
+  const decimals = await getDecimals(keeper, position.baseAsset);
+  const gasLimit = await keeper.engine.liquidatePosition.estimateGas(position.id);
+  const feeData = await ethers.provider.getFeeData();
+  const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+
+  const rewardUsd = Number(ethers.formatUnits(keeperReward, decimals));
+  const gasCostUsd = Number(ethers.formatEther(gasLimit * gasPrice)) * keeper.config.nativePriceUsd;
+  return { keeperReward, gasLimit, rewardUsd, gasCostUsd, profitUsd: rewardUsd - gasCostUsd };
+}
+
+// 전송만 재시도합니다. 전송에 실패한 트랜잭션은 nonce를 소비하지 않으므로 다시 보내도 중복 청산이 되지 않습니다.
+async function sendLiquidation(keeper, position, estimate, attempt) {
+  return withRetry(async () => {
+    const nonce = await keeper.nonces.next();
+    let tx;
+    try {
+      tx = await keeper.engine.liquidatePosition(position.id, {
+        nonce,
+        gasLimit: estimate.gasLimit * GAS_LIMIT_BUFFER_PCT / 100n
+      });
+    } catch (error) {
+      // 전송 실패 시 nonce가 소비되지 않았으므로 체인 상태와 다시 맞춥니다.
+      keeper.nonces.resync();
+      throw error;
+    }
+    log('liquidation_attempt', { positionId: position.id, attempt, status: 'submitted', nonce, txHash: tx.hash });
+    return tx;
+  }, {
+    retries: keeper.config.maxRetries,
+    // 리버트는 재시도해도 결과가 같으므로 즉시 실패 처리
+    shouldRetry: (error) => error.code !== 'CALL_EXCEPTION',
+    onRetry: (error, sendAttempt) => {
+      log('liquidation_attempt', { positionId: position.id, attempt, sendAttempt, status: 'retrying', error: error.shortMessage || error.message });
+    }
+  });
+}
+
+/**
+ * 보낸 청산 트랜잭션의 결과 확인
+ * tx.wait()가 RPC 오류·타임아웃·교체로 실패해도 트랜잭션은 이미 채굴됐거나 아직 대기 중일 수 있으므로
+ * 영수증과 대기열을 직접 확인합니다. 확인 자체가 실패하면 대기 중으로 보고 다시 보내지 않습니다.
+ * @returns {Promise<{ receipt?: object, pending?: boolean, error?: Error }>}
+ *   receipt: 채굴 성공, pending: 아직 대기 중이거나 알 수 없음, 둘 다 없으면 트랜잭션이 사라짐
+ */
+async function resolveLiquidation(tx) {
+  try {
+    return { receipt: await tx.wait() };
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION') throw error;
+    if (error.code === 'TRANSACTION_REPLACED') {
+      // 가스 가격만 바꾼 교체(repriced)는 같은 청산이 채굴된 것
+      return error.cancelled ? { error } : { receipt: error.receipt };
+    }
+    try {
+      const receipt = await ethers.provider.getTransactionReceipt(tx.hash);
+      if (receipt) {
+        if (receipt.status !== 1) throw error;
+        return { receipt };
+      }
+      return (await ethers.provider.getTransaction(tx.hash)) ? { pending: true, error } : { error };
+    } catch (lookupError) {
+      if (lookupError === error) throw error;
+      return { pending: true, error };
+    }
+  }
+}
+
+/**
+ * 청산 제출
+ * @returns {Promise<object|null>} 채굴된 영수증, 결과가 아직 없거나 더 이상 청산할 수 없으면 null
+ */
+async function submitLiquidation(keeper, position, estimate) {
+  for (let attempt = 1; attempt <= keeper.config.maxRetries + 1; attempt++) {
+    const tx = await sendLiquidation(keeper, position, estimate, attempt);
+    const { receipt, pending, error } = await resolveLiquidation(tx);
+    if (receipt) {
+      log('liquidation_attempt', {
+        positionId: position.id,
+        attempt,
+        status: 'confirmed',
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        rewardUsd: estimate.rewardUsd,
+        gasCostUsd: estimate.gasCostUsd,
+        profitUsd: estimate.profitUsd
+      });
+      return receipt;
+    }
+    if (pending) {
+      // 대기 중인 트랜잭션이 채굴될 수 있으므로 새로 보내지 않고 다음 라운드에 영수증을 확인
+      keeper.pending.set(position.id, tx.hash);
+      log('liquidation_attempt', { positionId: position.id, attempt, status: 'pending', txHash: tx.hash, error: error.shortMessage || error.message });
+      return null;
+    }
+
+    // 트랜잭션이 대기열에서 사라짐: nonce를 다시 맞추고 아직 청산 가능할 때만 다시 보냄
+    keeper.nonces.resync();
+    log('liquidation_attempt', { positionId: position.id, attempt, status: 'dropped', txHash: tx.hash, error: error.shortMessage || error.message });
+    const [canLiq, reason] = await keeper.engine.canLiquidate(position.id);
+    if (!canLiq) {
+      log('liquidation_attempt', { positionId: position.id, attempt, status: 'skipped', reason });
+      return null;
+    }
+  }
+  throw new Error(`포지션 ${position.id}의 청산 트랜잭션이 ${keeper.config.maxRetries + 1}번 대기열에서 사라졌습니다.`);
+}
+
+// 지난 라운드에서 결과를 확인하지 못한 청산 트랜잭션 정리
+async function settlePendingLiquidations(keeper) {
+  for (const [positionId, txHash] of keeper.pending) {
+    const receipt = await ethers.provider.getTransactionReceipt(txHash);
+    if (receipt) {
+      keeper.pending.delete(positionId);
+      if (receipt.status === 1) keeper.terminalIds.add(positionId);
+      log('liquidation_attempt', {
+        positionId,
+        status: receipt.status === 1 ? 'confirmed' : 'failed',
+        txHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed
+      });
+    } else if (!(await ethers.provider.getTransaction(txHash))) {
+      keeper.pending.delete(positionId);
+      keeper.nonces.resync();
+      log('liquidation_attempt', { positionId, status: 'dropped', txHash });
+    }
+  }
+}
+
+async function runRound(keeper) {
+  const day = await getChainDay();
+  if (keeper.pausedUntilDay !== null && day < keeper.pausedUntilDay) {
+    log('round_skipped', { reason: 'daily_limit', day, resumeDay: keeper.pausedUntilDay });
+    return;
+  }
+
+  const [count, maxPerDay] = await Promise.all([
+    keeper.engine.dailyLiquidationCount(day),
+    keeper.engine.MAX_LIQUIDATIONS_PER_DAY()
+  ]);
+  let remaining = Number(maxPerDay - count);
+  if (remaining <= 0) {
+    pauseUntilNextDay(keeper, day, 'dailyLiquidationCount');
+    return;
+  }
+
+  await settlePendingLiquidations(keeper);
+  const open = await scanOpenPositions(keeper);
+  log('round_started', { day, openPositions: open.length, dailyRemaining: remaining });
+
+  let liquidated = 0;
+  for (const position of open) {
+    if (keeper.stopping) break;
+    if (keeper.pending.has(position.id)) continue;
+    if (remaining <= 0) {
+      pauseUntilNextDay(keeper, day, 'local_count');
+      break;
+    }
+
+    const [canLiq, reason] = await keeper.engine.canLiquidate(position.id);
+    if (!canLiq) {
+      if (reason === DAILY_LIMIT_REASON) {
+        pauseUntilNextDay(keeper, day, 'canLiquidate');
+        break;
+      }
+      continue;
+    }
+
+    let estimate;
+    try {
+      estimate = await estimateProfit(keeper, position);
+    } catch (error) {
+      log('liquidation_attempt', { positionId: position.id, status: 'skipped', reason: 'estimate_failed', error: error.shortMessage || error.message });
+      continue;
+    }
+    if (estimate.profitUsd < keeper.config.minProfitUsd) {
+      log('liquidation_attempt', {
+        positionId: position.id,
+        status: 'skipped',
+        reason: 'unprofitable',
+        rewardUsd: estimate.rewardUsd,
+        gasCostUsd: estimate.gasCostUsd,
+        profitUsd: estimate.profitUsd
+      });
+      continue;
+    }
+
+    try {
+      const receipt = await submitLiquidation(keeper, position, estimate);
+      if (receipt) {
+        keeper.terminalIds.add(position.id);
+        liquidated++;
+      }
+      // 대기 중인 청산도 채굴되면 일일 한도에 포함되므로 남은 횟수에서 뺌
+      if (receipt || keeper.pending.has(position.id)) remaining--;
+    } catch (error) {
+      log('liquidation_attempt', { positionId: position.id, status: 'failed', level: 'error', error: error.shortMessage || error.message });
+    }
+  }
+  log('round_finished', { day, liquidated, dailyRemaining: remaining });
+}
+
+async function main() {
+  const config = loadConfig();
+  const [signer] = await ethers.getSigners();
+  const engine = await ethers.getContractAt('PillarLiquidationEngine', config.liquidationEngine, signer);
+  const vault = await ethers.getContractAt('DynamicRangeVault', await engine.dynamicVault(), signer);
+
+  const keeper = {
+    config,
+    engine,
+    vault,
+    nonces: createNonceManager(signer),
+    terminalIds: new Set(),
+    pending: new Map(), // positionId => 결과를 확인하지 못한 청산 트랜잭션 해시
+    decimals: new Map(),
+    pausedUntilDay: null,
+    stopping: false
+  };
+
+  log('keeper_started', {
+    network: hre.network.name,
+    keeper: signer.address,
+    liquidationEngine: config.liquidationEngine,
+    dynamicVault: await vault.getAddress(),
+    intervalMs: config.intervalMs,
+    minProfitUsd: config.minProfitUsd
+  });
+
+  // 엔진이 일일 한도 이벤트를 내보내면 다음 날까지 라운드를 건너뜁니다.
+  await engine.on('DailyLimitReached', (date) => pauseUntilNextDay(keeper, Number(date), 'DailyLimitReached'));
+
+  const stop = () => {
+    keeper.stopping = true;
+    log('keeper_stopping');
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  while (!keeper.stopping) {
+    try {
+      await runRound(keeper);
+    } catch (error) {
+      log('round_failed', { level: 'error', error: error.shortMessage || error.message });
+    }
+    if (config.once) break;
+    await sleep(config.intervalMs);
+  }
+
+  await engine.removeAllListeners();
+  log('keeper_stopped');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    log('keeper_crashed', { level: 'error', error: error.message });
+    process.exit(1);
+  });
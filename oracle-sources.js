@@ -0,0 +1,111 @@
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+
+// 오라클 업데이터가 사용하는 토큰 지표 데이터 소스
+//
+// 모든 소스는 같은 모양의 객체를 반환합니다.
+//   { name, listTokens(): Promise<string[]>, getMetrics(token): Promise<Metrics|null> }
+// Metrics 값은 사람이 읽는 단위(USD, %)이며 온체인 단위 변환은 업데이터가 담당합니다.
+//   { volumeUSD24h, liquidityUSD, holders, marketCapUSD, priceUSD, priceChange24h }
+// priceChange24h는 퍼센트(예: -3.5)입니다.
+
+export const METRIC_FIELDS = ['volumeUSD24h', 'liquidityUSD', 'holders', 'marketCapUSD', 'priceUSD', 'priceChange24h'];
+
+function normalizeRecord(record, origin) {
+  const metrics = {};
+  for (const field of METRIC_FIELDS) {
+    const value = record[field];
+    if (value === undefined || value === null || value === '' || !Number.isFinite(Number(value))) {
+      throw new Error(`${origin}: ${field} 값이 올바르지 않습니다 (${value})`);
+    }
+    // 온체인 값은 uint이므로 음수는 변동률(priceChange24h)만 허용
+    if (field !== 'priceChange24h' && Number(value) < 0) {
+      throw new Error(`${origin}: ${field} 값은 0 이상이어야 합니다 (${value})`);
+    }
+    metrics[field] = String(value).trim();
+  }
+  return metrics;
+}
+
+function parseCsv(text, origin) {
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith('#'));
+  if (lines.length === 0) return [];
+  const header = lines[0].split(',').map((cell) => cell.trim());
+  if (!header.includes('token')) {
+    throw new Error(`${origin}: CSV 헤더에 token 열이 필요합니다`);
+  }
+  return lines.slice(1).map((line) => {
+    const cells = line.split(',').map((cell) => cell.trim());
+    return Object.fromEntries(header.map((column, i) => [column, cells[i]]));
+  });
+}
+
+/**
+ * 로컬 JSON/CSV 파일 소스 (매 조회마다 다시 읽어 외부 프로세스의 갱신을 반영)
+ *
+ * JSON: [{ "token": "0x...", "volumeUSD24h": 120000, ... }] 또는 { "0x...": { ... } }
+ * CSV:  token,volumeUSD24h,liquidityUSD,holders,marketCapUSD,priceUSD,priceChange24h
+ */
+export function createFileSource(filePath) {
+  const origin = path.basename(filePath);
+  const isCsv = filePath.toLowerCase().endsWith('.csv');
+
+  async function readRecords() {
+    const text = await readFile(filePath, 'utf8');
+    let rows;
+    if (isCsv) {
+      rows = parseCsv(text, origin);
+    } else {
+      const parsed = JSON.parse(text);
+      rows = Array.isArray(parsed)
+        ? parsed
+        : Object.entries(parsed).map(([token, record]) => ({ token, ...record }));
+    }
+    const records = new Map();
+    for (const row of rows) {
+      if (!row.token) throw new Error(`${origin}: token 값이 없는 행이 있습니다`);
+      records.set(row.token.toLowerCase(), { token: row.token, metrics: normalizeRecord(row, `${origin} ${row.token}`) });
+    }
+    return records;
+  }
+
+  return {
+    name: `file:${origin}`,
+    async listTokens() {
+      return [...(await readRecords()).values()].map((record) => record.token);
+    },
+    async getMetrics(token) {
+      const record = (await readRecords()).get(token.toLowerCase());
+      return record ? record.metrics : null;
+    }
+  };
+}
+
+/**
+ * HTTP 소스
+ * @param {string} urlTemplate - {token} 자리에 토큰 주소가 들어가는 URL (예: https://api.example/tokens/{token})
+ * @param {object} [options]
+ * @param {Function} [options.fetchImpl=fetch] - 테스트에서 모의 fetch를 주입
+ * @param {number} [options.timeoutMs=10000]
+ * @param {string[]} [options.tokens=[]] - listTokens가 반환할 토큰 목록 (HTTP API는 목록을 제공하지 않음)
+ */
+export function createHttpSource(urlTemplate, { fetchImpl = fetch, timeoutMs = 10000, tokens = [] } = {}) {
+  if (!urlTemplate.includes('{token}')) {
+    throw new Error('HTTP 소스 URL에는 {token} 자리 표시자가 필요합니다');
+  }
+  return {
+    name: `http:${new URL(urlTemplate.replace('{token}', 'token')).host}`,
+    async listTokens() {
+      return tokens;
+    },
+    async getMetrics(token) {
+      const url = urlTemplate.replace('{token}', token);
+      const response = await fetchImpl(url, { signal: AbortSignal.timeout(timeoutMs) });
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`HTTP 소스 응답 오류 ${response.status}: ${url}`);
+      }
+      return normalizeRecord(await response.json(), url);
+    }
+  };
+}
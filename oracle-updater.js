@@ -0,0 +1,337 @@
+import hre from "hardhat";
+import {
+  createJsonLogger,
+  createNonceManager,
+  readEnvAddress,
+  readEnvNumber,
+  sleep,
+  withRetry
+} from "./bot-utils.js";
+import { createFileSource, createHttpSource } from "./oracle-sources.js";
+
+const { ethers } = hre;
+
+/*
+ * PumpFunOracle 지표 업데이터 데몬
+ *
+ * 데이터 소스(로컬 JSON/CSV 파일 또는 HTTP)에서 토큰 지표를 읽어 추적 중인 모든 토큰에
+ * updateTokenMetrics를 호출합니다. 값이 임계치 이상 변했거나 하트비트 주기가 지났을 때만
+ * 제출하며, isDataFresh가 false가 되면 경고를 보냅니다.
+ *
+ * 실행 예 (로컬 Hardhat 노드):
+ *   PILLAR_ORACLE=0x... ORACLE_SOURCE_FILE=oracle-data.csv npx hardhat run oracle-updater.js --network localhost
+ *
+ * 환경 변수:
+ *   PILLAR_ORACLE                 PumpFunOracle 주소 (필수)
+ *   ORACLE_SOURCE                 file | http (기본 file)
+ *   ORACLE_SOURCE_FILE            파일 소스 경로 (기본 oracle-data.json)
+ *   ORACLE_HTTP_URL               HTTP 소스 URL 템플릿, {token} 자리 표시자 포함
+ *   ORACLE_TOKENS                 추가로 확인할 토큰 주소 (쉼표 구분)
+ *   ORACLE_FROM_BLOCK             TrackerAdded 이벤트 조회 시작 블록 (기본 0)
+ *   ORACLE_POLL_MS                라운드 간격 (기본 60000)
+ *   ORACLE_CHANGE_THRESHOLD_BPS   제출 기준 변화율 (기본 100 = 1%)
+ *   ORACLE_HEARTBEAT_SEC          변화가 없어도 제출하는 주기 (기본 1500, getPrice 신선도 30분 이내)
+ *   ORACLE_STALE_SEC              isDataFresh 기준 시간 (기본 1800)
+ *   ORACLE_ALERT_WEBHOOK          경고를 POST로 보낼 웹훅 URL (선택)
+ *   ORACLE_MAX_RETRIES            트랜잭션 재시도 횟수 (기본 3)
+ *   ORACLE_ONCE=1                 한 라운드만 실행하고 종료 (테스트용)
+ */
+
+const log = createJsonLogger('oracle-updater');
+
+// PumpFunOracle 상수와 동일하게 유지
+const UPDATE_COOLDOWN_SEC = 300;
+const MAX_PRICE_CHANGE_BPS = 10000;
+const EVENT_QUERY_CHUNK = 10000;
+const CHANGE_FIELDS = ['volumeUSD24h', 'liquidityUSD', 'holders', 'marketCapUSD', 'priceUSD'];
+
+function loadConfig() {
+  const sourceType = process.env.ORACLE_SOURCE || 'file';
+  if (sourceType !== 'file' && sourceType !== 'http') {
+    throw new Error(`ORACLE_SOURCE는 file 또는 http여야 합니다: ${sourceType}`);
+  }
+  const extraTokens = (process.env.ORACLE_TOKENS || '')
+    .split(',')
+    .map((token) => token.trim())
+    .filter(Boolean)
+    .map((token) => {
+      if (!ethers.isAddress(token)) throw new Error(`ORACLE_TOKENS에 잘못된 주소가 있습니다: ${token}`);
+      return ethers.getAddress(token);
+    });
+  return {
+    oracle: readEnvAddress(ethers, 'PILLAR_ORACLE'),
+    sourceType,
+    sourceFile: process.env.ORACLE_SOURCE_FILE || 'oracle-data.json',
+    httpUrl: process.env.ORACLE_HTTP_URL,
+    extraTokens,
+    fromBlock: readEnvNumber('ORACLE_FROM_BLOCK', 0),
+    pollMs: readEnvNumber('ORACLE_POLL_MS', 60000),
+    thresholdBps: BigInt(readEnvNumber('ORACLE_CHANGE_THRESHOLD_BPS', 100)),
+    heartbeatSec: readEnvNumber('ORACLE_HEARTBEAT_SEC', 1500),
+    staleSec: readEnvNumber('ORACLE_STALE_SEC', 1800),
+    alertWebhook: process.env.ORACLE_ALERT_WEBHOOK,
+    maxRetries: readEnvNumber('ORACLE_MAX_RETRIES', 3),
+    once: process.env.ORACLE_ONCE === '1'
+  };
+}
+
+function createSource(config) {
+  if (config.sourceType === 'http') {
+    if (!config.httpUrl) throw new Error('ORACLE_SOURCE=http에는 ORACLE_HTTP_URL이 필요합니다.');
+    return createHttpSource(config.httpUrl, { tokens: config.extraTokens });
+  }
+  return createFileSource(config.sourceFile);
+}
+
+// 음이 아닌 숫자 문자열을 지수 표기 없는 소수 문자열로 변환
+// (Number#toString·toFixed는 1e21 이상이나 아주 작은 값에서 지수 표기를 반환하므로 자릿수를 직접 옮김)
+function toPlainDecimal(value) {
+  const text = /^\d+(\.\d+)?$/.test(value) ? value : Number(value).toString();
+  const [mantissa, exponentText] = text.toLowerCase().split('e');
+  if (exponentText === undefined) return mantissa;
+  const [whole, fraction = ''] = mantissa.split('.');
+  const digits = whole + fraction;
+  const point = whole.length + Number(exponentText);
+  if (point <= 0) return `0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return digits + '0'.repeat(point - digits.length);
+  return `${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+// 사람이 읽는 USD 값을 18자리 고정소수점으로 변환 (소수점 18자리 초과분은 버림)
+function toWad(value) {
+  const [whole, fraction = ''] = toPlainDecimal(value).split('.');
+  const text = fraction ? `${whole}.${fraction.slice(0, 18)}` : whole;
+  return ethers.parseUnits(text, 18);
+}
+
+function toOnchainMetrics(metrics) {
+  const changeBps = Math.round(Number(metrics.priceChange24h) * 100);
+  const clampedBps = Math.max(-MAX_PRICE_CHANGE_BPS, Math.min(MAX_PRICE_CHANGE_BPS, changeBps));
+  return {
+    volumeUSD24h: toWad(metrics.volumeUSD24h),
+    liquidityUSD: toWad(metrics.liquidityUSD),
+    holders: BigInt(Math.floor(Number(metrics.holders))),
+    marketCapUSD: toWad(metrics.marketCapUSD),
+    priceUSD: toWad(metrics.priceUSD),
+    priceChange24h: BigInt(clampedBps),
+    priceChangeClamped: clampedBps !== changeBps
+  };
+}
+
+function changeBps(previous, next) {
+  if (previous === 0n) return next === 0n ? 0n : BigInt(MAX_PRICE_CHANGE_BPS);
+  const diff = next > previous ? next - previous : previous - next;
+  return diff * 10000n / previous;
+}
+
+/**
+ * 제출 여부 판단: 쿨다운 → 초기값 → 하트비트 → 변화율 순서로 확인
+ */
+function decideUpdate(onchain, next, config, now) {
+  const age = now - Number(onchain.lastUpdate);
+  if (age < UPDATE_COOLDOWN_SEC) return { update: false, reason: 'cooldown', age };
+  if (onchain.priceUSD === 0n) return { update: true, reason: 'initial', age };
+  if (age >= config.heartbeatSec) return { update: true, reason: 'heartbeat', age };
+  const changed = CHANGE_FIELDS.find((field) => changeBps(onchain[field], next[field]) >= config.thresholdBps);
+  if (changed) return { update: true, reason: `${changed}_changed`, age };
+  return { update: false, reason: 'unchanged', age };
+}
+
+/**
+ * TrackerAdded/TrackerRemoved 이벤트를 마지막으로 조회한 블록 이후부터 증분 조회
+ */
+async function discoverTrackedTokens(updater) {
+  const latest = await ethers.provider.getBlockNumber();
+  const { oracle } = updater;
+  for (let from = updater.nextScanBlock; from <= latest; from += EVENT_QUERY_CHUNK) {
+    const to = Math.min(from + EVENT_QUERY_CHUNK - 1, latest);
+    const [added, removed] = await Promise.all([
+      oracle.queryFilter(oracle.filters.TrackerAdded(), from, to),
+      oracle.queryFilter(oracle.filters.TrackerRemoved(), from, to)
+    ]);
+    // 같은 토큰을 추가했다가 멈춘 경우 마지막 이벤트가 남도록 블록 순서대로 적용
+    [...added, ...removed]
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+      .forEach((event) => {
+        const token = ethers.getAddress(event.args.token);
+        if (event.eventName === 'TrackerAdded') updater.knownTokens.add(token);
+        else updater.knownTokens.delete(token);
+      });
+  }
+  updater.nextScanBlock = latest + 1;
+}
+
+async function sendAlert(updater, token, fields) {
+  log('stale_alert', { level: 'error', token, ...fields });
+  if (!updater.config.alertWebhook) return;
+  try {
+    await fetch(updater.config.alertWebhook, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ service: 'oracle-updater', network: hre.network.name, token, ...fields }),
+      signal: AbortSignal.timeout(10000)
+    });
+  } catch (error) {
+    log('alert_delivery_failed', { level: 'error', token, error: error.message });
+  }
+}
+
+async function pushMetrics(updater, token, metrics, decision) {
+  return withRetry(async (attempt) => {
+    const nonce = await updater.nonces.next();
+    let tx;
+    try {
+      tx = await updater.oracle.updateTokenMetrics(
+        token,
+        metrics.volumeUSD24h,
+        metrics.liquidityUSD,
+        metrics.holders,
+        metrics.marketCapUSD,
+        metrics.priceUSD,
+        metrics.priceChange24h,
+        { nonce }
+      );
+    } catch (error) {
+      updater.nonces.resync();
+      throw error;
+    }
+    log('metrics_submitted', { token, attempt, reason: decision.reason, nonce, txHash: tx.hash });
+    const receipt = await tx.wait();
+    log('metrics_confirmed', { token, txHash: tx.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed, priceUSD: ethers.formatUnits(metrics.priceUSD, 18) });
+    return receipt;
+  }, {
+    retries: updater.config.maxRetries,
+    shouldRetry: (error) => error.code !== 'CALL_EXCEPTION',
+    onRetry: (error, attempt) => log('metrics_retrying', { token, attempt, error: error.shortMessage || error.message })
+  });
+}
+
+async function processToken(updater, token, now) {
+  const { oracle, source } = updater;
+  if (!(await oracle.isTrackingToken(token))) {
+    if (!updater.untrackedLogged.has(token)) {
+      updater.untrackedLogged.add(token);
+      log('token_skipped', { token, reason: 'not_tracked' });
+    }
+    return;
+  }
+  updater.untrackedLogged.delete(token);
+
+  let sourceMetrics;
+  try {
+    sourceMetrics = await source.getMetrics(token);
+  } catch (error) {
+    log('source_error', { level: 'error', token, source: source.name, error: error.message });
+    return;
+  }
+  if (!sourceMetrics) {
+    log('token_skipped', { token, reason: 'no_source_data', source: source.name });
+    return;
+  }
+
+  const next = toOnchainMetrics(sourceMetrics);
+  if (next.priceChangeClamped) {
+    log('price_change_clamped', { token, sourceValue: sourceMetrics.priceChange24h, submittedBps: next.priceChange24h });
+  }
+  const onchain = await oracle.getTokenMetrics(token);
+  const decision = decideUpdate(onchain, next, updater.config, now);
+  if (!decision.update) return;
+
+  try {
+    await pushMetrics(updater, token, next, decision);
+  } catch (error) {
+    log('metrics_failed', { level: 'error', token, reason: decision.reason, error: error.shortMessage || error.message });
+  }
+}
+
+// 신선도가 떨어진 순간과 회복된 순간에만 알림을 보내 반복 경고를 막음
+async function checkFreshness(updater, token) {
+  if (!(await updater.oracle.isTrackingToken(token))) return;
+  const fresh = await updater.oracle.isDataFresh(token, updater.config.staleSec);
+  const wasStale = updater.staleTokens.has(token);
+  if (!fresh && !wasStale) {
+    updater.staleTokens.add(token);
+    const metrics = await updater.oracle.getTokenMetrics(token);
+    await sendAlert(updater, token, { status: 'stale', maxAgeSec: updater.config.staleSec, lastUpdate: Number(metrics.lastUpdate) });
+  } else if (fresh && wasStale) {
+    updater.staleTokens.delete(token);
+    log('stale_recovered', { token });
+  }
+}
+
+async function runRound(updater) {
+  await discoverTrackedTokens(updater);
+  const sourceTokens = await updater.source.listTokens().catch((error) => {
+    log('source_error', { level: 'error', source: updater.source.name, error: error.message });
+    return [];
+  });
+  const tokens = new Set(updater.knownTokens);
+  [...sourceTokens, ...updater.config.extraTokens].forEach((token) => tokens.add(ethers.getAddress(token)));
+
+  const now = (await ethers.provider.getBlock('latest')).timestamp;
+  log('round_started', { tokens: tokens.size, source: updater.source.name });
+  for (const token of tokens) {
+    if (updater.stopping) break;
+    await processToken(updater, token, now);
+    await checkFreshness(updater, token);
+  }
+  log('round_finished', { staleTokens: [...updater.staleTokens] });
+}
+
+async function main() {
+  const config = loadConfig();
+  const [signer] = await ethers.getSigners();
+  const oracle = await ethers.getContractAt('PumpFunOracle', config.oracle, signer);
+
+  const isAuthorized = await oracle.authorizedUpdaters(signer.address);
+  if (!isAuthorized && (await oracle.owner()) !== signer.address) {
+    throw new Error(`${signer.address}는 PumpFunOracle의 인가된 업데이터가 아닙니다. authorizeUpdater를 먼저 호출하세요.`);
+  }
+
+  const updater = {
+    config,
+    oracle,
+    source: createSource(config),
+    nonces: createNonceManager(signer),
+    knownTokens: new Set(),
+    untrackedLogged: new Set(),
+    staleTokens: new Set(),
+    nextScanBlock: config.fromBlock,
+    stopping: false
+  };
+
+  log('updater_started', {
+    network: hre.network.name,
+    updater: signer.address,
+    oracle: config.oracle,
+    source: updater.source.name,
+    thresholdBps: config.thresholdBps,
+    heartbeatSec: config.heartbeatSec,
+    staleSec: config.staleSec
+  });
+
+  const stop = () => {
+    updater.stopping = true;
+    log('updater_stopping');
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  while (!updater.stopping) {
+    try {
+      await runRound(updater);
+    } catch (error) {
+      log('round_failed', { level: 'error', error: error.shortMessage || error.message });
+    }
+    if (config.once) break;
+    await sleep(config.pollMs);
+  }
+  log('updater_stopped');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    log('updater_crashed', { level: 'error', error: error.message });
+    process.exit(1);
+  });
@@ -0,0 +1,117 @@
+import { loadDeployMessages } from "./deploy-messages.js";
+
+// 배포 후 소유권 이전 (governance/multisig)
+//
+// 배포 계정이 가진 컨트랙트 소유권과 청산 엔진의 treasury/보험 기금을 배포 설정의 값으로 넘깁니다.
+// planHandoff로 변경 목록을 만든 뒤 executeHandoff로 실행하고, verifyHandoff로 온체인 상태를 다시 확인합니다.
+// treasury/보험 기금 변경이 소유권 이전보다 먼저 실행되어야 하므로 목록 순서를 그대로 따릅니다.
+
+// 소유권을 넘길 컨트랙트 (매니페스트 키 = 컨트랙트 이름)
+export const HANDOFF_CONTRACTS = [
+  'PumpFunOracle',
+  'MemeTokenRegistry',
+  'PillarLendingVault',
+  'DynamicRangeVault',
+  'PillarLiquidationEngine'
+];
+
+const { t } = loadDeployMessages();
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * 온체인 상태와 목표값을 비교해 변경 목록 작성
+ * @param {object} hre - Hardhat 런타임
+ * @param {object} manifest - 배포 매니페스트 (contracts 필요)
+ * @param {{ owner: string, treasury: string, insuranceFund: string }} target - 이전할 주소
+ * @returns {Promise<Array<{ key: string, contract: string, action: string, current: string, target: string, pending: boolean, read: Function, run: Function }>>}
+ */
+export async function planHandoff(hre, manifest, target) {
+  const { ethers } = hre;
+  const contracts = {};
+  for (const name of HANDOFF_CONTRACTS) {
+    contracts[name] = await ethers.getContractAt(name, manifest.contracts[name].address);
+  }
+  const engine = contracts.PillarLiquidationEngine;
+
+  const changes = [];
+  async function add(contract, action, targetValue, read, run) {
+    const current = await read();
+    changes.push({
+      key: `handoff:${contract}.${action}`,
+      contract,
+      action,
+      current,
+      target: targetValue,
+      pending: !sameAddress(current, targetValue),
+      read,
+      run
+    });
+  }
+
+  await add('PillarLiquidationEngine', 'updateTreasury', target.treasury,
+    () => engine.treasury(), () => engine.updateTreasury(target.treasury));
+  await add('PillarLiquidationEngine', 'updateInsuranceFund', target.insuranceFund,
+    () => engine.insuranceFund(), () => engine.updateInsuranceFund(target.insuranceFund));
+  for (const name of HANDOFF_CONTRACTS) {
+    await add(name, 'transferOwnership', target.owner,
+      () => contracts[name].owner(), () => contracts[name].transferOwnership(target.owner));
+  }
+  return changes;
+}
+
+/**
+ * 변경 목록을 사람이 읽을 수 있는 줄 목록으로 변환
+ */
+export function formatHandoffPlan(changes) {
+  return changes.map((change) => {
+    const label = `${change.contract}.${change.action}`;
+    return change.pending
+      ? `  • ${label}: ${change.current} → ${change.target}`
+      : `  ✓ ${label}: ${t('handoff.alreadySet', { target: change.target })}`;
+  });
+}
+
+/**
+ * 대기 중인 변경을 매니페스트 단계로 실행
+ * 실행 전에 서명 계정이 각 컨트랙트의 현재 소유자인지 확인하고, 아니면 아무 트랜잭션도 보내지 않습니다.
+ * @param {object} hre - Hardhat 런타임
+ * @param {Array} changes - planHandoff 결과
+ * @param {Function} step - createManifestDeployer의 step
+ */
+export async function executeHandoff(hre, changes, step) {
+  const [signer] = await hre.ethers.getSigners();
+  const pending = changes.filter((change) => change.pending);
+  const contractsToTouch = [...new Set(pending.map((change) => change.contract))];
+  const notOwned = [];
+  for (const name of contractsToTouch) {
+    const ownerChange = changes.find((change) => change.contract === name && change.action === 'transferOwnership');
+    if (!sameAddress(ownerChange.current, signer.address)) notOwned.push(t('handoff.ownedBy', { contract: name, owner: ownerChange.current }));
+  }
+  if (notOwned.length > 0) {
+    throw new Error(t('handoff.notOwner', { signer: signer.address, contracts: notOwned.join(', ') }));
+  }
+
+  for (const change of pending) {
+    await step(change.key, {
+      isDone: async () => sameAddress(await change.read(), change.target),
+      run: change.run
+    });
+    console.log(`✅ ${change.contract}.${change.action} → ${change.target}`);
+  }
+}
+
+/**
+ * 이전 후 온체인 상태 재확인
+ * @returns {Promise<string[]>} 목표값과 다른 항목 설명 (비어 있으면 통과)
+ */
+export async function verifyHandoff(changes) {
+  const failures = [];
+  for (const change of changes) {
+    const actual = await change.read();
+    if (!sameAddress(actual, change.target)) {
+      failures.push(t('handoff.mismatch', { change: `${change.contract}.${change.action}`, expected: change.target, actual }));
+    }
+  }
+  return failures;
+}
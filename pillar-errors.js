@@ -0,0 +1,717 @@
+// 컨트랙트 오류 해석 (UI와 배포 스크립트 공용)
+//
+// ethers 오류에서 revert 문자열(require 메시지), 커스텀 오류, Panic 코드, 지갑/RPC 오류 코드를 꺼내
+// 사용자에게 보여줄 설명과 해결 방법으로 바꿉니다. 외부 의존성이 없어 pillarui.js(동적 import)와
+// deploy.js(Node ESM)가 같은 파일을 그대로 사용합니다.
+// 설명과 해결 방법은 영어(en)와 한국어(ko)로 제공하며 locale 옵션으로 고릅니다.
+
+/**
+ * 오류 카탈로그 (위에서부터 먼저 일치하는 항목 사용)
+ * reasons: revert 문자열 (require 메시지)
+ * errors: 커스텀 오류 이름 (OpenZeppelin 5 등)
+ * codes: ethers 오류 코드 또는 EIP-1193 코드
+ * patterns: 위에서 찾지 못했을 때 오류 메시지 전체에 적용할 정규식
+ * message, hint: 언어별 문구 { en, ko } (hint는 없으면 null)
+ */
+export const ERROR_CATALOG = [
+  // ----- DynamicRangeVault -----
+  {
+    code: 'COLLATERAL_TOO_SMALL',
+    reasons: ['DynamicVault: Collateral too small', 'Collateral too small'],
+    message: {
+      en: 'Collateral is below the minimum (100 USDC).',
+      ko: '담보가 최소 금액(100 USDC)보다 적습니다.'
+    },
+    hint: {
+      en: 'Enter at least 100 USDC of collateral.',
+      ko: '담보 금액을 100 USDC 이상으로 입력하세요.'
+    }
+  },
+  {
+    code: 'LEVERAGE_OVER_TIER_CAP',
+    reasons: ['DynamicVault: Exceeds tier leverage limit', 'Exceeds tier leverage limit'],
+    message: {
+      en: 'The selected leverage exceeds this asset tier\'s maximum leverage.',
+      ko: '선택한 레버리지가 이 자산 등급의 최대 레버리지를 넘습니다.'
+    },
+    hint: {
+      en: 'Lower it to the maximum leverage shown next to the asset pair.',
+      ko: '자산 페어 옆에 표시된 최대 레버리지 이하로 낮추세요.'
+    }
+  },
+  {
+    code: 'LEVERAGE_OVER_MEME_CAP',
+    reasons: ['DynamicVault: Exceeds meme token leverage limit', 'Exceeds meme leverage limit'],
+    message: {
+      en: 'The selected leverage exceeds the meme token tier\'s (Bronze/Silver/Gold) maximum leverage.',
+      ko: '선택한 레버리지가 밈 토큰 티어(Bronze/Silver/Gold)의 최대 레버리지를 넘습니다.'
+    },
+    hint: {
+      en: 'Lower it to the tier maximum shown next to the asset pair.',
+      ko: '자산 페어 옆에 표시된 티어별 최대 레버리지 이하로 낮추세요.'
+    }
+  },
+  {
+    code: 'INVALID_LEVERAGE',
+    reasons: ['DynamicVault: Invalid leverage', 'Invalid leverage'],
+    message: {
+      en: 'The leverage is outside the allowed range.',
+      ko: '레버리지가 허용 범위를 벗어났습니다.'
+    },
+    hint: {
+      en: 'Choose at least 1x and no more than the vault\'s maximum leverage.',
+      ko: '1x 이상, 볼트 최대 레버리지 이하로 선택하세요.'
+    }
+  },
+  {
+    code: 'INVALID_FEE_TIER',
+    reasons: ['DynamicVault: Invalid fee tier'],
+    message: {
+      en: 'This fee tier is not supported.',
+      ko: '지원하지 않는 수수료 등급입니다.'
+    },
+    hint: {
+      en: 'Reload the page and try again.',
+      ko: '페이지를 새로고침한 뒤 다시 시도하세요.'
+    }
+  },
+  {
+    code: 'RANGE_TOO_WIDE',
+    reasons: ['DynamicVault: Range too wide for leverage', 'Custom range exceeds legal band'],
+    message: {
+      en: 'The price range is wider than this leverage allows.',
+      ko: '설정한 가격 범위가 이 레버리지에서 허용되는 범위보다 넓습니다.'
+    },
+    hint: {
+      en: 'Narrow the price range slider to the allowed band or leave it at 0 (auto).',
+      ko: '가격 범위 슬라이더를 허용 범위 이하로 줄이거나 0(자동)으로 두세요.'
+    }
+  },
+  {
+    code: 'NOT_POSITION_OWNER',
+    reasons: ['DynamicVault: Not position owner'],
+    message: {
+      en: 'You are not the owner of this position.',
+      ko: '이 포지션의 소유자가 아닙니다.'
+    },
+    hint: {
+      en: 'Connect the wallet that opened the position.',
+      ko: '포지션을 연 지갑으로 연결하세요.'
+    }
+  },
+  {
+    code: 'POSITION_NOT_FOUND',
+    reasons: ['DynamicVault: Position does not exist', 'DynamicVault: Invalid position ID'],
+    message: {
+      en: 'Position not found.',
+      ko: '포지션을 찾을 수 없습니다.'
+    },
+    hint: {
+      en: 'Refresh the position list.',
+      ko: '포지션 목록을 새로고침하세요.'
+    }
+  },
+  {
+    code: 'POSITION_NOT_ACTIVE',
+    reasons: [
+      'DynamicVault: Position not active',
+      'DynamicVault: Position already closed/liquidated',
+      'DynamicVault: Cannot close this position'
+    ],
+    message: {
+      en: 'This position has already been closed or liquidated.',
+      ko: '이미 종료되었거나 청산된 포지션입니다.'
+    },
+    hint: {
+      en: 'Refresh the position list to see its current status.',
+      ko: '포지션 목록을 새로고침해 현재 상태를 확인하세요.'
+    }
+  },
+  {
+    code: 'ONLY_LIQUIDATION_ENGINE',
+    reasons: ['DynamicVault: Only liquidation engine'],
+    message: {
+      en: 'Only the liquidation engine can perform this action.',
+      ko: '청산 엔진만 실행할 수 있는 작업입니다.'
+    },
+    hint: {
+      en: 'Run liquidations through PillarLiquidationEngine.',
+      ko: '청산은 PillarLiquidationEngine을 통해 실행하세요.'
+    }
+  },
+
+  // ----- PillarLendingVault -----
+  {
+    code: 'INSUFFICIENT_LIQUIDITY',
+    reasons: ['PillarLending: Insufficient liquidity'],
+    message: {
+      en: 'The lending pool does not have enough available liquidity.',
+      ko: '렌딩 풀의 가용 유동성이 부족합니다.'
+    },
+    hint: {
+      en: 'Reduce the amount or leverage, or wait for more liquidity to be supplied.',
+      ko: '금액이나 레버리지를 줄이거나 유동성이 공급될 때까지 기다리세요.'
+    }
+  },
+  {
+    code: 'INSUFFICIENT_SUPPLY_BALANCE',
+    reasons: ['PillarLending: Insufficient supply balance'],
+    message: {
+      en: 'The withdrawal exceeds your supplied balance.',
+      ko: '출금 금액이 내 공급 잔액보다 많습니다.'
+    },
+    hint: {
+      en: 'Enter no more than your supplied principal plus interest shown in the lending pool panel.',
+      ko: '렌딩 풀 패널의 내 공급 원금과 이자 합계 이하로 입력하세요.'
+    }
+  },
+  {
+    code: 'ZERO_AMOUNT',
+    reasons: ['PillarLending: Amount must be greater than 0'],
+    message: {
+      en: 'The amount must be greater than 0.',
+      ko: '금액은 0보다 커야 합니다.'
+    },
+    hint: {
+      en: 'Enter an amount and try again.',
+      ko: '금액을 입력한 뒤 다시 시도하세요.'
+    }
+  },
+  {
+    code: 'REPAY_EXCEEDS_DEBT',
+    reasons: ['PillarLending: Amount exceeds borrow balance'],
+    message: {
+      en: 'The repayment exceeds the borrowed balance.',
+      ko: '상환 금액이 차입 잔액보다 많습니다.'
+    },
+    hint: {
+      en: 'Repay no more than the remaining debt.',
+      ko: '남은 부채 이하로 상환하세요.'
+    }
+  },
+  {
+    code: 'UNAUTHORIZED_VAULT',
+    reasons: ['PillarLending: Unauthorized vault'],
+    message: {
+      en: 'The lending pool does not allow this vault to borrow.',
+      ko: '렌딩 풀이 이 볼트의 차입을 허용하지 않습니다.'
+    },
+    hint: {
+      en: 'Check the PillarLendingVault.authorizedVaults setting with verify-config.js.',
+      ko: 'verify-config.js로 PillarLendingVault.authorizedVaults 설정을 확인하세요.'
+    }
+  },
+  {
+    code: 'UNSUPPORTED_ASSET',
+    reasons: ['PillarLending: Invalid asset', 'PillarLending: Cannot use PLLAR as collateral'],
+    message: {
+      en: 'This asset is not supported by the lending pool.',
+      ko: '렌딩 풀에서 지원하지 않는 자산입니다.'
+    },
+    hint: {
+      en: 'Use a token registered as a lending asset (such as USDC).',
+      ko: '렌딩 자산으로 등록된 토큰(USDC 등)을 사용하세요.'
+    }
+  },
+  {
+    code: 'PILLAR_TOKEN_AS_ASSET',
+    reasons: ['PillarLending: Cannot add PLLAR token'],
+    message: {
+      en: 'The PILLAR token cannot be added as a lending asset.',
+      ko: 'PILLAR 토큰은 렌딩 자산으로 추가할 수 없습니다.'
+    },
+    hint: {
+      en: 'Choose a lending asset other than the deployment config\'s pillarToken.',
+      ko: '배포 설정의 pillarToken과 다른 토큰을 렌딩 자산으로 지정하세요.'
+    }
+  },
+  {
+    code: 'ASSET_ALREADY_LISTED',
+    reasons: ['PillarLending: Asset already added'],
+    message: {
+      en: 'This token is already registered as a lending asset.',
+      ko: '이미 렌딩 자산으로 등록된 토큰입니다.'
+    },
+    hint: {
+      en: 'To change its interest rate model, review the existing asset settings instead of adding it again.',
+      ko: '이자율 모델을 바꾸려면 새 자산 설정 대신 기존 설정을 확인하세요.'
+    }
+  },
+  {
+    code: 'INVALID_RATE_MODEL',
+    reasons: ['PillarLending: Reserve factor too high', 'PillarLending: Invalid optimal utilization'],
+    message: {
+      en: 'An interest rate model value is outside the allowed range.',
+      ko: '이자율 모델 값이 허용 범위를 벗어났습니다.'
+    },
+    hint: {
+      en: 'Keep the reserve factor at or below 50% and the optimal utilization at or below 100%.',
+      ko: '준비금 비율은 50% 이하, 최적 이용률은 100% 이하로 지정하세요.'
+    }
+  },
+
+  // ----- MemeTokenRegistry -----
+  {
+    code: 'WHITELIST_FEE_TOO_LOW',
+    reasons: ['MemeRegistry: Insufficient fee'],
+    message: {
+      en: 'The listing request fee is too low.',
+      ko: '상장 신청 수수료가 부족합니다.'
+    },
+    hint: {
+      en: 'The fee may have changed. Check the latest fee in the panel and submit again.',
+      ko: '신청 수수료가 바뀌었을 수 있으니 패널의 최신 수수료를 확인하고 다시 신청하세요.'
+    }
+  },
+  {
+    code: 'WEBSITE_REQUIRED',
+    reasons: ['MemeRegistry: Website required'],
+    message: {
+      en: 'A project website URL is required.',
+      ko: '프로젝트 웹사이트 주소가 필요합니다.'
+    },
+    hint: {
+      en: 'Enter a website URL starting with http(s).',
+      ko: 'http(s)로 시작하는 웹사이트 주소를 입력하세요.'
+    }
+  },
+  {
+    code: 'ALREADY_WHITELISTED',
+    reasons: ['MemeRegistry: Already whitelisted'],
+    message: {
+      en: 'This token is already listed.',
+      ko: '이미 상장된 토큰입니다.'
+    },
+    hint: {
+      en: 'You can select it directly from the asset pair list.',
+      ko: '자산 페어 목록에서 바로 선택할 수 있습니다.'
+    }
+  },
+  {
+    code: 'NO_WHITELIST_REQUEST',
+    reasons: ['MemeRegistry: No whitelist request'],
+    message: {
+      en: 'There is no listing request for this token.',
+      ko: '이 토큰의 상장 신청 기록이 없습니다.'
+    },
+    hint: {
+      en: 'Submit a listing request (and pay the fee) first.',
+      ko: '토큰 상장 신청(수수료 결제)이 먼저 필요합니다.'
+    }
+  },
+  {
+    code: 'NO_ORACLE_DATA',
+    reasons: ['MemeRegistry: No trading data'],
+    message: {
+      en: 'The oracle has no trading data for this token.',
+      ko: '오라클에 이 토큰의 거래 데이터가 없습니다.'
+    },
+    hint: {
+      en: 'Start oracle tracking and wait for oracle-updater.js to submit metrics, then try again.',
+      ko: '오라클 추적을 시작하고 oracle-updater.js가 지표를 제출한 뒤 다시 시도하세요.'
+    }
+  },
+  {
+    code: 'BELOW_TIER_REQUIREMENTS',
+    reasons: ['MemeRegistry: Does not meet minimum requirements'],
+    message: {
+      en: 'The token\'s metrics do not meet the Bronze tier minimums.',
+      ko: '토큰 지표가 Bronze 티어의 최소 요구사항에 못 미칩니다.'
+    },
+    hint: {
+      en: 'Evaluate again once volume, liquidity, holder count and market cap pass the thresholds.',
+      ko: '거래량, 유동성, 보유자 수, 시가총액이 기준을 넘은 뒤 다시 심사하세요.'
+    }
+  },
+  {
+    code: 'NO_FEES',
+    reasons: ['MemeRegistry: No fees to withdraw'],
+    message: {
+      en: 'There are no listing fees to withdraw.',
+      ko: '인출할 상장 수수료가 없습니다.'
+    },
+    hint: null
+  },
+  {
+    code: 'INVALID_TOKEN',
+    reasons: ['MemeRegistry: Invalid token', 'PumpOracle: Invalid token'],
+    message: {
+      en: 'Invalid token address.',
+      ko: '올바르지 않은 토큰 주소입니다.'
+    },
+    hint: {
+      en: 'Double-check the token contract address.',
+      ko: '토큰 컨트랙트 주소를 다시 확인하세요.'
+    }
+  },
+
+  // ----- PumpFunOracle -----
+  {
+    code: 'TOKEN_NOT_TRACKED',
+    reasons: ['PumpOracle: Token not tracked', 'PumpOracle: Not tracking'],
+    message: {
+      en: 'The oracle is not tracking this token.',
+      ko: '오라클이 추적하지 않는 토큰입니다.'
+    },
+    hint: {
+      en: 'The oracle owner must start tracking it with startTrackingToken.',
+      ko: '오라클 owner가 startTrackingToken으로 추적을 시작해야 합니다.'
+    }
+  },
+  {
+    code: 'ALREADY_TRACKING',
+    reasons: ['PumpOracle: Already tracking'],
+    message: {
+      en: 'The oracle is already tracking this token.',
+      ko: '이미 오라클이 추적 중인 토큰입니다.'
+    },
+    hint: null
+  },
+  {
+    code: 'ORACLE_UNAUTHORIZED',
+    reasons: ['PumpOracle: Unauthorized'],
+    message: {
+      en: 'This account is not authorized to submit oracle metrics.',
+      ko: '오라클 지표를 제출할 권한이 없는 계정입니다.'
+    },
+    hint: {
+      en: 'The oracle owner must authorize this account with authorizeUpdater.',
+      ko: '오라클 owner가 authorizeUpdater로 이 계정을 인가해야 합니다.'
+    }
+  },
+  {
+    code: 'ORACLE_UPDATE_REJECTED',
+    reasons: ['PumpOracle: Update too frequent', 'PumpOracle: Price change too extreme'],
+    message: {
+      en: 'The oracle rejected this metrics update (too frequent or the price moved too sharply).',
+      ko: '오라클이 이번 지표 업데이트를 거부했습니다 (너무 잦거나 가격 변동이 지나치게 큼).'
+    },
+    hint: {
+      en: 'Increase the update interval or check the price from the data source.',
+      ko: '업데이트 간격을 늘리거나 데이터 소스의 가격을 확인하세요.'
+    }
+  },
+  {
+    // 컨트랙트 revert가 아니라 UI가 getPrice의 isFresh로 판단하는 상태
+    code: 'STALE_ORACLE',
+    message: {
+      en: 'Positions cannot be opened because the oracle price has not been updated for over 30 minutes.',
+      ko: '오라클 가격이 30분 넘게 갱신되지 않아 포지션을 열 수 없습니다.'
+    },
+    hint: {
+      en: 'Wait for the oracle updater to submit fresh metrics.',
+      ko: '오라클 업데이터가 새 지표를 제출할 때까지 기다리세요.'
+    }
+  },
+
+  // ----- PillarLiquidationEngine -----
+  {
+    code: 'INVALID_LIQUIDATION_THRESHOLD',
+    reasons: ['LiquidationEngine: Invalid threshold'],
+    message: {
+      en: 'The liquidation threshold is outside the allowed range.',
+      ko: '청산 임계값이 허용 범위를 벗어났습니다.'
+    },
+    hint: {
+      en: 'Use a value between 5000 and 9500 bps (50%–95%).',
+      ko: '5000~9500 bps(50%~95%) 사이로 지정하세요.'
+    }
+  },
+  {
+    code: 'INVALID_ADDRESS',
+    reasons: [
+      'LiquidationEngine: Invalid treasury',
+      'LiquidationEngine: Invalid insurance fund',
+      'LiquidationEngine: Invalid dynamic vault',
+      'LiquidationEngine: Invalid lending vault',
+      'LiquidationEngine: Invalid meme registry',
+      'DynamicVault: Invalid treasury',
+      'DynamicVault: Invalid lending vault',
+      'DynamicVault: Invalid meme registry',
+      'PillarLending: Invalid treasury',
+      'MemeRegistry: Invalid oracle'
+    ],
+    message: {
+      en: 'The zero address cannot be used.',
+      ko: '0 주소는 사용할 수 없습니다.'
+    },
+    hint: {
+      en: 'Check the deployment config or the address you entered.',
+      ko: '배포 설정이나 입력한 주소를 확인하세요.'
+    }
+  },
+
+  // ----- OpenZeppelin 공통 -----
+  {
+    code: 'VAULT_PAUSED',
+    reasons: ['Pausable: paused'],
+    errors: ['EnforcedPause'],
+    message: {
+      en: 'The vault is paused.',
+      ko: '볼트가 일시 정지되어 있습니다.'
+    },
+    hint: {
+      en: 'Wait for the operator to unpause the vault.',
+      ko: '운영자가 볼트를 재개할 때까지 기다리세요.'
+    }
+  },
+  {
+    code: 'NOT_PAUSED',
+    reasons: ['Pausable: not paused'],
+    errors: ['ExpectedPause'],
+    message: {
+      en: 'The vault is not paused.',
+      ko: '볼트가 일시 정지 상태가 아닙니다.'
+    },
+    hint: null
+  },
+  {
+    code: 'NOT_OWNER',
+    reasons: ['Ownable: caller is not the owner'],
+    errors: ['OwnableUnauthorizedAccount'],
+    message: {
+      en: 'Only the contract owner can perform this action.',
+      ko: '컨트랙트 owner만 실행할 수 있는 작업입니다.'
+    },
+    hint: {
+      en: 'Use the owner account. If ownership was handed over to governance, execute it from the multisig.',
+      ko: 'owner 계정으로 실행하세요. 소유권이 governance로 이전됐다면 multisig에서 실행해야 합니다.'
+    }
+  },
+  {
+    code: 'INSUFFICIENT_TOKEN_BALANCE',
+    reasons: ['ERC20: transfer amount exceeds balance'],
+    errors: ['ERC20InsufficientBalance'],
+    message: {
+      en: 'Insufficient token balance.',
+      ko: '토큰 잔액이 부족합니다.'
+    },
+    hint: {
+      en: 'Check your wallet balance and reduce the amount.',
+      ko: '지갑 잔액을 확인하고 금액을 줄이세요.'
+    }
+  },
+  {
+    code: 'INSUFFICIENT_ALLOWANCE',
+    reasons: ['ERC20: transfer amount exceeds allowance'],
+    errors: ['ERC20InsufficientAllowance'],
+    message: {
+      en: 'The token allowance is too low.',
+      ko: '토큰 사용 승인액이 부족합니다.'
+    },
+    hint: {
+      en: 'Check the allowance in the token approval panel and try again.',
+      ko: '토큰 승인 관리 패널에서 승인액을 확인한 뒤 다시 시도하세요.'
+    }
+  },
+  {
+    code: 'ARITHMETIC',
+    errors: ['Panic'],
+    message: {
+      en: 'The contract hit an arithmetic error (Panic).',
+      ko: '컨트랙트 연산 오류(Panic)가 발생했습니다.'
+    },
+    hint: {
+      en: 'Make sure the inputs are not unreasonably large or small.',
+      ko: '입력값이 지나치게 크거나 작지 않은지 확인하세요.'
+    }
+  },
+
+  // ----- 지갑 / RPC / 배포 -----
+  {
+    code: 'USER_REJECTED',
+    codes: [4001, 'ACTION_REJECTED'],
+    message: {
+      en: 'The request was rejected in the wallet.',
+      ko: '지갑에서 요청을 거부했습니다.'
+    },
+    hint: null
+  },
+  {
+    code: 'INSUFFICIENT_FUNDS',
+    codes: ['INSUFFICIENT_FUNDS'],
+    patterns: [/insufficient funds/i],
+    message: {
+      en: 'Not enough native token balance to pay for gas.',
+      ko: '가스비를 낼 네이티브 토큰 잔액이 부족합니다.'
+    },
+    hint: {
+      en: 'Send more native tokens (S/ETH) to the account.',
+      ko: '계정에 네이티브 토큰(S/ETH)을 더 보내세요.'
+    }
+  },
+  {
+    code: 'NONCE_MISMATCH',
+    codes: ['NONCE_EXPIRED'],
+    patterns: [/nonce too (high|low)/i, /nonce has already been used/i],
+    message: {
+      en: 'The account nonce does not match the node\'s.',
+      ko: '계정 nonce가 노드와 맞지 않습니다.'
+    },
+    hint: {
+      en: 'Wait for pending transactions to be processed or reset the account nonce in your wallet.',
+      ko: '보류 중인 트랜잭션이 처리되기를 기다리거나 지갑의 계정 nonce를 재설정하세요.'
+    }
+  },
+  {
+    code: 'DEPLOYMENT_FAILED',
+    patterns: [/Contract deployment failed/i],
+    message: {
+      en: 'Contract deployment failed.',
+      ko: '컨트랙트 배포에 실패했습니다.'
+    },
+    hint: {
+      en: 'Check the contract code for compilation errors.',
+      ko: '컨트랙트 코드의 컴파일 오류를 확인하세요.'
+    }
+  },
+  {
+    code: 'DEPLOY_CONFIG',
+    patterns: [/배포 설정/, /Deployment config error/i],
+    message: {
+      en: 'The deployment config is invalid.',
+      ko: '배포 설정이 올바르지 않습니다.'
+    },
+    hint: {
+      en: 'Fix the network config file under deploy-config/ and run again.',
+      ko: 'deploy-config/ 아래의 네트워크 설정 파일을 수정한 뒤 다시 실행하세요.'
+    }
+  }
+];
+
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71';        // Panic(uint256)
+const MAX_NESTING = 6;
+const DEFAULT_LOCALE = 'en';
+
+// 지갑·ethers가 원래 오류를 감싸는 여러 위치(error.error, info.error, cause)를 모두 방문
+function collectNested(error) {
+  const found = [];
+  const queue = [error];
+  while (queue.length > 0 && found.length < MAX_NESTING * 3) {
+    const candidate = queue.shift();
+    if (!candidate || typeof candidate !== 'object' || found.includes(candidate)) continue;
+    found.push(candidate);
+    queue.push(candidate.error, candidate.info && candidate.info.error, candidate.cause, candidate.data);
+  }
+  return found;
+}
+
+function decodeErrorString(data) {
+  const body = data.slice(10);
+  const length = parseInt(body.slice(64, 128), 16);
+  const hex = body.slice(128, 128 + length * 2);
+  const bytes = Uint8Array.from(hex.match(/../g) || [], (byte) => parseInt(byte, 16));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * revert 데이터(hex) 해석
+ * @param {string} data - 0x로 시작하는 revert 데이터
+ * @param {Array<{ parseError: Function }>} interfaces - 커스텀 오류를 해석할 ethers Interface 목록
+ */
+function decodeRevertData(data, interfaces) {
+  if (data.startsWith(ERROR_STRING_SELECTOR)) {
+    return { reason: decodeErrorString(data) };
+  }
+  if (data.startsWith(PANIC_SELECTOR)) {
+    return { name: 'Panic', args: [BigInt(`0x${data.slice(10, 74)}`)] };
+  }
+  for (const iface of interfaces) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) return { name: parsed.name, args: [...parsed.args] };
+    } catch (error) {
+      // 이 ABI의 오류가 아님
+    }
+  }
+  return null;
+}
+
+function extractRevert(error, interfaces) {
+  for (const candidate of collectNested(error)) {
+    if (candidate.revert && candidate.revert.name) {
+      return candidate.revert.name === 'Error'
+        ? { reason: String(candidate.revert.args[0]) }
+        : { name: candidate.revert.name, args: [...candidate.revert.args] };
+    }
+    if (typeof candidate.reason === 'string' && candidate.reason) {
+      return { reason: candidate.reason };
+    }
+    if (typeof candidate.data === 'string' && /^0x[0-9a-fA-F]{8,}$/.test(candidate.data)) {
+      const decoded = decodeRevertData(candidate.data, interfaces);
+      if (decoded) return decoded;
+    }
+  }
+  return {};
+}
+
+function collectMessages(error) {
+  return collectNested(error)
+    .map(candidate => [candidate.shortMessage, candidate.message].filter(Boolean).join(' '))
+    .join(' ');
+}
+
+// 요청한 언어의 문구가 없으면 영어로 대체
+function localize(text, locale) {
+  if (!text) return null;
+  return text[locale] || text[DEFAULT_LOCALE];
+}
+
+function toResult(entry, revert, locale) {
+  return {
+    code: entry.code,
+    message: localize(entry.message, locale),
+    hint: localize(entry.hint, locale),
+    reason: revert.reason || revert.name || null
+  };
+}
+
+/**
+ * ethers/지갑 오류를 사용자용 설명으로 변환
+ * @param {Error} error - ethers, EIP-1193 또는 Hardhat 오류
+ * @param {object} [options]
+ * @param {Array<{ parseError: Function }>} [options.interfaces=[]] - 커스텀 오류 해석용 ethers Interface
+ * @param {string} [options.locale='en'] - 설명 언어 ('en' 또는 'ko')
+ * @returns {{ code: string|null, message: string, hint: string|null, reason: string|null }}
+ *   카탈로그에 없으면 code와 hint가 null이고 message는 revert 문자열 또는 원래 메시지입니다.
+ */
+export function decodeContractError(error, { interfaces = [], locale = DEFAULT_LOCALE } = {}) {
+  const revert = extractRevert(error, interfaces);
+  const messages = collectMessages(error);
+  const codes = collectNested(error).map(candidate => candidate.code).filter(code => code !== undefined);
+
+  for (const entry of ERROR_CATALOG) {
+    // Hardhat은 revert 문자열을 메시지 안에만 넣는 경우가 있어 메시지도 함께 확인
+    if (entry.reasons && entry.reasons.some(reason => reason === revert.reason || messages.includes(reason))) {
+      return toResult(entry, revert, locale);
+    }
+    if (entry.errors && revert.name && entry.errors.includes(revert.name)) {
+      return toResult(entry, revert, locale);
+    }
+    if (entry.codes && codes.some(code => entry.codes.includes(code))) {
+      return toResult(entry, revert, locale);
+    }
+  }
+  for (const entry of ERROR_CATALOG) {
+    if (entry.patterns && entry.patterns.some(pattern => pattern.test(messages))) {
+      return toResult(entry, revert, locale);
+    }
+  }
+
+  return {
+    code: null,
+    message: revert.reason || revert.name || error.shortMessage || error.message || String(error),
+    hint: null,
+    reason: revert.reason || revert.name || null
+  };
+}
+
+/**
+ * 카탈로그 코드로 설명 조회 (컨트랙트 호출 전에 UI가 직접 판단한 상태용)
+ */
+export function describeErrorCode(code, { locale = DEFAULT_LOCALE } = {}) {
+  const entry = ERROR_CATALOG.find(item => item.code === code);
+  if (!entry) throw new Error(`알 수 없는 오류 코드: ${code}`);
+  return toResult(entry, {}, locale);
+}
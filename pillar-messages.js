@@ -0,0 +1,771 @@
+/*
+ * Pillar Protocol 화면 문구 카탈로그
+ *
+ * pillarui.js는 이 파일을 pillarui.js와 같은 위치에서 불러와 모든 화면 문구를 t(key, params)로 가져옵니다
+ * (다른 위치라면 window.PILLAR_MESSAGES_URL로 지정). 키는 "영역.이름" 형식이고, 문구 안의 {name}은
+ * 호출 시 넘긴 params 값으로 바뀝니다. 번역이 없는 키는 영어 문구로, 영어에도 없으면 키 자체로 표시합니다.
+ *
+ * 언어를 추가하려면 LOCALES, LOCALE_NAMES, NUMBER_LOCALES와 UI_MESSAGES에 같은 코드로 항목을 넣으면 됩니다.
+ * deploy-messages.js도 이 파일의 createTranslator/resolveLocale을 사용합니다.
+ */
+
+export const LOCALES = ['en', 'ko'];
+export const DEFAULT_LOCALE = 'en';
+
+// 언어 셀렉터에 표시할 이름 (각 언어 자체 표기)
+export const LOCALE_NAMES = {
+  en: 'English',
+  ko: '한국어'
+};
+
+// 숫자·통화·날짜 형식에 쓰는 Intl 로캘
+export const NUMBER_LOCALES = {
+  en: 'en-US',
+  ko: 'ko-KR'
+};
+
+// 후보 언어 태그(저장된 선택, navigator.languages, LANG 등) 중 지원하는 첫 언어를 고름
+// 'ko-KR', 'ko_KR.UTF-8'처럼 지역·인코딩이 붙은 값은 앞의 언어 코드만 봄
+export function resolveLocale(candidates) {
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    const language = String(candidate).toLowerCase().split(/[-_.]/)[0];
+    if (LOCALES.includes(language)) return language;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function createTranslator(bundles, locale) {
+  const messages = bundles[locale] || {};
+  const fallback = bundles[DEFAULT_LOCALE] || {};
+  return (key, params = {}) => {
+    const template = messages[key] ?? fallback[key];
+    if (template === undefined) return key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+  };
+}
+
+export const UI_MESSAGES = {
+  en: {
+    // 공통
+    'common.amountUsdc': 'Amount (USDC)',
+    'common.connectFirst': 'Connect your wallet first',
+    'common.txFailed': 'The transaction failed.',
+    'common.error': 'Error: {message}',
+
+    // 상단 내비게이션
+    'nav.customRpc': 'Custom RPC...',
+    'nav.apply': 'Apply',
+    'nav.chainId': 'Chain ID',
+    'nav.chainName': 'Network name',
+    'nav.currencySymbol': 'Symbol',
+    'nav.activity': 'Activity',
+    'nav.analytics': 'Analytics',
+    'nav.trade': 'Trade',
+    'nav.checkingNetwork': 'Checking network...',
+    'nav.loadingLibraries': 'Loading libraries...',
+    'nav.activityPending': 'Activity ({count} pending)',
+    'nav.language': 'Language',
+
+    // 지갑
+    'wallet.switchRequired': 'Please switch to {network}.',
+    'wallet.notFound': 'No EVM wallet such as MetaMask was found.',
+    'wallet.connecting': 'Connecting to {wallet}...',
+    'wallet.noAccounts': 'No accounts found.',
+    'wallet.connected': 'Wallet connected!',
+    'wallet.rejected': 'Wallet connection was rejected.',
+    'wallet.failed': 'Failed to connect the wallet.',
+    'wallet.noProvider': 'Wallet provider not found.',
+    'wallet.switching': 'Switching to {network}...',
+    'wallet.networkAdded': '{network} added!',
+    'wallet.addNetworkFailed': 'Failed to add the network.',
+    'wallet.switchFailed': 'Failed to switch networks.',
+    'wallet.disconnected': 'Wallet disconnected.',
+    'wallet.accountChanged': 'Wallet account changed. Reloading the page.',
+    'wallet.chainChanged': 'Wallet network changed: switching to {network}.',
+    'wallet.unsupportedChain': 'Unsupported network (chain ID {chainId}). Reconnect on {network}.',
+    'wallet.connectRequired': 'Not connected',
+    'wallet.connect': 'Connect wallet',
+    'wallet.pickerTitle': 'Choose a wallet',
+    'wallet.browserWallet': 'Browser wallet',
+    'wallet.lastUsed': 'Last used',
+    'wallet.cancel': 'Cancel',
+    'wallet.readOnly': '{network} (read-only)',
+
+    // 네트워크
+    'network.noContracts': 'pillar.config.js has no contract addresses for {network} (chain ID {chainId}).',
+    'network.switched': 'Switched to {network}.',
+    'network.invalidCustom': 'Enter a valid RPC URL and chain ID.',
+    'network.invalidCustomDetails': 'Chain ID {chainId} is not a known network. Enter a network name and a 2-6 character currency symbol.',
+    'network.chainIdMismatch': 'The RPC reports chain ID {actual}, not {expected}.',
+    'network.rpcUnreachable': 'Cannot reach the RPC: {error}',
+
+    // 초기화
+    'bootstrap.configLoadFailed': 'Failed to load the config module ({url}). Run deploy.js to generate pillar.config.js. ({error})',
+    'bootstrap.noDefaultNetwork': 'The config module has no addresses for the default network ({network}).',
+    'bootstrap.noSelectableNetwork': 'The config module has no contract addresses for any selectable network.',
+    'bootstrap.abiMissing': '{contract} (no ABI)',
+    'bootstrap.eventMissing': '{contract}.{event} event',
+    'bootstrap.abiIncomplete': 'The generated ABIs lack members the UI uses: {missing}. Check the contracts and regenerate pillar.config.js with deploy.js.',
+    'bootstrap.ethersTimeout': 'Timed out loading ethers.js',
+    'bootstrap.errorsLoadFailed': 'Failed to load the error module ({url}). Serve pillar-errors.js next to pillarui.js. ({error})',
+    'bootstrap.connectPrompt': 'Connect your wallet to start using Pillar Protocol',
+    'bootstrap.failed': 'Initialization failed: {error}',
+    'bootstrap.errorTitle': 'Initialization error',
+    'bootstrap.reload': 'Reload page',
+
+    // 포트폴리오
+    'portfolio.title': 'Portfolio',
+    'portfolio.walletAddress': 'Wallet address',
+    'portfolio.notConnected': 'Not connected',
+    'portfolio.network': 'Network',
+    'portfolio.viewAddress': 'View address (read-only)',
+    'portfolio.view': 'View',
+    'portfolio.viewing': '{address} (viewing)',
+    'portfolio.invalidViewAddress': 'Enter a valid address (0x...).',
+    'portfolio.balances': 'Balances',
+    'portfolio.nativeBalance': 'S (native)',
+    'portfolio.myPositions': 'My positions',
+    'portfolio.noPositions': 'No positions',
+    'portfolio.lpEarnings': 'LP earnings',
+    'portfolio.totalFees': 'Total fees',
+    'portfolio.realizedPnl': 'Realized P&L',
+
+    // 차트
+    'chart.rangeTitle': 'Price range chart',
+    'chart.volumeFeeTitle': 'Volume and fees',
+    'chart.currentPrice': 'Price: ',
+    'chart.change24h': '24h change: ',
+    'chart.oracleChecking': 'Checking oracle',
+    'chart.allowedRange': 'Allowed range: ±',
+    'chart.selectedRange': 'Selected range: ±',
+    'chart.currentPriceSeries': 'Current price',
+    'chart.priceAxis': 'Price (USDC)',
+    'chart.volumeSeries': '24h volume (oracle)',
+    'chart.feeSeries': 'Harvested fees',
+    'chart.volumeAxis': 'Volume (USD)',
+    'chart.feeAxis': 'Fees (USDC)',
+
+    // 포지션 열기
+    'open.title': 'Leveraged LP position',
+    'open.assetPair': 'Asset pair',
+    'open.collateral': 'Collateral (USDC)',
+    'open.leverage': 'Leverage',
+    'open.range': 'Price range (auto ↔ manual)',
+    'open.narrow': 'Narrow',
+    'open.wide': 'Wide',
+    'open.rangeHint': '0 = auto-optimized, any other value = manual',
+    'open.marginType': 'Margin type',
+    'open.preview': 'Position preview',
+    'open.borrowAmount': 'Borrow amount',
+    'open.effectiveLeverage': 'Effective leverage',
+    'open.priceBounds': 'Price bounds',
+    'open.rangeVsAllowed': 'Applied / allowed range',
+    'open.validation': 'Validation',
+    'open.submit': 'Open position',
+    'open.minCollateral': 'A minimum of 100 USDC collateral is required',
+    'open.maxLeverage': 'The maximum leverage for {symbol} is {leverage}x',
+    'open.blocked': 'Cannot open the position: {reason}',
+    'open.preparing': 'Preparing transaction...',
+    'open.requesting': 'Requesting the open-position transaction...',
+    'open.label': 'Open position ({amount} USDC, {leverage}x)',
+    'open.opened': 'Position opened!',
+
+    // 포지션 미리보기
+    'preview.auto': 'auto',
+    'preview.calculating': 'Calculating...',
+    'preview.failed': 'Lookup failed',
+    'preview.connectWallet': 'Connect wallet',
+    'preview.memeLeverage': '{leverage} ({tier} max {max}x)',
+    'preview.enterCollateral': 'Enter a collateral amount',
+
+    // 내 포지션
+    'positions.title': 'My positions',
+    'positions.warnThreshold': 'Warning',
+    'positions.criticalThreshold': 'Critical',
+    'positions.browserAlerts': 'Browser notifications',
+    'positions.alertHint': 'Alert levels: health ratio relative to the liquidation threshold (%)',
+    'positions.close': 'Close position',
+    'positions.harvest': 'Harvest fees',
+    'positions.sizeSeries': 'Position size (USDC)',
+    'positions.healthSeries': 'Health ratio (%)',
+    'positions.healthAxis': 'Health (%)',
+    'positions.selected': 'Position #{id} selected',
+    'positions.noneSelected': 'No position selected',
+    'positions.closing': 'Closing position...',
+    'positions.closeLabel': 'Close position #{id}',
+    'positions.closed': 'Position closed!',
+    'positions.selectToHarvest': 'Select a position to harvest fees from.',
+    'positions.harvesting': 'Harvesting fees...',
+    'positions.harvestLabel': 'Harvest fees for position #{id}',
+    'positions.harvested': 'Fees harvested!',
+    'positions.label': 'Position #{id}',
+    'positions.loadFailed': 'Failed to load on-chain positions.',
+
+    // 포지션 이력
+    'history.title': 'Position history',
+    'history.exportCsv': 'Export CSV',
+    'history.exportJson': 'Export JSON',
+    'history.note': 'P&L = amount returned by the vault - collateral deposited. Liquidated positions return nothing. Borrow cost is an estimate from the lending pool borrow index and is not deducted.',
+    'history.empty': 'No position history',
+    'history.lookbackLimited': 'This network has no recorded deploy block, so only positions opened in the last {blocks} blocks are listed. Regenerate pillar.config.js to include the full history.',
+    'history.columns.id': 'ID',
+    'history.columns.asset': 'Asset',
+    'history.columns.outcome': 'Outcome',
+    'history.columns.opened': 'Opened',
+    'history.columns.duration': 'Duration',
+    'history.columns.collateral': 'Collateral',
+    'history.columns.fees': 'Fees',
+    'history.columns.borrowCost': 'Borrow cost (est.)',
+    'history.columns.pnl': 'P&L',
+    'history.outcome.open': 'Open',
+    'history.outcome.closed': 'Closed',
+    'history.outcome.liquidated': 'Liquidated',
+    'history.durationDays': '{days}d {hours}h',
+    'history.durationHours': '{hours}h {minutes}m',
+    'history.durationMinutes': '{minutes}m',
+
+    // 포지션 건강도 알림
+    'health.invalidSettings': 'Alert levels must satisfy critical ≥ 100% and warning ≥ critical.',
+    'health.notificationsUnsupported': 'This browser does not support notifications.',
+    'health.notificationsDenied': 'Browser notification permission was denied.',
+    'health.withThreshold': '{health} (threshold {threshold}%)',
+    'health.liquidatable': 'Position #{id} can be liquidated: health {health}',
+    'health.critical': 'Position #{id} is close to liquidation: health {health}',
+    'health.warn': 'Position #{id} health warning: {health}',
+    'health.outOfRange': 'Position #{id} is out of its price range and may be liquidated after the grace period.',
+    'health.vsThreshold': '{health} / threshold {threshold}%',
+    'health.inRange': 'In range',
+    'health.outOfRangeBadge': 'Out of range',
+
+    // 자산
+    'assets.maxLeverage': 'max {leverage}x',
+
+    // 오라클
+    'oracle.fresh': 'The oracle price was updated; opening positions is available again.',
+    'oracle.ok': 'Oracle OK',
+    'oracle.stale': 'Oracle stale · trading paused',
+
+    // 렌딩 풀
+    'lending.title': 'Lending pool (USDC supply)',
+    'lending.totalSupply': 'Total supplied',
+    'lending.totalBorrows': 'Total borrowed',
+    'lending.liquidity': 'Available liquidity',
+    'lending.utilization': 'Utilization',
+    'lending.borrowRate': 'Borrow rate (APR)',
+    'lending.userPrincipal': 'My supplied principal',
+    'lending.userInterest': 'Accrued interest',
+    'lending.supply': 'Supply',
+    'lending.withdraw': 'Withdraw',
+    'lending.exceedsLiquidity': 'The amount exceeds the available liquidity ({amount}).',
+    'lending.exceedsBalance': 'The amount exceeds your supplied balance ({amount}).',
+    'lending.enterSupplyAmount': 'Enter an amount to supply',
+    'lending.supplyLabel': 'Supply {amount} to the lending pool',
+    'lending.supplied': 'USDC supplied!',
+    'lending.enterWithdrawAmount': 'Enter an amount to withdraw',
+    'lending.insufficientLiquidity': 'Not enough available liquidity ({amount}).',
+    'lending.withdrawLabel': 'Withdraw {amount} from the lending pool',
+    'lending.withdrawn': 'USDC withdrawn!',
+
+    // 토큰 승인
+    'allowance.title': 'Token approvals',
+    'allowance.mode': 'Approval mode',
+    'allowance.modeExact': 'Approve the exact amount',
+    'allowance.modeUnlimited': 'Unlimited approval (skip future approvals)',
+    'allowance.skipHint': 'If the current allowance already covers the amount, no approval transaction is sent',
+    'allowance.current': 'Current approvals',
+    'allowance.none': 'No token approvals',
+    'allowance.sufficient': 'The {symbol} allowance already covers this amount; skipping approval.',
+    'allowance.requesting': 'Requesting {symbol} approval...',
+    'allowance.unlimitedLabel': 'Unlimited {symbol} approval ({spender})',
+    'allowance.exactLabel': '{symbol} approval ({spender})',
+    'allowance.approved': '{symbol} approved!',
+    'allowance.unlimited': 'Unlimited',
+    'allowance.revoke': 'Revoke',
+    'allowance.revokeLabel': 'Revoke {symbol} approval ({spender})',
+    'allowance.revoked': '{symbol} approval revoked',
+
+    // 토큰 상장 신청
+    'whitelist.title': 'List your token',
+    'whitelist.fee': 'Listing fee',
+    'whitelist.token': 'Token address',
+    'whitelist.website': 'Project website',
+    'whitelist.submit': 'Pay fee and apply',
+    'whitelist.myRequests': 'My applications',
+    'whitelist.noRequests': 'No applications yet',
+    'whitelist.approvedNotice': '{token} listed: {tier} tier',
+    'whitelist.delistedNotice': '{token} delisted: {reason}',
+    'whitelist.pending': 'Under review',
+    'whitelist.approved': 'Listed · {tier} (max {leverage}x)',
+    'whitelist.delisted': 'Delisted · {reason}',
+    'whitelist.invalidToken': 'Enter a valid token address',
+    'whitelist.invalidWebsite': 'Enter a website URL starting with http(s)',
+    'whitelist.paying': 'Paying the {fee} listing fee...',
+    'whitelist.label': 'List {token}',
+    'whitelist.submitted': 'Application submitted! The review result will appear in this panel.',
+    'whitelist.untracked': 'The price oracle does not track {token} yet, and only the oracle owner can start tracking it. Ask the operator to track the token, then apply again.',
+
+    // 트랜잭션
+    'tx.status.pending': 'Pending',
+    'tx.status.confirmed': 'Confirmed',
+    'tx.status.failed': 'Failed',
+    'tx.status.replaced': 'Replaced',
+    'tx.status.dropped': 'Dropped',
+    'tx.submitted': '{label}: transaction submitted {hash}',
+    'tx.repricedFailed': 'The sped-up transaction failed.',
+    'tx.replacedNotice': '{label}: replaced by another transaction. Check the result.',
+    'tx.droppedNotice': '{label}: the transaction disappeared from the network. Please try again.',
+
+    // 트랜잭션 활동
+    'activity.title': 'Transaction activity',
+    'activity.close': 'Close',
+    'activity.pending': 'Pending',
+    'activity.completed': 'Completed',
+    'activity.clearCompleted': 'Clear completed',
+    'activity.noPending': 'No pending transactions',
+    'activity.noCompleted': 'No completed transactions',
+
+    // 프로토콜 분석
+    'analytics.lendingTitle': 'Lending markets',
+    'analytics.refresh': 'Refresh',
+    'analytics.noMarkets': 'No active lending markets',
+    'analytics.columns.asset': 'Asset',
+    'analytics.columns.supply': 'TVL (supplied)',
+    'analytics.columns.borrows': 'Borrows',
+    'analytics.columns.utilization': 'Utilization',
+    'analytics.columns.reserves': 'Reserves',
+    'analytics.openInterestTitle': 'Open interest',
+    'analytics.totalOpenInterest': 'Total (collateral + debt)',
+    'analytics.byTier': 'By asset tier',
+    'analytics.byMarginType': 'By margin type',
+    'analytics.positionsTitle': 'Positions',
+    'analytics.byStatus': 'By status',
+    'analytics.leverageDistribution': 'Leverage distribution (open positions)',
+    'analytics.liquidationsTitle': 'Liquidation volume (daily, UTC)',
+    'analytics.liquidationTotal': 'Liquidations',
+    'analytics.liquidationSummary': '{count} · {amount} USDC',
+    'analytics.liquidationSeries': 'Collateral liquidated (USDC)',
+    'analytics.feesTitle': 'Cumulative protocol fees',
+    'analytics.feeTotal': 'Total',
+    'analytics.performanceFees': 'Performance fees',
+    'analytics.rebalanceFees': 'Rebalance fees',
+    'analytics.liquidationPenalties': 'Liquidation penalties',
+    'analytics.sinceDeployNote': 'Current state is read from the contracts. Totals include every event since deployment; charts show the last {days} days.',
+    'analytics.lookbackNote': 'This network has no recorded deploy block, so totals only cover events in the last {blocks} blocks; charts show the last {days} days. Regenerate pillar.config.js to include the full history.',
+
+    // 관리자 콘솔
+    'admin.title': 'Admin console (owner only)',
+    'admin.action': 'Action',
+    'admin.review': 'Review change',
+    'admin.paused': 'Paused',
+    'admin.running': 'Running',
+    'admin.actions.setAssetTier': 'Set asset tier (setAssetTier)',
+    'admin.actions.updateLeverageRange': 'Max range per leverage (updateLeverageRange)',
+    'admin.actions.setLiquidationThreshold': 'Per-asset liquidation threshold (setLiquidationThreshold)',
+    'admin.actions.pause': 'Pause / resume vault (pause / unpause)',
+    'admin.actions.trackToken': 'Oracle token tracking (startTrackingToken / stopTrackingToken)',
+    'admin.actions.updater': 'Oracle updater access (authorizeUpdater / revokeUpdater)',
+    'admin.actions.evaluateAndWhitelistToken': 'Evaluate and list token (evaluateAndWhitelistToken)',
+    'admin.actions.updateWhitelistFee': 'Listing fee (updateWhitelistFee)',
+    'admin.actions.withdrawFees': 'Withdraw listing fees (withdrawFees)',
+    'admin.fields.asset': 'Asset address',
+    'admin.fields.tier': 'Tier',
+    'admin.fields.leverageBps': 'Leverage (bps, 20000 = 2x)',
+    'admin.fields.maxRangeBps': 'Max range (± bps)',
+    'admin.fields.threshold': 'Threshold (bps)',
+    'admin.fields.vault': 'Vault',
+    'admin.fields.paused': 'State',
+    'admin.fields.token': 'Token address',
+    'admin.fields.tracking': 'Tracking',
+    'admin.fields.updater': 'Updater address',
+    'admin.fields.authorized': 'Access',
+    'admin.fields.fee': 'Fee (native token)',
+    'admin.options.pause': 'Pause (pause)',
+    'admin.options.unpause': 'Resume (unpause)',
+    'admin.options.startTracking': 'Start tracking',
+    'admin.options.stopTracking': 'Stop tracking',
+    'admin.options.authorize': 'Authorize',
+    'admin.options.revoke': 'Revoke',
+    'admin.defaultThreshold': 'Default ({threshold} bps)',
+    'admin.tracking': 'Tracking',
+    'admin.notTracking': 'Not tracking',
+    'admin.authorized': 'Authorized',
+    'admin.unauthorized': 'Not authorized',
+    'admin.listed': 'Listed',
+    'admin.notListed': 'Not listed',
+    'admin.notes.evaluateAndWhitelistToken': 'The tier and max leverage come from the oracle metrics. The transaction reverts if there is no listing application or the token misses the minimum requirements.',
+    'admin.notes.withdrawFees': 'All fees held by the registry are sent to the owner address.',
+    'admin.invalidAddress': '{field}: enter a valid address',
+    'admin.invalidInteger': '{field}: enter a whole number between {min} and {max}',
+    'admin.invalidNumber': '{field}: enter a number of 0 or more',
+    'admin.notOwner': 'You are not the owner of {contract}',
+    'admin.targetContract': 'Target contract',
+    'admin.current': 'Current value',
+    'admin.next': 'New value',
+    'admin.unchanged': 'Same as the current value; nothing to send',
+    'admin.confirm': 'Confirm and send',
+    'admin.cancel': 'Cancel',
+    'admin.done': '{action} done'
+  },
+  ko: {
+    // 공통
+    'common.amountUsdc': '금액 (USDC)',
+    'common.connectFirst': '먼저 지갑을 연결해주세요',
+    'common.txFailed': '트랜잭션이 실패했습니다.',
+    'common.error': '오류: {message}',
+
+    // 상단 내비게이션
+    'nav.customRpc': '사용자 RPC...',
+    'nav.apply': '적용',
+    'nav.chainId': '체인 ID',
+    'nav.chainName': '네트워크 이름',
+    'nav.currencySymbol': '통화 기호',
+    'nav.activity': '활동',
+    'nav.analytics': '분석',
+    'nav.trade': '거래',
+    'nav.checkingNetwork': '네트워크 확인 중...',
+    'nav.loadingLibraries': '라이브러리 로딩 중...',
+    'nav.activityPending': '활동 ({count} 대기)',
+    'nav.language': '언어',
+
+    // 지갑
+    'wallet.switchRequired': '{network} 네트워크로 전환이 필요합니다.',
+    'wallet.notFound': 'MetaMask와 같은 EVM 지갑을 찾을 수 없습니다.',
+    'wallet.connecting': '{wallet} 연결 중...',
+    'wallet.noAccounts': '계정을 찾을 수 없습니다.',
+    'wallet.connected': '지갑 연결 성공!',
+    'wallet.rejected': '지갑 연결이 사용자에 의해 거부되었습니다.',
+    'wallet.failed': '지갑 연결에 실패했습니다.',
+    'wallet.noProvider': '지갑 공급자를 찾을 수 없습니다.',
+    'wallet.switching': '{network}(으)로 전환합니다...',
+    'wallet.networkAdded': '{network} 추가 완료!',
+    'wallet.addNetworkFailed': '네트워크 추가에 실패했습니다.',
+    'wallet.switchFailed': '네트워크 전환에 실패했습니다.',
+    'wallet.disconnected': '지갑 연결이 해제되었습니다.',
+    'wallet.accountChanged': '지갑 계정이 변경되었습니다. 페이지를 새로고침합니다.',
+    'wallet.chainChanged': '지갑 네트워크 변경 감지: {network}(으)로 전환합니다.',
+    'wallet.unsupportedChain': '지원하지 않는 네트워크(체인 ID {chainId})입니다. {network}(으)로 다시 연결하세요.',
+    'wallet.connectRequired': '연결 필요',
+    'wallet.connect': '지갑 연결',
+    'wallet.pickerTitle': '지갑 선택',
+    'wallet.browserWallet': '브라우저 지갑',
+    'wallet.lastUsed': '최근 사용',
+    'wallet.cancel': '취소',
+    'wallet.readOnly': '{network} (읽기 전용)',
+
+    // 네트워크
+    'network.noContracts': '{network}(체인 ID {chainId})의 컨트랙트 주소가 pillar.config.js에 없습니다.',
+    'network.switched': '{network} 네트워크로 전환했습니다.',
+    'network.invalidCustom': '올바른 RPC URL과 체인 ID를 입력하세요.',
+    'network.invalidCustomDetails': '체인 ID {chainId}는 알려진 네트워크가 아닙니다. 네트워크 이름과 2~6자의 통화 기호를 입력하세요.',
+    'network.chainIdMismatch': 'RPC의 체인 ID({actual})가 입력값({expected})과 다릅니다.',
+    'network.rpcUnreachable': 'RPC에 연결할 수 없습니다: {error}',
+
+    // 초기화
+    'bootstrap.configLoadFailed': '설정 모듈({url})을 불러오지 못했습니다. deploy.js를 실행해 pillar.config.js를 생성하세요. ({error})',
+    'bootstrap.noDefaultNetwork': '설정 모듈에 기본 네트워크({network}) 주소가 없습니다.',
+    'bootstrap.noSelectableNetwork': '설정 모듈에 선택 가능한 네트워크의 컨트랙트 주소가 없습니다.',
+    'bootstrap.abiMissing': '{contract} (ABI 없음)',
+    'bootstrap.eventMissing': '{contract}.{event} 이벤트',
+    'bootstrap.abiIncomplete': '생성된 ABI에 UI가 사용하는 항목이 없습니다: {missing}. 컨트랙트를 확인하고 deploy.js로 pillar.config.js를 다시 생성하세요.',
+    'bootstrap.ethersTimeout': 'ethers.js 로드 타임아웃',
+    'bootstrap.errorsLoadFailed': '오류 해석 모듈({url})을 불러오지 못했습니다. pillar-errors.js를 pillarui.js와 같은 위치에 배포하세요. ({error})',
+    'bootstrap.connectPrompt': '지갑을 연결하여 Pillar Protocol을 시작하세요',
+    'bootstrap.failed': '초기화 실패: {error}',
+    'bootstrap.errorTitle': '초기화 오류',
+    'bootstrap.reload': '페이지 새로고침',
+
+    // 포트폴리오
+    'portfolio.title': '포트폴리오',
+    'portfolio.walletAddress': '지갑 주소',
+    'portfolio.notConnected': '연결되지 않음',
+    'portfolio.network': '네트워크',
+    'portfolio.viewAddress': '주소 조회 (읽기 전용)',
+    'portfolio.view': '조회',
+    'portfolio.viewing': '{address} (조회 중)',
+    'portfolio.invalidViewAddress': '올바른 주소(0x...)를 입력하세요.',
+    'portfolio.balances': '자산 잔액',
+    'portfolio.nativeBalance': 'S (네이티브)',
+    'portfolio.myPositions': '내 포지션',
+    'portfolio.noPositions': '포지션이 없습니다',
+    'portfolio.lpEarnings': 'LP 수익',
+    'portfolio.totalFees': '총 수수료',
+    'portfolio.realizedPnl': '실현 P&L',
+
+    // 차트
+    'chart.rangeTitle': '가격 범위 차트 (Price Range)',
+    'chart.volumeFeeTitle': '거래량 및 수수료 차트',
+    'chart.currentPrice': '현재가: ',
+    'chart.change24h': '24h 변동: ',
+    'chart.oracleChecking': '오라클 확인 중',
+    'chart.allowedRange': '정규 범위: ±',
+    'chart.selectedRange': '설정 범위: ±',
+    'chart.currentPriceSeries': '현재가',
+    'chart.priceAxis': '가격 (USDC)',
+    'chart.volumeSeries': '24h 거래량 (오라클)',
+    'chart.feeSeries': '수확 수수료 (Fees)',
+    'chart.volumeAxis': '거래량 (USD)',
+    'chart.feeAxis': '수수료 (USDC)',
+
+    // 포지션 열기
+    'open.title': '레버리지 LP 포지션',
+    'open.assetPair': '자산 페어',
+    'open.collateral': '담보 금액 (USDC)',
+    'open.leverage': '레버리지',
+    'open.range': '가격 범위 (자동 ↔ 수동)',
+    'open.narrow': '좁음',
+    'open.wide': '넓음',
+    'open.rangeHint': '0 = 자동 최적화, 값 설정 = 수동 조정',
+    'open.marginType': '마진 타입',
+    'open.preview': '포지션 미리보기',
+    'open.borrowAmount': '차입 금액',
+    'open.effectiveLeverage': '실질 레버리지',
+    'open.priceBounds': '가격 범위',
+    'open.rangeVsAllowed': '적용 범위 / 허용 범위',
+    'open.validation': '검증 결과',
+    'open.submit': '포지션 오픈',
+    'open.minCollateral': '최소 100 USDC 담보가 필요합니다',
+    'open.maxLeverage': '{symbol}의 최대 레버리지는 {leverage}x 입니다',
+    'open.blocked': '포지션을 열 수 없습니다: {reason}',
+    'open.preparing': '트랜잭션 준비 중...',
+    'open.requesting': '포지션 오픈 트랜잭션을 요청합니다...',
+    'open.label': '포지션 오픈 ({amount} USDC, {leverage}x)',
+    'open.opened': '포지션 오픈 성공!',
+
+    // 포지션 미리보기
+    'preview.auto': '자동',
+    'preview.calculating': '계산 중...',
+    'preview.failed': '조회 실패',
+    'preview.connectWallet': '지갑 연결 필요',
+    'preview.memeLeverage': '{leverage} ({tier} 최대 {max}x)',
+    'preview.enterCollateral': '담보 금액 입력 필요',
+
+    // 내 포지션
+    'positions.title': '내 포지션 현황',
+    'positions.warnThreshold': '경고',
+    'positions.criticalThreshold': '위험',
+    'positions.browserAlerts': '브라우저 알림',
+    'positions.alertHint': '알림 기준: 청산 임계값 대비 헬스 비율 (%)',
+    'positions.close': '포지션 종료',
+    'positions.harvest': '수수료 수확',
+    'positions.sizeSeries': '포지션 크기 (USDC)',
+    'positions.healthSeries': '헬스 비율 (%)',
+    'positions.healthAxis': '헬스 (%)',
+    'positions.selected': '포지션 #{id} 선택됨',
+    'positions.noneSelected': '선택된 포지션이 없습니다',
+    'positions.closing': '포지션 종료 중...',
+    'positions.closeLabel': '포지션 #{id} 종료',
+    'positions.closed': '포지션 종료 성공!',
+    'positions.selectToHarvest': '수수료를 수확할 포지션을 선택해주세요.',
+    'positions.harvesting': '수수료 수확 중...',
+    'positions.harvestLabel': '포지션 #{id} 수수료 수확',
+    'positions.harvested': '수수료 수확 성공!',
+    'positions.label': '포지션 #{id}',
+    'positions.loadFailed': '온체인 포지션을 불러오지 못했습니다.',
+
+    // 포지션 이력
+    'history.title': '포지션 이력',
+    'history.exportCsv': 'CSV 내보내기',
+    'history.exportJson': 'JSON 내보내기',
+    'history.note': '손익 = 볼트가 돌려준 금액 - 넣은 담보. 청산된 포지션은 돌려받는 금액이 없습니다. 차입 비용은 렌딩 풀 차입 지수로 추정한 값이며 손익에서 빼지 않습니다.',
+    'history.empty': '포지션 이력이 없습니다',
+    'history.lookbackLimited': '이 네트워크는 배포 블록 기록이 없어 최근 {blocks} 블록 안에 개설된 포지션만 표시합니다. 전체 이력을 보려면 pillar.config.js를 다시 생성하세요.',
+    'history.columns.id': 'ID',
+    'history.columns.asset': '자산',
+    'history.columns.outcome': '결과',
+    'history.columns.opened': '개설',
+    'history.columns.duration': '기간',
+    'history.columns.collateral': '담보',
+    'history.columns.fees': '수수료',
+    'history.columns.borrowCost': '차입 비용 (추정)',
+    'history.columns.pnl': '손익',
+    'history.outcome.open': '진행 중',
+    'history.outcome.closed': '종료',
+    'history.outcome.liquidated': '청산',
+    'history.durationDays': '{days}일 {hours}시간',
+    'history.durationHours': '{hours}시간 {minutes}분',
+    'history.durationMinutes': '{minutes}분',
+
+    // 포지션 건강도 알림
+    'health.invalidSettings': '알림 기준은 위험 ≥ 100%, 경고 ≥ 위험 이어야 합니다.',
+    'health.notificationsUnsupported': '이 브라우저는 알림을 지원하지 않습니다.',
+    'health.notificationsDenied': '브라우저 알림 권한이 거부되었습니다.',
+    'health.withThreshold': '{health} (임계 {threshold}%)',
+    'health.liquidatable': '포지션 #{id} 청산 가능 상태입니다: 헬스 {health}',
+    'health.critical': '포지션 #{id} 청산 임박: 헬스 {health}',
+    'health.warn': '포지션 #{id} 헬스 경고: {health}',
+    'health.outOfRange': '포지션 #{id}이(가) 가격 범위를 벗어났습니다. 유예 시간 후 청산될 수 있습니다.',
+    'health.vsThreshold': '{health} / 임계 {threshold}%',
+    'health.inRange': '범위 내',
+    'health.outOfRangeBadge': '범위 이탈',
+
+    // 자산
+    'assets.maxLeverage': '최대 {leverage}x',
+
+    // 오라클
+    'oracle.fresh': '오라클 가격이 갱신되어 포지션 오픈이 가능합니다.',
+    'oracle.ok': '오라클 정상',
+    'oracle.stale': '오라클 지연 · 거래 중단',
+
+    // 렌딩 풀
+    'lending.title': '렌딩 풀 (USDC 공급)',
+    'lending.totalSupply': '총 공급',
+    'lending.totalBorrows': '총 차입',
+    'lending.liquidity': '가용 유동성',
+    'lending.utilization': '이용률',
+    'lending.borrowRate': '차입 이자율 (연)',
+    'lending.userPrincipal': '내 공급 원금',
+    'lending.userInterest': '누적 이자',
+    'lending.supply': '공급',
+    'lending.withdraw': '출금',
+    'lending.exceedsLiquidity': '출금 금액이 가용 유동성({amount})을 초과합니다.',
+    'lending.exceedsBalance': '출금 금액이 내 공급 잔액({amount})을 초과합니다.',
+    'lending.enterSupplyAmount': '공급할 금액을 입력해주세요',
+    'lending.supplyLabel': '렌딩 풀 공급 {amount}',
+    'lending.supplied': 'USDC 공급 성공!',
+    'lending.enterWithdrawAmount': '출금할 금액을 입력해주세요',
+    'lending.insufficientLiquidity': '가용 유동성({amount})이 부족합니다.',
+    'lending.withdrawLabel': '렌딩 풀 출금 {amount}',
+    'lending.withdrawn': 'USDC 출금 성공!',
+
+    // 토큰 승인
+    'allowance.title': '토큰 승인 관리',
+    'allowance.mode': '승인 방식',
+    'allowance.modeExact': '필요한 금액만 승인',
+    'allowance.modeUnlimited': '무제한 승인 (이후 승인 생략)',
+    'allowance.skipHint': '승인액이 이미 충분하면 승인 트랜잭션 없이 진행합니다',
+    'allowance.current': '현재 승인',
+    'allowance.none': '승인된 토큰이 없습니다',
+    'allowance.sufficient': '{symbol} 승인액이 충분해 승인을 건너뜁니다.',
+    'allowance.requesting': '{symbol} 사용 승인을 요청합니다...',
+    'allowance.unlimitedLabel': '{symbol} 무제한 승인 ({spender})',
+    'allowance.exactLabel': '{symbol} 금액 승인 ({spender})',
+    'allowance.approved': '{symbol} 사용 승인 완료!',
+    'allowance.unlimited': '무제한',
+    'allowance.revoke': '해제',
+    'allowance.revokeLabel': '{symbol} 승인 해제 ({spender})',
+    'allowance.revoked': '{symbol} 승인 해제 완료',
+
+    // 토큰 상장 신청
+    'whitelist.title': '토큰 상장 신청 (List your token)',
+    'whitelist.fee': '신청 수수료',
+    'whitelist.token': '토큰 주소',
+    'whitelist.website': '프로젝트 웹사이트',
+    'whitelist.submit': '수수료 지불 후 신청',
+    'whitelist.myRequests': '내 신청 현황',
+    'whitelist.noRequests': '신청 내역이 없습니다',
+    'whitelist.approvedNotice': '{token} 상장 승인: {tier} 등급',
+    'whitelist.delistedNotice': '{token} 상장 폐지: {reason}',
+    'whitelist.pending': '심사 대기 중',
+    'whitelist.approved': '승인 · {tier} (최대 {leverage}x)',
+    'whitelist.delisted': '폐지 · {reason}',
+    'whitelist.invalidToken': '올바른 토큰 주소를 입력해주세요',
+    'whitelist.invalidWebsite': 'http(s)로 시작하는 웹사이트 주소를 입력해주세요',
+    'whitelist.paying': '상장 신청 수수료 {fee}를 결제합니다...',
+    'whitelist.label': '상장 신청 {token}',
+    'whitelist.submitted': '상장 신청 완료! 심사 결과는 이 패널에서 확인할 수 있습니다.',
+    'whitelist.untracked': '{token}은(는) 아직 가격 오라클이 추적하지 않는 토큰이며, 추적 시작은 오라클 소유자만 할 수 있습니다. 운영자에게 토큰 추적을 요청한 뒤 다시 신청해주세요.',
+
+    // 트랜잭션
+    'tx.status.pending': '대기 중',
+    'tx.status.confirmed': '완료',
+    'tx.status.failed': '실패',
+    'tx.status.replaced': '교체됨',
+    'tx.status.dropped': '누락됨',
+    'tx.submitted': '{label}: 트랜잭션 제출됨 {hash}',
+    'tx.repricedFailed': '가속된 트랜잭션이 실패했습니다.',
+    'tx.replacedNotice': '{label}: 다른 트랜잭션으로 교체되었습니다. 결과를 확인하세요.',
+    'tx.droppedNotice': '{label}: 네트워크에서 사라진 트랜잭션입니다. 다시 시도하세요.',
+
+    // 트랜잭션 활동
+    'activity.title': '트랜잭션 활동',
+    'activity.close': '닫기',
+    'activity.pending': '진행 중',
+    'activity.completed': '완료',
+    'activity.clearCompleted': '완료 내역 지우기',
+    'activity.noPending': '진행 중인 트랜잭션이 없습니다',
+    'activity.noCompleted': '완료된 트랜잭션이 없습니다',
+
+    // 프로토콜 분석
+    'analytics.lendingTitle': '렌딩 시장',
+    'analytics.refresh': '새로고침',
+    'analytics.noMarkets': '활성화된 렌딩 시장이 없습니다',
+    'analytics.columns.asset': '자산',
+    'analytics.columns.supply': 'TVL (공급)',
+    'analytics.columns.borrows': '대출',
+    'analytics.columns.utilization': '이용률',
+    'analytics.columns.reserves': '준비금',
+    'analytics.openInterestTitle': '미결제약정',
+    'analytics.totalOpenInterest': '합계 (담보 + 부채)',
+    'analytics.byTier': '자산 등급별',
+    'analytics.byMarginType': '마진 타입별',
+    'analytics.positionsTitle': '포지션',
+    'analytics.byStatus': '상태별',
+    'analytics.leverageDistribution': '레버리지 분포 (열린 포지션)',
+    'analytics.liquidationsTitle': '청산 규모 (일별, UTC)',
+    'analytics.liquidationTotal': '청산',
+    'analytics.liquidationSummary': '{count}건 · {amount} USDC',
+    'analytics.liquidationSeries': '청산된 담보 (USDC)',
+    'analytics.feesTitle': '누적 프로토콜 수수료',
+    'analytics.feeTotal': '합계',
+    'analytics.performanceFees': '성과 수수료',
+    'analytics.rebalanceFees': '리밸런스 수수료',
+    'analytics.liquidationPenalties': '청산 페널티',
+    'analytics.sinceDeployNote': '현재 상태는 컨트랙트에서 직접 읽습니다. 합계는 배포 이후 모든 이벤트를 반영하며 차트는 최근 {days}일을 표시합니다.',
+    'analytics.lookbackNote': '이 네트워크는 배포 블록 기록이 없어 합계가 최근 {blocks} 블록의 이벤트만 반영합니다. 차트는 최근 {days}일을 표시합니다. 전체 이력을 보려면 pillar.config.js를 다시 생성하세요.',
+
+    // 관리자 콘솔
+    'admin.title': '관리자 콘솔 (owner 전용)',
+    'admin.action': '작업',
+    'admin.review': '변경 내용 확인',
+    'admin.paused': '일시 정지',
+    'admin.running': '운영 중',
+    'admin.actions.setAssetTier': '자산 등급 설정 (setAssetTier)',
+    'admin.actions.updateLeverageRange': '레버리지별 최대 범위 (updateLeverageRange)',
+    'admin.actions.setLiquidationThreshold': '자산별 청산 임계값 (setLiquidationThreshold)',
+    'admin.actions.pause': '볼트 일시 정지 / 재개 (pause / unpause)',
+    'admin.actions.trackToken': '오라클 토큰 추적 (startTrackingToken / stopTrackingToken)',
+    'admin.actions.updater': '오라클 업데이터 권한 (authorizeUpdater / revokeUpdater)',
+    'admin.actions.evaluateAndWhitelistToken': '상장 심사 및 승인 (evaluateAndWhitelistToken)',
+    'admin.actions.updateWhitelistFee': '상장 신청 수수료 (updateWhitelistFee)',
+    'admin.actions.withdrawFees': '상장 수수료 인출 (withdrawFees)',
+    'admin.fields.asset': '자산 주소',
+    'admin.fields.tier': '등급',
+    'admin.fields.leverageBps': '레버리지 (bps, 20000 = 2x)',
+    'admin.fields.maxRangeBps': '최대 범위 (± bps)',
+    'admin.fields.threshold': '임계값 (bps)',
+    'admin.fields.vault': '볼트',
+    'admin.fields.paused': '상태',
+    'admin.fields.token': '토큰 주소',
+    'admin.fields.tracking': '추적',
+    'admin.fields.updater': '업데이터 주소',
+    'admin.fields.authorized': '권한',
+    'admin.fields.fee': '수수료 (네이티브 토큰)',
+    'admin.options.pause': '일시 정지 (pause)',
+    'admin.options.unpause': '재개 (unpause)',
+    'admin.options.startTracking': '추적 시작',
+    'admin.options.stopTracking': '추적 중지',
+    'admin.options.authorize': '인가',
+    'admin.options.revoke': '해제',
+    'admin.defaultThreshold': '기본값 ({threshold} bps)',
+    'admin.tracking': '추적 중',
+    'admin.notTracking': '추적 안 함',
+    'admin.authorized': '인가됨',
+    'admin.unauthorized': '권한 없음',
+    'admin.listed': '상장됨',
+    'admin.notListed': '미상장',
+    'admin.notes.evaluateAndWhitelistToken': '티어와 최대 레버리지는 오라클 지표로 정해집니다. 상장 신청이 없거나 최소 요구사항에 못 미치면 트랜잭션이 되돌려집니다.',
+    'admin.notes.withdrawFees': '레지스트리에 쌓인 수수료 전액이 owner 주소로 전송됩니다.',
+    'admin.invalidAddress': '{field}: 올바른 주소를 입력해주세요',
+    'admin.invalidInteger': '{field}: {min}~{max} 범위의 정수를 입력해주세요',
+    'admin.invalidNumber': '{field}: 0 이상의 숫자를 입력해주세요',
+    'admin.notOwner': '{contract}의 owner가 아닙니다',
+    'admin.targetContract': '대상 컨트랙트',
+    'admin.current': '현재값',
+    'admin.next': '새 값',
+    'admin.unchanged': '현재값과 같아 전송할 변경이 없습니다',
+    'admin.confirm': '확인 후 전송',
+    'admin.cancel': '취소',
+    'admin.done': '{action} 완료'
+  }
+};
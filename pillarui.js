@@ -22,10 +22,44 @@
     return element;
   }
 
+  // 숫자·통화·날짜는 선택한 언어의 지역 형식(i18n.numberLocale)으로 표시
   function nice(num) {
     const n = parseFloat(num);
     if (isNaN(n)) return '0';
-    return n.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    return n.toLocaleString(i18n.numberLocale, { maximumFractionDigits: 2 });
+  }
+
+  // 밈 토큰처럼 1 미만인 가격은 유효 숫자 기준으로 표시
+  function priceDigits(n) {
+    return n !== 0 && Math.abs(n) < 1 ? { maximumSignificantDigits: 4 } : { maximumFractionDigits: 2 };
+  }
+
+  function formatPrice(num) {
+    const n = parseFloat(num);
+    if (isNaN(n)) return '0';
+    return n.toLocaleString(i18n.numberLocale, priceDigits(n));
+  }
+
+  function formatUsd(num) {
+    const n = parseFloat(num);
+    if (isNaN(n)) return '-';
+    return n.toLocaleString(i18n.numberLocale, { style: 'currency', currency: 'USD', ...priceDigits(n) });
+  }
+
+  function formatDateTime(ms, options) {
+    return new Date(ms).toLocaleString(i18n.numberLocale, options);
+  }
+
+  function debounce(fn, delay) {
+    let timer = null;
+    return (...args) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => fn(...args), delay);
+    };
+  }
+
+  function shortAddress(address) {
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
   }
 
   function loadScript(src) {
@@ -42,6 +76,45 @@
     });
   }
 
+  // ---------- 다국어 (i18n) ----------
+  // 화면 문구는 pillar-messages.js의 언어별 카탈로그에서 t(key, params)로 가져옵니다.
+  // 언어는 저장된 선택 → 브라우저 언어 → 영어 순으로 정하고, 바꾸면 모든 패널을 다시 그리도록 새로고침합니다.
+  const LOCALE_STORAGE_KEY = 'pillar_locale';
+  const i18n = {
+    locale: 'en',
+    numberLocale: 'en-US',
+    names: {},       // 언어 코드 => 언어 셀렉터에 표시할 이름
+    translate: null  // 카탈로그 로드 전에는 null (t는 키를 그대로 반환)
+  };
+
+  function t(key, params) {
+    return i18n.translate ? i18n.translate(key, params) : key;
+  }
+
+  async function loadMessages() {
+    const url = window.PILLAR_MESSAGES_URL || new URL('pillar-messages.js', SCRIPT_URL).href;
+    let messages;
+    try {
+      messages = await import(url);
+    } catch (error) {
+      // 카탈로그가 없으면 번역할 수 없으므로 영어로 안내
+      throw new Error(`Failed to load the message catalog (${url}). Serve pillar-messages.js next to pillarui.js. (${error.message})`);
+    }
+    const locale = messages.resolveLocale([localStorage.getItem(LOCALE_STORAGE_KEY), ...(navigator.languages || [navigator.language])]);
+    i18n.locale = locale;
+    i18n.numberLocale = messages.NUMBER_LOCALES[locale];
+    i18n.names = messages.LOCALE_NAMES;
+    i18n.translate = messages.createTranslator(messages.UI_MESSAGES, locale);
+    document.documentElement.lang = locale;
+  }
+
+  function setLocale(locale) {
+    if (locale === i18n.locale) return;
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    // 지갑 연결과 선택한 네트워크는 새로고침 후 자동으로 복구됨
+    window.location.reload();
+  }
+
   // ---------- 네트워크 설정 ----------
   const SONIC_BLAZE_TESTNET = {
     chainId: 14601, // 실제 Sonic Blaze Testnet Chain ID로 업데이트
@@ -58,15 +131,26 @@
     rpcUrls: ['http://127.0.0.1:8545/']
   };
 
-  // <<<<<<< 중요: 최종 타겟 네트워크를 Sonic Blaze 테스트넷으로 설정 >>>>>>>
-  const CURRENT_NETWORK = SONIC_BLAZE_TESTNET;
+  // 네비게이션 셀렉터에서 고를 수 있는 네트워크. 컨트랙트 세트는 pillar.config.js에서 체인 ID로 찾습니다.
+  const NETWORK_STORAGE_KEY = 'pillar_network';
+  const CUSTOM_NETWORK_STORAGE_KEY = 'pillar_custom_network';
+  const NETWORKS = {
+    sonicTestnet: SONIC_BLAZE_TESTNET,
+    localhost: HARDHAT_LOCALNET,
+    custom: null // 사용자가 입력한 RPC (loadCustomNetwork)
+  };
+
+  // 현재 선택된 네트워크 (switchNetwork로만 변경)
+  let CURRENT_NETWORK = SONIC_BLAZE_TESTNET;
+  let currentNetworkKey = 'sonicTestnet';
 
   // Sonic Client Mock (기본적인 네트워크 정보 반환)
   const sonicClient = {
     async getNetwork() {
-      if (window.ethereum) {
+      const provider = getWalletProvider();
+      if (provider) {
         try {
-          const chainId = await window.ethereum.request({ method: 'eth_chainId' });
+          const chainId = await provider.request({ method: 'eth_chainId' });
           return { chainId: parseInt(chainId, 16) };
         } catch (error) {
           console.warn('Network detection failed:', error);
@@ -78,47 +162,154 @@
   };
 
   // ---------- 컨트랙트 주소 및 ABI ----------
-  const CONTRACTS = {
-    // TODO: Sonic Blaze 테스트넷에 배포 후 실제 컨트랙트 주소로 업데이트해야 합니다.
-    dynamicVault: "0xc0994d3305a8A2b031E65ED7eC090277eAae7C85",
-    usdc: "0xE2df0182DB96A3Ea6Da40084D5A71b75cc3BEAaE",
-    weth: "0xaA4F9467f4c751Fc189Fa25E1ea49E80d0db3824"
+  // 주소와 ABI는 deploy.js가 생성하는 pillar.config.js에서 부트스트랩 시 채워집니다.
+  const SCRIPT_URL = document.currentScript ? document.currentScript.src : window.location.href;
+  const CONTRACT_KEYS = ['dynamicVault', 'lendingVault', 'registry', 'oracle', 'usdc', 'weth', 'liquidationEngine'];
+  const CONTRACTS = {};
+  const DEPLOY_BLOCKS = {}; // 컨트랙트 키 => 배포 블록 (매니페스트에 기록된 경우만, 이벤트 조회 시작점)
+  let DYNAMIC_VAULT_ABI = null;
+  let LENDING_VAULT_ABI = null;
+  let REGISTRY_ABI = null;
+  let LIQUIDATION_ENGINE_ABI = null;
+  let ORACLE_ABI = null;
+  let USDC_ABI = null; // ERC20 공통 (MockERC20 ABI)
+
+  // UI가 호출하는 함수·구독하는 이벤트. 생성된 ABI에 하나라도 없으면 부트스트랩을 중단합니다.
+  const REQUIRED_ABI_MEMBERS = {
+    DynamicRangeVault: {
+      functions: ['openDynamicPosition', 'closePosition', 'harvestAndCompound', 'getPositionDetails', 'getUserPositions',
+        'assetTiers', 'maxLeverageByTier', 'previewOpenPosition', 'getPositionHealthRatio', 'isPositionInRange',
+        'owner', 'setAssetTier', 'updateLeverageRange', 'getAllowedRange', 'nextPositionId', 'paused', 'pause', 'unpause'],
+      events: ['PositionOpened', 'PositionClosed', 'FeesHarvested', 'PositionRebalanced', 'PositionLiquidated']
+    },
+    PillarLendingVault: {
+      functions: ['supply', 'withdraw', 'getUserBalance', 'getUtilizationRate', 'getBorrowRate', 'getTotalLiquidity',
+        'totalSupply', 'totalBorrows', 'assets', 'owner', 'paused', 'pause', 'unpause'],
+      events: ['Borrowed', 'Repaid']
+    },
+    MemeTokenRegistry: {
+      functions: ['getWhitelistedTokens', 'isTokenWhitelisted', 'getTokenTier', 'getMaxLeverageForToken',
+        'whitelistBaseFee', 'requestWhitelist', 'owner', 'evaluateAndWhitelistToken', 'updateWhitelistFee', 'withdrawFees'],
+      events: ['WhitelistRequested', 'TokenWhitelisted', 'TokenDelisted']
+    },
+    PumpFunOracle: {
+      functions: ['getPrice', 'owner', 'tokenMetrics', 'isTrackingToken', 'startTrackingToken', 'stopTrackingToken',
+        'authorizedUpdaters', 'authorizeUpdater', 'revokeUpdater'],
+      events: ['TokenMetricsUpdated']
+    },
+    PillarLiquidationEngine: {
+      functions: ['liquidationThresholds', 'DEFAULT_LIQUIDATION_THRESHOLD', 'MEME_LIQUIDATION_THRESHOLD', 'owner',
+        'setLiquidationThreshold'],
+      events: ['LiquidationExecuted']
+    },
+    MockERC20: {
+      functions: ['approve', 'allowance', 'balanceOf', 'symbol', 'decimals'],
+      events: []
+    }
   };
-  
-  // 확장된 ABI (포지션 관리 함수 추가)
-  const DYNAMIC_VAULT_ABI = [
-  // 기존 openPosition을 주석 처리하거나 삭제하고, openDynamicPosition으로 변경
-  // "function openPosition(uint256 collateralAmount, uint256 leverageBps, uint256 rangeBps, uint8 marginType) external",
-  "function openDynamicPosition(address _baseAsset, address _targetAsset, uint256 _collateralAmount, uint256 _leverageBps, uint8 _marginType, uint256 _customRangeBps, uint8 _feeTier) external returns (uint256 positionId)",
-  "function closePosition(uint256 positionId) external",
-  "function harvestAndCompound(uint256 positionId) external", // harvestFees -> harvestAndCompound
-  "function getPositionDetails(uint256 positionId) view returns ((address,address,uint256,uint256,uint256,uint256,uint256,uint256,uint256,uint256,uint256,uint8,uint8,uint8))", // getPosition -> getPositionDetails
-  "function getPositionHealthRatio(uint256 positionId) view returns (uint256)", // getPositionPnL 대체
-  "event PositionOpened(uint256 indexed positionId, address indexed owner, address baseAsset, address targetAsset, uint256 collateralAmount, uint256 leverageBps, uint256 rangeWidthBps, uint8 marginType)",
-  "event PositionClosed(uint256 indexed positionId, address indexed owner, uint256 finalCollateralAmount, uint256 realizedPnl)",
-  "event FeesHarvested(uint256 indexed positionId, uint256 harvestedAmount, uint256 performanceFee, uint256 compoundedAmount)"
-];
-
-  const USDC_ABI = [
-      "function approve(address spender, uint256 amount) external returns (bool)",
-      "function balanceOf(address account) view returns (uint256)"
-  ];
+
+  let frontendConfig = null;
+
+  async function loadFrontendConfig() {
+    const url = window.PILLAR_CONFIG_URL || new URL('pillar.config.js', SCRIPT_URL).href;
+    try {
+      return (await import(url)).default;
+    } catch (error) {
+      throw new Error(t('bootstrap.configLoadFailed', { url, error: error.message }));
+    }
+  }
+
+  function applyFrontendConfig(config) {
+    const defaultNetwork = config.networks && config.networks[config.defaultNetwork];
+    if (!defaultNetwork) {
+      throw new Error(t('bootstrap.noDefaultNetwork', { network: config.defaultNetwork }));
+    }
+    frontendConfig = config;
+    DYNAMIC_VAULT_ABI = config.abis.DynamicRangeVault;
+    LENDING_VAULT_ABI = config.abis.PillarLendingVault;
+    REGISTRY_ABI = config.abis.MemeTokenRegistry;
+    LIQUIDATION_ENGINE_ABI = config.abis.PillarLiquidationEngine;
+    ORACLE_ABI = config.abis.PumpFunOracle;
+    USDC_ABI = config.abis.MockERC20;
+
+    // 저장된 네트워크 → 설정 모듈의 기본 네트워크 → Sonic 테스트넷 순으로 시작 네트워크 결정
+    const savedKey = localStorage.getItem(NETWORK_STORAGE_KEY);
+    const defaultKey = Object.keys(NETWORKS).find(key => NETWORKS[key] && NETWORKS[key].chainId === defaultNetwork.chainId);
+    const startKey = [savedKey, defaultKey, 'sonicTestnet'].find(key => key && getNetwork(key) && findContractSet(getNetwork(key).chainId));
+    if (!startKey) {
+      throw new Error(t('bootstrap.noSelectableNetwork'));
+    }
+    applyNetwork(startKey);
+  }
+
+  function getNetwork(key) {
+    return key === 'custom' ? loadCustomNetwork() : NETWORKS[key] || null;
+  }
+
+  /**
+   * 설정 모듈에서 체인 ID가 같은 네트워크의 컨트랙트 세트를 찾음
+   * @returns {object|null} 주소가 하나라도 빠져 있으면 null
+   */
+  function findContractSet(chainId) {
+    const entry = findNetworkConfig(chainId);
+    if (!entry) return null;
+    return CONTRACT_KEYS.every(key => entry.contracts[key]) ? entry.contracts : null;
+  }
+
+  function findNetworkConfig(chainId) {
+    return Object.values(frontendConfig.networks).find(network => Number(network.chainId) === Number(chainId)) || null;
+  }
+
+  function applyNetwork(key) {
+    const network = getNetwork(key);
+    CURRENT_NETWORK = network;
+    currentNetworkKey = key;
+    CONTRACT_KEYS.forEach(contractKey => delete CONTRACTS[contractKey]);
+    Object.assign(CONTRACTS, findContractSet(network.chainId));
+    CONTRACT_KEYS.forEach(contractKey => delete DEPLOY_BLOCKS[contractKey]);
+    Object.assign(DEPLOY_BLOCKS, findNetworkConfig(network.chainId).deployBlocks || {});
+    state.targetAsset = CONTRACTS.weth;
+    localStorage.setItem(NETWORK_STORAGE_KEY, key);
+  }
+
+  // ethers 로드 후 호출: 생성된 ABI가 UI의 호출 목록을 모두 포함하는지 확인
+  function assertAbiCoverage() {
+    const missing = [];
+    for (const [contractName, { functions, events }] of Object.entries(REQUIRED_ABI_MEMBERS)) {
+      const abi = frontendConfig.abis[contractName];
+      if (!abi) {
+        missing.push(t('bootstrap.abiMissing', { contract: contractName }));
+        continue;
+      }
+      const iface = new window.ethers.Interface(abi);
+      functions.filter(name => !iface.getFunction(name)).forEach(name => missing.push(`${contractName}.${name}()`));
+      events.filter(name => !iface.getEvent(name)).forEach(name => missing.push(t('bootstrap.eventMissing', { contract: contractName, event: name })));
+    }
+    if (missing.length > 0) {
+      throw new Error(t('bootstrap.abiIncomplete', { missing: missing.join(', ') }));
+    }
+  }
 
   // ---------- 상태 관리 ----------
   const state = {
-    provider: null,
+    provider: null, // 지갑 BrowserProvider, 지갑이 없으면 CURRENT_NETWORK RPC의 JsonRpcProvider (읽기 전용)
     signer: null,
     userAddress: null,
+    viewAddress: null, // 지갑 없이 조회할 주소 ('주소 조회' 입력)
     chainId: null,
     isConnected: false,
     balances: { native: '0', usdc: '0', weth: '0' },
-    currentPrice: 2435.80,
-    priceChange24h: 2.4,
+    currentPrice: 0, // PumpFunOracle.getPrice (USD)
+    priceChange24h: null, // %, TokenMetricsUpdated 이력으로 계산
+    priceFresh: null, // getPrice의 isFresh (false면 포지션 오픈 중단)
     leverage: 20000,
     selectedRange: 0,
     marginType: 1,
     positions: [],
     allowedRangeBps: 2500, // 스마트 컨트랙트에서 가져올 기본값
+    preview: null, // previewOpenPosition 결과 (RangePreview)
+    targetAsset: null, // 자산 페어 셀렉터에서 선택된 대상 자산 (설정 로드 시 WETH)
+    assets: [], // 선택 가능한 대상 자산 목록 (loadAssetPairs)
   };
 
   // ---------- CSS 스타일 ----------
@@ -138,6 +329,11 @@
       }
       .nav .logo { font-size: 20px; font-weight: 700; color: #60a5fa; }
       .nav .right { display: flex; align-items: center; gap: 15px; }
+      .nav .networkSelect { width: auto; padding: 6px 10px; font-size: 13px; }
+      .nav .customRpcForm { display: flex; gap: 6px; }
+      .nav .customRpcForm input { width: 180px; padding: 6px 8px; font-size: 13px; }
+      .nav .customRpcForm input[type="number"] { width: 100px; }
+      .nav .customRpcForm input.symbol { width: 80px; }
       .btn {
         padding: 8px 16px; border: none; border-radius: 6px; cursor: pointer;
         font-size: 14px; font-weight: 500; transition: all 0.2s;
@@ -207,6 +403,38 @@
         display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; margin: 10px 0;
       }
       .leverageGrid .btn { padding: 8px 4px; font-size: 13px; }
+      .btn.ghost.active { background: rgba(59, 130, 246, 0.35); color: white; }
+      .healthAlertSettings { gap: 10px; font-size: 12px; color: #94a3b8; flex-wrap: wrap; }
+      .healthAlertSettings input[type="number"] { width: 64px; padding: 4px 6px; margin: 0 2px; }
+      .healthAlertSettings input[type="checkbox"] { width: auto; margin-right: 4px; }
+      .activityDrawer {
+        position: fixed; top: 0; right: 0; z-index: 999; width: 360px; height: 100vh;
+        padding: 20px; overflow-y: auto; background: rgba(16, 24, 54, 0.97);
+        border-left: 1px solid rgba(255,255,255,0.1); box-shadow: -10px 0 25px rgba(0,0,0,0.3);
+        transform: translateX(100%); transition: transform 0.2s ease;
+      }
+      .activityDrawer.open { transform: translateX(0); }
+      .activityItem { padding: 10px 0; border-bottom: 1px solid rgba(255,255,255,0.08); font-size: 13px; }
+      .activityMeta { margin-top: 4px; font-size: 12px; color: #94a3b8; }
+      .activityMeta a { color: #60a5fa; }
+      .dataTableWrap { overflow-x: auto; }
+      .dataTable { width: 100%; border-collapse: collapse; font-size: 13px; }
+      .dataTable th, .dataTable td { padding: 6px 8px; text-align: right; border-bottom: 1px solid rgba(255,255,255,0.08); white-space: nowrap; }
+      .dataTable th { color: #94a3b8; font-weight: 500; }
+      .dataTable th:first-child, .dataTable td:first-child { text-align: left; }
+      .analyticsChart { position: relative; height: 240px; }
+      .walletPicker {
+        position: fixed; inset: 0; z-index: 1001; display: none;
+        align-items: center; justify-content: center; background: rgba(0,0,0,0.6);
+      }
+      .walletPicker.open { display: flex; }
+      .walletPicker .card { width: 340px; max-width: calc(100vw - 40px); }
+      .walletOption { display: flex; align-items: center; gap: 12px; width: 100%; margin-top: 8px; text-align: left; }
+      .walletOption img { width: 28px; height: 28px; border-radius: 6px; }
+      .adminConfirm {
+        margin-top: 15px; padding: 12px; border-radius: 8px;
+        border: 1px solid rgba(245, 158, 11, 0.4); background: rgba(245, 158, 11, 0.08);
+      }
       .marginTypeSelect {
         display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin: 10px 0;
       }
@@ -236,6 +464,10 @@
         from { opacity: 0; transform: translateX(100%); }
         to { opacity: 1; transform: translateX(0); }
       }
+      .wrap.lower {
+        grid-template-columns: repeat(auto-fit, minmax(340px, 1fr));
+        min-height: auto; padding-top: 0;
+      }
       @media (max-width: 1200px) {
         .wrap { 
           grid-template-columns: 1fr; 
@@ -250,26 +482,265 @@
 
   // ---------- HTML 생성 ----------
   function createUI() {
-    const nav = el('nav', { class: 'nav' }, [ el('div', { class: 'logo' }, ['🏛️ Pillar Protocol']), el('div', { class: 'right' }, [ el('div', { class: 'pill', id: 'networkBadge' }, ['네트워크 확인 중...']), el('button', { class: 'btn primary', id: 'connectBtn', onclick: connectWallet, disabled: true }, ['라이브러리 로딩 중...']) ]) ]);
-    const leftPanel = el('div', { class: 'card' }, [ el('div', { class: 'h' }, ['포트폴리오']), el('div', { class: 'kv' }, [ el('div', {}, ['지갑 주소']), el('div', { id: 'walletAddr', class: 'badge' }, ['연결되지 않음']) ]), el('div', { class: 'kv' }, [ el('div', {}, ['네트워크']), el('div', { id: 'chainInfo', class: 'badge' }, ['-']) ]), el('div', { class: 'hr' }), el('div', { class: 'h' }, ['자산 잔액']), el('div', { class: 'kv' }, [ el('div', {}, ['S (네이티브)']), el('div', { id: 'nativeBalance', class: 'badge' }, ['0.0000']) ]), el('div', { class: 'kv' }, [ el('div', {}, ['USDC']), el('div', { id: 'usdcBalance', class: 'badge' }, ['0.00']) ]), el('div', { class: 'kv' }, [ el('div', {}, ['WETH']), el('div', { id: 'wethBalance', class: 'badge' }, ['0.0000']) ]), el('div', { class: 'hr' }), el('div', { id: 'positionsList' }, [ el('div', { class: 'h' }, ['내 포지션']), el('div', { class: 'badge', style: 'text-align:center; padding:20px;' }, ['포지션이 없습니다']) ]), el('div', { class: 'hr' }), el('div', { class: 'h' }, ['LP 수익']), el('div', { class: 'kv' }, [ el('div', {}, ['총 수수료']), el('div', { id: 'totalFees', class: 'badge ok' }, ['0.00 USDC']) ]), el('div', { class: 'kv' }, [ el('div', {}, ['실현 P&L']), el('div', { id: 'realizedPnl', class: 'badge' }, ['0.00 USDC']) ]) ]);
+    const nav = el('nav', { class: 'nav' }, [ el('div', { class: 'logo' }, ['🏛️ Pillar Protocol']), el('div', { class: 'right' }, [ el('select', { id: 'languageSelect', class: 'networkSelect', title: t('nav.language') }, Object.entries(i18n.names).map(([locale, name]) => el('option', { value: locale }, [name]))), el('select', { id: 'networkSelect', class: 'networkSelect' }, [ el('option', { value: 'sonicTestnet' }, [SONIC_BLAZE_TESTNET.chainName]), el('option', { value: 'localhost' }, [HARDHAT_LOCALNET.chainName]), el('option', { value: 'custom' }, [t('nav.customRpc')]) ]), el('div', { id: 'customRpcForm', class: 'customRpcForm', style: 'display:none;' }, [ el('input', { id: 'customRpcUrl', type: 'url', placeholder: 'https://rpc.example' }), el('input', { id: 'customChainId', type: 'number', min: '1', placeholder: t('nav.chainId') }), el('input', { id: 'customChainName', type: 'text', placeholder: t('nav.chainName') }), el('input', { id: 'customCurrencySymbol', class: 'symbol', type: 'text', maxlength: '6', placeholder: t('nav.currencySymbol') }), el('button', { class: 'btn ghost', id: 'customRpcApply' }, [t('nav.apply')]) ]), el('button', { class: 'btn ghost', id: 'analyticsBtn', onclick: toggleAnalytics }, [t('nav.analytics')]), el('button', { class: 'btn ghost', id: 'activityBtn', onclick: toggleActivityDrawer }, [t('nav.activity')]), el('div', { class: 'pill', id: 'networkBadge' }, [t('nav.checkingNetwork')]), el('button', { class: 'btn primary', id: 'connectBtn', onclick: connectWallet, disabled: true }, [t('nav.loadingLibraries')]) ]) ]);
+    const leftPanel = el('div', { class: 'card' }, [ el('div', { class: 'h' }, [t('portfolio.title')]), el('div', { class: 'kv' }, [ el('div', {}, [t('portfolio.walletAddress')]), el('div', { id: 'walletAddr', class: 'badge' }, [t('portfolio.notConnected')]) ]), el('div', { class: 'kv' }, [ el('div', {}, [t('portfolio.network')]), el('div', { id: 'chainInfo', class: 'badge' }, ['-']) ]), el('div', { id: 'viewAddressForm' }, [ el('div', { class: 'label' }, [t('portfolio.viewAddress')]), el('div', { class: 'row' }, [ el('input', { id: 'viewAddressInput', type: 'text', placeholder: '0x...', style: 'flex:1;' }), el('button', { class: 'btn ghost', id: 'viewAddressBtn' }, [t('portfolio.view')]) ]) ]), el('div', { class: 'hr' }), el('div', { class: 'h' }, [t('portfolio.balances')]), el('div', { class: 'kv' }, [ el('div', {}, [t('portfolio.nativeBalance')]), el('div', { id: 'nativeBalance', class: 'badge' }, ['0.0000']) ]), el('div', { class: 'kv' }, [ el('div', {}, ['USDC']), el('div', { id: 'usdcBalance', class: 'badge' }, ['0.00']) ]), el('div', { class: 'kv' }, [ el('div', {}, ['WETH']), el('div', { id: 'wethBalance', class: 'badge' }, ['0.0000']) ]), el('div', { class: 'hr' }), el('div', { id: 'positionsList' }, [ el('div', { class: 'h' }, [t('portfolio.myPositions')]), el('div', { class: 'badge', style: 'text-align:center; padding:20px;' }, [t('portfolio.noPositions')]) ]), el('div', { class: 'hr' }), el('div', { class: 'h' }, [t('portfolio.lpEarnings')]), el('div', { class: 'kv' }, [ el('div', {}, [t('portfolio.totalFees')]), el('div', { id: 'totalFees', class: 'badge ok' }, ['0.00 USDC']) ]), el('div', { class: 'kv' }, [ el('div', {}, [t('portfolio.realizedPnl')]), el('div', { id: 'realizedPnl', class: 'badge' }, ['0.00 USDC']) ]) ]);
     
     // 중앙 패널: 차트를 2개로 분리
     const centerPanel = el('div', { class: 'card' }, [ 
-      el('div', { class: 'h' }, ['가격 범위 차트 (Price Range)']),
+      el('div', { class: 'h' }, [t('chart.rangeTitle')]),
       el('div', { class: 'canvasWrap range-chart' }, [ el('canvas', { id: 'rangeChart' }) ]),
-      el('div', { class: 'h', style: 'margin-top: 20px;' }, ['거래량 및 수수료 차트']),
+      el('div', { class: 'row', style: 'margin-top: 20px; justify-content: space-between;' }, [
+        el('div', { class: 'h', style: 'margin-bottom: 0;' }, [t('chart.volumeFeeTitle')]),
+        el('div', { class: 'row', style: 'gap: 6px; margin-bottom: 10px;' }, Object.keys(CHART_WINDOWS).map(key =>
+          el('button', { class: `btn ghost window-btn${key === chartState.window ? ' active' : ''}`, 'data-window': key }, [key])))
+      ]),
       el('div', { class: 'canvasWrap volume-chart' }, [ el('canvas', { id: 'volumeFeeChart' }) ]),
-      el('div', { class: 'chartInfo' }, [ el('div', { class: 'pill active' }, [ '현재가: ', el('span', { id: 'currentPrice' }, [`\$${nice(state.currentPrice)}`]) ]), el('div', { class: 'pill' }, [ '24h 변동: ', el('span', { id: 'priceChange24h', style: 'margin-left:4px' }, [`+${state.priceChange24h}%`]) ]), el('div', { class: 'pill warn' }, [ '정규 범위: ±', el('span', { id: 'allowedRangeBps' }, [state.allowedRangeBps]), ' bps' ]), el('div', { class: 'pill' }, [ '설정 범위: ±', el('span', { id: 'selectedRangeBps' }, [state.selectedRange]), ' bps' ]) ]) 
+      el('div', { class: 'chartInfo' }, [ el('div', { class: 'pill active' }, [ t('chart.currentPrice'), el('span', { id: 'currentPrice' }, ['-']) ]), el('div', { class: 'pill' }, [ t('chart.change24h'), el('span', { id: 'priceChange24h', style: 'margin-left:4px' }, ['-']) ]), el('div', { class: 'pill', id: 'priceFreshness' }, [t('chart.oracleChecking')]), el('div', { class: 'pill warn' }, [ t('chart.allowedRange'), el('span', { id: 'allowedRangeBps' }, [state.allowedRangeBps]), ' bps' ]), el('div', { class: 'pill' }, [ t('chart.selectedRange'), el('span', { id: 'selectedRangeBps' }, [state.selectedRange]), ' bps' ]) ]) 
+    ]);
+
+    const rightPanel = el('div', { class: 'card' }, [ el('div', { class: 'h' }, [t('open.title')]), el('div', { class: 'label' }, [t('open.assetPair')]), el('select', { id: 'assetPair' }, [ el('option', { value: CONTRACTS.weth }, ['ETH/USDC']) ]), el('div', { class: 'row', style: 'margin-top:8px;' }, [ el('div', { id: 'assetTierBadge', class: 'badge' }, ['BLUE_CHIP']), el('div', { id: 'assetMaxLeverage', class: 'badge' }, ['-']) ]), el('div', { class: 'label' }, [t('open.collateral')]), el('input', { id: 'collateralAmount', type: 'number', min: '100', placeholder: '1000', step: '0.01' }), el('div', { class: 'label' }, [t('open.leverage')]), el('div', { class: 'rangeControl' }, [ el('div', {}, ['1x']), el('input', { id: 'leverageSlider', class: 'rangeSlider', type: 'range', min: '10000', max: '50000', step: '5000', value: '20000' }), el('div', { id: 'leverageValue' }, ['2.0x']) ]), el('div', { class: 'leverageGrid' }, [ el('button', { class: 'btn ghost lev-btn', 'data-lev': '10000' }, ['1x']), el('button', { class: 'btn ghost lev-btn active', 'data-lev': '20000' }, ['2x']), el('button', { class: 'btn ghost lev-btn', 'data-lev': '30000' }, ['3x']), el('button', { class: 'btn ghost lev-btn', 'data-lev': '50000' }, ['5x']) ]), el('div', { class: 'label' }, [t('open.range')]), el('div', { class: 'rangeControl' }, [ el('div', {}, [t('open.narrow')]), el('input', { id: 'rangeSlider', class: 'rangeSlider', type: 'range', min: '0', max: '5000', step: '50', value: '0' }), el('div', {}, [t('open.wide')]) ]), el('div', { class: 'badge', style: 'text-align:center; font-size:11px;' }, [t('open.rangeHint')]), el('div', { class: 'label' }, [t('open.marginType')]), el('div', { class: 'marginTypeSelect' }, [ el('button', { class: 'btn ghost margin-btn', 'data-type': '0' }, ['CROSS']), el('button', { class: 'btn ghost margin-btn active', 'data-type': '1' }, ['ISOLATED']) ]), el('div', { class: 'hr' }), el('div', { class: 'label' }, [t('open.preview')]), el('div', { class: 'kv' }, [ el('div', {}, [t('open.borrowAmount')]), el('div', { id: 'borrowAmount', class: 'badge' }, ['-']) ]), el('div', { class: 'kv' }, [ el('div', {}, [t('open.effectiveLeverage')]), el('div', { id: 'effectiveLeverage', class: 'badge' }, ['2.0x']) ]), el('div', { class: 'kv' }, [ el('div', {}, [t('open.priceBounds')]), el('div', { id: 'priceBounds', class: 'badge' }, ['-']) ]), el('div', { class: 'kv' }, [ el('div', {}, [t('open.rangeVsAllowed')]), el('div', { id: 'previewRange', class: 'badge' }, ['-']) ]), el('div', { class: 'kv' }, [ el('div', {}, [t('open.validation')]), el('div', { id: 'previewStatus', class: 'badge' }, ['-']) ]), el('div', { class: 'row', style: 'margin-top:20px;' }, [ el('button', { class: 'btn primary', id: 'openPositionBtn', style: 'flex:1;', onclick: openPosition }, [t('open.submit')]) ]) ]);
+    // 하단 패널: PillarLendingVault 공급/출금
+    const lendingPanel = el('div', { class: 'card', id: 'lendingPanel' }, [
+      el('div', { class: 'h' }, [t('lending.title')]),
+      el('div', { class: 'kv' }, [ el('div', {}, [t('lending.totalSupply')]), el('div', { id: 'lendTotalSupply', class: 'badge' }, ['-']) ]),
+      el('div', { class: 'kv' }, [ el('div', {}, [t('lending.totalBorrows')]), el('div', { id: 'lendTotalBorrows', class: 'badge' }, ['-']) ]),
+      el('div', { class: 'kv' }, [ el('div', {}, [t('lending.liquidity')]), el('div', { id: 'lendLiquidity', class: 'badge' }, ['-']) ]),
+      el('div', { class: 'kv' }, [ el('div', {}, [t('lending.utilization')]), el('div', { id: 'lendUtilization', class: 'badge' }, ['-']) ]),
+      el('div', { class: 'kv' }, [ el('div', {}, [t('lending.borrowRate')]), el('div', { id: 'lendBorrowRate', class: 'badge' }, ['-']) ]),
+      el('div', { class: 'hr' }),
+      el('div', { class: 'kv' }, [ el('div', {}, [t('lending.userPrincipal')]), el('div', { id: 'lendUserPrincipal', class: 'badge' }, ['-']) ]),
+      el('div', { class: 'kv' }, [ el('div', {}, [t('lending.userInterest')]), el('div', { id: 'lendUserInterest', class: 'badge ok' }, ['-']) ]),
+      el('div', { class: 'label' }, [t('common.amountUsdc')]),
+      el('input', { id: 'lendAmount', type: 'number', min: '0', placeholder: '1000', step: '0.01' }),
+      el('div', { id: 'lendWarning', class: 'badge warn', style: 'display:none; margin-top:8px;' }, ['']),
+      el('div', { class: 'row', style: 'margin-top:15px;' }, [
+        el('button', { class: 'btn primary', id: 'lendSupplyBtn', style: 'flex:1;', onclick: supplyToLending }, [t('lending.supply')]),
+        el('button', { class: 'btn ghost', id: 'lendWithdrawBtn', style: 'flex:1;', onclick: withdrawFromLending }, [t('lending.withdraw')])
+      ])
+    ]);
+
+    // 하단 패널: 밈 토큰 프로젝트용 상장 신청
+    const whitelistPanel = el('div', { class: 'card', id: 'whitelistPanel' }, [
+      el('div', { class: 'h' }, [t('whitelist.title')]),
+      el('div', { class: 'kv' }, [ el('div', {}, [t('whitelist.fee')]), el('div', { id: 'whitelistFee', class: 'badge' }, ['-']) ]),
+      el('div', { class: 'label' }, [t('whitelist.token')]),
+      el('input', { id: 'whitelistToken', type: 'text', placeholder: '0x...' }),
+      el('div', { class: 'label' }, [t('whitelist.website')]),
+      el('input', { id: 'whitelistWebsite', type: 'url', placeholder: 'https://' }),
+      el('div', { class: 'row', style: 'margin-top:15px;' }, [
+        el('button', { class: 'btn primary', id: 'whitelistSubmitBtn', style: 'flex:1;', onclick: submitWhitelistRequest }, [t('whitelist.submit')])
+      ]),
+      el('div', { class: 'hr' }),
+      el('div', { class: 'label' }, [t('whitelist.myRequests')]),
+      el('div', { id: 'whitelistRequests' }, [ el('div', { class: 'badge', style: 'text-align:center; padding:10px;' }, [t('whitelist.noRequests')]) ])
+    ]);
+
+    // 하단 패널: 프로토콜 owner 전용 관리자 콘솔 (loadAdminConsole이 표시 여부 결정)
+    const adminPanel = el('div', { class: 'card', id: 'adminPanel', style: 'display:none;' }, [
+      el('div', { class: 'h' }, [t('admin.title')]),
+      el('div', { id: 'adminOwnership', class: 'chartInfo', style: 'margin-top:0;' }),
+      el('div', { class: 'label' }, [t('admin.action')]),
+      el('select', { id: 'adminAction' }),
+      el('div', { id: 'adminFields' }),
+      el('div', { class: 'row', style: 'margin-top:15px;' }, [
+        el('button', { class: 'btn primary', id: 'adminReviewBtn', style: 'flex:1;', onclick: reviewAdminAction }, [t('admin.review')])
+      ]),
+      el('div', { id: 'adminConfirm', class: 'adminConfirm', style: 'display:none;' })
+    ]);
+
+    // 트랜잭션 활동 서랍 (진행 중 / 완료)
+    const activityDrawer = el('div', { class: 'activityDrawer', id: 'activityDrawer' }, [
+      el('div', { class: 'row', style: 'justify-content: space-between; margin-bottom: 10px;' }, [
+        el('div', { class: 'h', style: 'margin-bottom: 0;' }, [t('activity.title')]),
+        el('button', { class: 'btn ghost', onclick: toggleActivityDrawer }, [t('activity.close')])
+      ]),
+      el('div', { class: 'label' }, [t('activity.pending')]),
+      el('div', { id: 'activityPending' }),
+      el('div', { class: 'label' }, [t('activity.completed')]),
+      el('div', { id: 'activityCompleted' }),
+      el('button', { class: 'btn ghost', style: 'margin-top: 12px; width: 100%;', onclick: clearCompletedTransactions }, [t('activity.clearCompleted')])
+    ]);
+
+    // 하단 패널: 종료·청산 포함 포지션 이력과 실현 손익
+    const historyPanel = el('div', { class: 'card', id: 'historyPanel', style: 'grid-column: 1 / -1;' }, [
+      el('div', { class: 'row', style: 'justify-content: space-between; margin-bottom: 10px;' }, [
+        el('div', { class: 'h', style: 'margin-bottom: 0;' }, [t('history.title')]),
+        el('div', { class: 'row', style: 'gap: 6px;' }, [
+          el('button', { class: 'btn ghost', onclick: () => exportPositionHistory('csv') }, [t('history.exportCsv')]),
+          el('button', { class: 'btn ghost', onclick: () => exportPositionHistory('json') }, [t('history.exportJson')])
+        ])
+      ]),
+      el('div', { class: 'badge', style: 'font-size:11px; margin-bottom: 10px;' }, [t('history.note')]),
+      el('div', { id: 'historyLookback', class: 'badge warn', style: 'display:none; font-size:11px; margin-bottom: 10px;' }),
+      el('div', { id: 'positionHistory', class: 'dataTableWrap' })
+    ]);
+
+    // 분석 탭: 거래 화면(mainPanels, lowerPanels) 대신 표시되는 프로토콜 전체 지표
+    const analyticsKv = (label, id) => el('div', { class: 'kv' }, [ el('div', {}, [label]), el('div', { id, class: 'badge' }, ['-']) ]);
+    const analyticsPanels = el('div', { class: 'wrap lower', id: 'analyticsPanels', style: 'display:none; padding-top: 20px;' }, [
+      el('div', { class: 'card', style: 'grid-column: 1 / -1;' }, [
+        el('div', { class: 'row', style: 'justify-content: space-between; margin-bottom: 10px;' }, [
+          el('div', { class: 'h', style: 'margin-bottom: 0;' }, [t('analytics.lendingTitle')]),
+          el('button', { class: 'btn ghost', onclick: () => loadAnalytics() }, [t('analytics.refresh')])
+        ]),
+        el('div', { id: 'analyticsLending', class: 'dataTableWrap' })
+      ]),
+      el('div', { class: 'card' }, [
+        el('div', { class: 'h' }, [t('analytics.openInterestTitle')]),
+        analyticsKv(t('analytics.totalOpenInterest'), 'analyticsTotalOi'),
+        el('div', { class: 'label' }, [t('analytics.byTier')]),
+        el('div', { id: 'analyticsOiByTier' }),
+        el('div', { class: 'label' }, [t('analytics.byMarginType')]),
+        el('div', { id: 'analyticsOiByMargin' })
+      ]),
+      el('div', { class: 'card' }, [
+        el('div', { class: 'h' }, [t('analytics.positionsTitle')]),
+        el('div', { class: 'label' }, [t('analytics.byStatus')]),
+        el('div', { id: 'analyticsStatusCounts' }),
+        el('div', { class: 'label' }, [t('analytics.leverageDistribution')]),
+        el('div', { id: 'analyticsLeverage' })
+      ]),
+      el('div', { class: 'card' }, [
+        el('div', { class: 'h' }, [t('analytics.liquidationsTitle')]),
+        analyticsKv(t('analytics.liquidationTotal'), 'analyticsLiquidationTotal'),
+        el('div', { class: 'analyticsChart' }, [el('canvas', { id: 'analyticsLiquidationChart' })])
+      ]),
+      el('div', { class: 'card' }, [
+        el('div', { class: 'h' }, [t('analytics.feesTitle')]),
+        analyticsKv(t('analytics.feeTotal'), 'analyticsFeeTotal'),
+        el('div', { class: 'analyticsChart' }, [el('canvas', { id: 'analyticsFeeChart' })])
+      ]),
+      el('div', { id: 'analyticsNote', class: 'badge', style: 'grid-column: 1 / -1; font-size:11px;' }, [t('analytics.sinceDeployNote', { days: ANALYTICS_DAYS })])
+    ]);
+
+    // 지갑 선택 창 (EIP-6963으로 발견한 지갑이 여러 개일 때)
+    const walletPicker = el('div', { class: 'walletPicker', id: 'walletPicker', onclick: (e) => { if (e.target.id === 'walletPicker') closeWalletPicker(null); } }, [
+      el('div', { class: 'card' }, [
+        el('div', { class: 'h' }, [t('wallet.pickerTitle')]),
+        el('div', { id: 'walletOptions' }),
+        el('button', { class: 'btn ghost', style: 'margin-top: 12px; width: 100%;', onclick: () => closeWalletPicker(null) }, [t('wallet.cancel')])
+      ])
+    ]);
+
+    // 하단 패널: 볼트에 대한 토큰 승인 조회·해제
+    const allowancePanel = el('div', { class: 'card', id: 'allowancePanel' }, [
+      el('div', { class: 'h' }, [t('allowance.title')]),
+      el('div', { class: 'label' }, [t('allowance.mode')]),
+      el('select', { id: 'approvalMode' }, [
+        el('option', { value: 'exact' }, [t('allowance.modeExact')]),
+        el('option', { value: 'unlimited' }, [t('allowance.modeUnlimited')])
+      ]),
+      el('div', { class: 'badge', style: 'font-size:11px; margin-top:8px;' }, [t('allowance.skipHint')]),
+      el('div', { class: 'hr' }),
+      el('div', { class: 'label' }, [t('allowance.current')]),
+      el('div', { id: 'allowanceList' }, [ el('div', { class: 'badge', style: 'text-align:center; padding:10px;' }, [t('allowance.none')]) ])
     ]);
 
-    const rightPanel = el('div', { class: 'card' }, [ el('div', { class: 'h' }, ['레버리지 LP 포지션']), el('div', { class: 'label' }, ['자산 페어']), el('select', { id: 'assetPair' }, [ el('option', { value: 'ETH/USDC' }, ['ETH/USDC']) ]), el('div', { class: 'label' }, ['담보 금액 (USDC)']), el('input', { id: 'collateralAmount', type: 'number', min: '100', placeholder: '1000', step: '0.01' }), el('div', { class: 'label' }, ['레버리지']), el('div', { class: 'rangeControl' }, [ el('div', {}, ['1x']), el('input', { id: 'leverageSlider', class: 'rangeSlider', type: 'range', min: '10000', max: '50000', step: '5000', value: '20000' }), el('div', { id: 'leverageValue' }, ['2.0x']) ]), el('div', { class: 'leverageGrid' }, [ el('button', { class: 'btn ghost lev-btn', 'data-lev': '10000' }, ['1x']), el('button', { class: 'btn ghost lev-btn active', 'data-lev': '20000' }, ['2x']), el('button', { class: 'btn ghost lev-btn', 'data-lev': '30000' }, ['3x']), el('button', { class: 'btn ghost lev-btn', 'data-lev': '50000' }, ['5x']) ]), el('div', { class: 'label' }, ['가격 범위 (자동 ↔ 수동)']), el('div', { class: 'rangeControl' }, [ el('div', {}, ['좁음']), el('input', { id: 'rangeSlider', class: 'rangeSlider', type: 'range', min: '0', max: '5000', step: '50', value: '0' }), el('div', {}, ['넓음']) ]), el('div', { class: 'badge', style: 'text-align:center; font-size:11px;' }, ['0 = 자동 최적화, 값 설정 = 수동 조정']), el('div', { class: 'label' }, ['마진 타입']), el('div', { class: 'marginTypeSelect' }, [ el('button', { class: 'btn ghost margin-btn', 'data-type': '0' }, ['CROSS']), el('button', { class: 'btn ghost margin-btn active', 'data-type': '1' }, ['ISOLATED']) ]), el('div', { class: 'hr' }), el('div', { class: 'label' }, ['포지션 미리보기']), el('div', { class: 'kv' }, [ el('div', {}, ['차입 금액']), el('div', { id: 'borrowAmount', class: 'badge' }, ['-']) ]), el('div', { class: 'kv' }, [ el('div', {}, ['실질 레버리지']), el('div', { id: 'effectiveLeverage', class: 'badge' }, ['2.0x']) ]), el('div', { class: 'kv' }, [ el('div', {}, ['예상 수익률']), el('div', { id: 'expectedApr', class: 'badge ok' }, ['8.5% APR']) ]), el('div', { class: 'kv' }, [ el('div', {}, ['리스크 레벨']), el('div', { id: 'riskLevel', class: 'badge warn' }, ['중간']) ]), el('div', { class: 'row', style: 'margin-top:20px;' }, [ el('button', { class: 'btn primary', id: 'openPositionBtn', style: 'flex:1;', onclick: openPosition }, ['포지션 오픈']) ]) ]);
     const notifications = el('div', { class: 'notifications', id: 'notifications' });
-    const wrap = el('div', { class: 'wrap' }, [leftPanel, centerPanel, rightPanel]);
+    const wrap = el('div', { class: 'wrap', id: 'mainPanels' }, [leftPanel, centerPanel, rightPanel]);
+    const lowerWrap = el('div', { class: 'wrap lower', id: 'lowerPanels' }, [lendingPanel, whitelistPanel, allowancePanel, adminPanel, historyPanel]);
     document.body.appendChild(nav);
     document.body.appendChild(wrap);
+    document.body.appendChild(lowerWrap);
+    document.body.appendChild(analyticsPanels);
+    document.body.appendChild(activityDrawer);
+    document.body.appendChild(walletPicker);
     document.body.appendChild(notifications);
   }
 
+// ---------- 지갑 탐색 (EIP-6963) ----------
+// 설치된 지갑 확장 프로그램이 eip6963:announceProvider 이벤트로 자신을 알리면 rdns별로 모아 두고,
+// 여러 개면 선택 창을 띄웁니다. 알리지 않는 지갑은 window.ethereum 하나로 대체합니다.
+const WALLET_DISCOVERY_MS = 300;            // requestProvider 후 공지를 기다리는 시간
+const INJECTED_WALLET_RDNS = 'injected';     // window.ethereum 대체 지갑의 식별자
+
+const walletState = {
+  providers: new Map(), // rdns => { info: { uuid, name, icon, rdns }, provider }
+  active: null,         // 연결에 사용 중인 { info, provider }
+  listening: null,      // accountsChanged/chainChanged를 구독 중인 프로바이더
+  pick: null,           // 선택 창이 열려 있는 동안의 resolve 함수
+  discovering: false    // announceProvider 리스너 등록 여부
+};
+
+function handleProviderAnnouncement(event) {
+  const { info, provider } = event.detail || {};
+  if (!info || !info.rdns || !provider || typeof provider.request !== 'function') return;
+  walletState.providers.set(info.rdns, { info, provider });
+  // 선택 창을 연 뒤에 늦게 공지한 지갑도 목록에 추가
+  if (walletState.pick) renderWalletOptions();
+}
+
+async function discoverWallets() {
+  if (!walletState.discovering) {
+    walletState.discovering = true;
+    window.addEventListener('eip6963:announceProvider', handleProviderAnnouncement);
+  }
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  await new Promise(resolve => setTimeout(resolve, WALLET_DISCOVERY_MS));
+}
+
+// window.ethereum이 공지된 지갑 중 하나면 그 항목을, 아니면 이름 없는 브라우저 지갑 항목을 반환
+function getInjectedWallet() {
+  if (!window.ethereum) return null;
+  const announced = [...walletState.providers.values()].find(wallet => wallet.provider === window.ethereum);
+  return announced || {
+    info: { uuid: INJECTED_WALLET_RDNS, rdns: INJECTED_WALLET_RDNS, name: t('wallet.browserWallet'), icon: '' },
+    provider: window.ethereum
+  };
+}
+
+function listWallets() {
+  const wallets = [...walletState.providers.values()];
+  const injected = getInjectedWallet();
+  if (injected && !wallets.includes(injected)) wallets.push(injected);
+  return wallets;
+}
+
+// 마지막으로 연결한 지갑 (기록이 없으면 이전 버전처럼 window.ethereum)
+function getRememberedWallet() {
+  const rdns = localStorage.getItem('sonic_wallet_provider');
+  if (!rdns || rdns === INJECTED_WALLET_RDNS) return getInjectedWallet();
+  return walletState.providers.get(rdns) || null;
+}
+
+function getWalletProvider() {
+  return walletState.active ? walletState.active.provider : window.ethereum;
+}
+
+function selectWallet(wallet) {
+  walletState.active = wallet;
+  setupWalletListeners();
+}
+
+function renderWalletOptions() {
+  const container = document.getElementById('walletOptions');
+  const lastUsed = localStorage.getItem('sonic_wallet_provider');
+  container.innerHTML = '';
+  listWallets().forEach(wallet => {
+    const option = el('button', { class: 'btn ghost walletOption', onclick: () => closeWalletPicker(wallet) }, [
+      wallet.info.icon ? el('img', { src: wallet.info.icon, alt: '' }) : null,
+      el('span', { style: 'flex: 1;' }, [wallet.info.name]),
+      wallet.info.rdns === lastUsed ? el('span', { class: 'badge' }, [t('wallet.lastUsed')]) : null
+    ]);
+    container.appendChild(option);
+  });
+}
+
+// 선택한 지갑으로 resolve, 취소하면 null
+function pickWallet() {
+  if (walletState.pick) closeWalletPicker(null);
+  renderWalletOptions();
+  document.getElementById('walletPicker').classList.add('open');
+  return new Promise(resolve => { walletState.pick = resolve; });
+}
+
+function closeWalletPicker(wallet) {
+  document.getElementById('walletPicker').classList.remove('open');
+  const resolve = walletState.pick;
+  walletState.pick = null;
+  if (resolve) resolve(wallet);
+}
+
 // ---------- 지갑 연결 로직 (개선된 버전) ----------
 
 function connectWalletState(address, chain, networkId) {
@@ -278,16 +749,30 @@ function connectWalletState(address, chain, networkId) {
   state.isConnected = true;
   localStorage.setItem('sonic_wallet_address', address);
   localStorage.setItem('sonic_wallet_network', networkId.toString());
+  if (walletState.active) localStorage.setItem('sonic_wallet_provider', walletState.active.info.rdns);
+}
+
+// 잔액·포지션을 보여줄 주소: 지갑이 연결되어 있으면 지갑 주소, 아니면 '주소 조회'로 입력한 주소
+function getAccountAddress() {
+  return state.isConnected ? state.userAddress : state.viewAddress;
+}
+
+// 지갑 없이 공개 데이터(오라클 가격, 레지스트리 티어, 렌딩 통계, 포지션)를 읽는 프로바이더
+function createReadOnlyProvider() {
+  const rpcUrl = CURRENT_NETWORK.rpcUrls && CURRENT_NETWORK.rpcUrls[0];
+  if (!window.ethers || !rpcUrl) return null;
+  return new window.ethers.JsonRpcProvider(rpcUrl, CURRENT_NETWORK.chainId, { staticNetwork: true });
 }
 
 function disconnectWalletState() {
-  state.provider = null;
+  state.provider = createReadOnlyProvider();
   state.signer = null;
   state.userAddress = null;
   state.chainId = null;
   state.isConnected = false;
   localStorage.removeItem('sonic_wallet_address');
   localStorage.removeItem('sonic_wallet_network');
+  localStorage.removeItem('sonic_wallet_provider');
 }
 
 function waitForEthers(maxAttempts = 10) {
@@ -299,7 +784,7 @@ function waitForEthers(maxAttempts = 10) {
         console.log('ethers.js 로드 완료');
         resolve(true);
       } else if (attempts >= maxAttempts) {
-        reject(new Error('ethers.js 로드 타임아웃'));
+        reject(new Error(t('bootstrap.ethersTimeout')));
       } else {
         setTimeout(check, 500);
       }
@@ -315,22 +800,30 @@ function waitForEthers(maxAttempts = 10) {
  */
 async function _connectAndSetupProvider(account) {
   try {
-    state.provider = new window.ethers.BrowserProvider(window.ethereum);
+    const walletProvider = getWalletProvider();
+    state.provider = new window.ethers.BrowserProvider(walletProvider);
     const network = await state.provider.getNetwork();
     const networkId = Number(network.chainId);
 
     // 목표 네트워크와 현재 네트워크가 다른지 확인 (핵심 강제 로직)
     if (networkId !== CURRENT_NETWORK.chainId) {
-      showNotification(`${CURRENT_NETWORK.chainName} 네트워크로 전환이 필요합니다.`, 'warn');
-      await switchToCurrentNetwork(window.ethereum);
-      // 네트워크 전환 후에는 페이지가 새로고침되므로, 이후 로직을 중단합니다.
-      setTimeout(() => window.location.reload(), 1000);
-      return false; // 설정 미완료 상태 반환
+      showNotification(t('wallet.switchRequired', { network: CURRENT_NETWORK.chainName }), 'warn');
+      networkState.walletSwitching = true;
+      try {
+        if (!await switchToCurrentNetwork(walletProvider)) {
+          disconnectWalletState();
+          return false; // 설정 미완료 상태 반환
+        }
+      } finally {
+        networkState.walletSwitching = false;
+      }
+      // 체인이 바뀌면 기존 BrowserProvider는 사용할 수 없으므로 새로 생성
+      state.provider = new window.ethers.BrowserProvider(walletProvider);
     }
 
     // 네트워크가 올바른 경우, 서명자를 설정하고 상태를 업데이트합니다.
     state.signer = await state.provider.getSigner();
-    connectWalletState(account, 'EVM', networkId);
+    connectWalletState(account, 'EVM', CURRENT_NETWORK.chainId);
     return true; // 설정 완료 상태 반환
 
   } catch (error) {
@@ -344,9 +837,13 @@ async function _connectAndSetupProvider(account) {
 async function checkWalletConnection() {
   try {
     await waitForEthers();
-    if (typeof window !== 'undefined' && window.ethereum) {
-      const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+    await discoverWallets();
+    // 마지막으로 연결한 지갑에만 계정을 묻고, 그 지갑이 없어졌으면 연결하지 않음
+    const wallet = getRememberedWallet();
+    if (wallet) {
+      const accounts = await wallet.provider.request({ method: 'eth_accounts' });
       if (accounts && accounts.length > 0) {
+        selectWallet(wallet);
         // 통합 헬퍼 함수를 호출하여 연결 및 네트워크 검증 수행
         await _connectAndSetupProvider(accounts[0]);
       } else {
@@ -363,16 +860,22 @@ async function checkWalletConnection() {
 
 // '지갑 연결' 버튼 클릭 시 실행되는 함수 (개선)
 async function connectWallet() {
-  if (typeof window.ethereum === 'undefined') {
-    return showNotification('MetaMask와 같은 EVM 지갑을 찾을 수 없습니다.', 'error');
-  }
   try {
-    showNotification('지갑 연결 중...', 'info');
     await waitForEthers();
+    await discoverWallets();
+    const wallets = listWallets();
+    if (wallets.length === 0) {
+      return showNotification(t('wallet.notFound'), 'error');
+    }
+    const wallet = wallets.length === 1 ? wallets[0] : await pickWallet();
+    if (!wallet) return; // 선택 창을 닫음
+
+    showNotification(t('wallet.connecting', { wallet: wallet.info.name }), 'info');
+    selectWallet(wallet);
     
     // 사용자에게 직접 계정 연결을 요청
-    const accounts = await window.ethereum.request({ method: "eth_requestAccounts" });
-    if (!accounts || accounts.length === 0) throw new Error("계정을 찾을 수 없습니다.");
+    const accounts = await wallet.provider.request({ method: "eth_requestAccounts" });
+    if (!accounts || accounts.length === 0) throw new Error(t('wallet.noAccounts'));
 
     // 통합 헬퍼 함수를 호출하여 연결 및 네트워크 검증 수행
     const isSetupComplete = await _connectAndSetupProvider(accounts[0]);
@@ -380,31 +883,35 @@ async function connectWallet() {
     // 네트워크 전환 없이 성공적으로 연결된 경우에만 UI 업데이트 및 데이터 로드
     if (isSetupComplete) {
       updateWalletUI();
-      loadInitalData();
-      showNotification('지갑 연결 성공!', 'success');
+      loadInitialData();
+      showNotification(t('wallet.connected'), 'success');
     }
   } catch (error) {
     console.error('지갑 연결 오류:', error);
     if (error.code === 4001) {
-      showNotification('지갑 연결이 사용자에 의해 거부되었습니다.', 'warn');
+      showNotification(t('wallet.rejected'), 'warn');
     } else {
-      showNotification(error.message || '지갑 연결에 실패했습니다.', 'error');
+      showNotification(error.message || t('wallet.failed'), 'error');
     }
     disconnectWalletState();
     updateWalletUI();
   }
 }
 
-// 네트워크 전환/추가 함수 (변경 없음)
+// 네트워크 전환/추가 함수 (성공 여부 반환)
 async function switchToCurrentNetwork(provider) {
-  if (!provider) return showNotification('지갑 공급자를 찾을 수 없습니다.', 'error');
+  if (!provider) {
+    showNotification(t('wallet.noProvider'), 'error');
+    return false;
+  }
   const hexChainId = `0x${CURRENT_NETWORK.chainId.toString(16)}`;
   try {
-    showNotification(`${CURRENT_NETWORK.chainName}으로 전환합니다...`, 'info');
+    showNotification(t('wallet.switching', { network: CURRENT_NETWORK.chainName }), 'info');
     await provider.request({
       method: 'wallet_switchEthereumChain',
       params: [{ chainId: hexChainId }],
     });
+    return true;
   } catch (switchError) {
     if (switchError.code === 4902) {
       try {
@@ -413,41 +920,61 @@ async function switchToCurrentNetwork(provider) {
           method: 'wallet_addEthereumChain',
           params: [networkToAdd],
         });
-        showNotification('Sonic Blaze Testnet 추가 완료!', 'success');
+        showNotification(t('wallet.networkAdded', { network: CURRENT_NETWORK.chainName }), 'success');
+        return true;
       } catch (addError) {
-        showNotification('네트워크 추가에 실패했습니다.', 'error');
+        showNotification(t('wallet.addNetworkFailed'), 'error');
       }
     } else {
-      showNotification('네트워크 전환에 실패했습니다.', 'error');
+      showNotification(t('wallet.switchFailed'), 'error');
     }
+    return false;
   }
 }
 
 // 이벤트 리스너 및 UI 업데이트 함수 (변경 없음)
 function handleAccountsChanged(accounts) {
   if (accounts.length === 0) {
-    showNotification('지갑 연결이 해제되었습니다.', 'warn');
+    showNotification(t('wallet.disconnected'), 'warn');
     disconnectWalletState();
     updateWalletUI();
+    loadInitialData();
   } else {
-    showNotification('지갑 계정이 변경되었습니다. 페이지를 새로고침합니다.', 'info');
+    showNotification(t('wallet.accountChanged'), 'info');
     setTimeout(() => window.location.reload(), 1500);
   }
 }
 
+// 지갑에서 직접 체인을 바꾼 경우: 등록된 네트워크면 그 네트워크로 제자리 전환, 아니면 연결 해제
 function handleChainChanged(chainId) {
-  showNotification('네트워크가 변경되었습니다. 페이지를 새로고침합니다.', 'info');
-  setTimeout(() => window.location.reload(), 1500);
+  if (networkState.walletSwitching) return; // 앱이 요청한 전환은 _connectAndSetupProvider가 처리
+  const newChainId = parseInt(chainId, 16);
+  if (newChainId === CURRENT_NETWORK.chainId) return;
+  const key = Object.keys(NETWORKS).find(k => getNetwork(k) && getNetwork(k).chainId === newChainId && findContractSet(newChainId));
+  if (key) {
+    showNotification(t('wallet.chainChanged', { network: getNetwork(key).chainName }), 'info');
+    switchNetwork(key);
+  } else {
+    showNotification(t('wallet.unsupportedChain', { chainId: newChainId, network: CURRENT_NETWORK.chainName }), 'warn');
+    disconnectWalletState();
+    updateWalletUI();
+    loadInitialData();
+  }
 }
 
+// 선택한 지갑의 이벤트만 구독 (다른 지갑으로 바꾸면 이전 구독 해제)
 function setupWalletListeners() {
-  if (typeof window !== 'undefined' && window.ethereum) {
-    if (window.ethereum.removeListener) {
-      window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
-      window.ethereum.removeListener('chainChanged', handleChainChanged);
-    }
-    window.ethereum.on('accountsChanged', handleAccountsChanged);
-    window.ethereum.on('chainChanged', handleChainChanged);
+  const provider = getWalletProvider();
+  const previous = walletState.listening;
+  if (previous && previous.removeListener) {
+    previous.removeListener('accountsChanged', handleAccountsChanged);
+    previous.removeListener('chainChanged', handleChainChanged);
+  }
+  walletState.listening = null;
+  if (provider && provider.on) {
+    provider.on('accountsChanged', handleAccountsChanged);
+    provider.on('chainChanged', handleChainChanged);
+    walletState.listening = provider;
   }
 }
 
@@ -455,10 +982,14 @@ async function initializeWalletConnection() {
   await checkWalletConnection();
   setupWalletListeners();
   updateWalletUI();
+  // 새로고침 후에도 온체인 포지션을 다시 불러옵니다. 지갑이 없으면 읽기 전용 프로바이더로 공개 데이터를 불러옵니다.
+  loadInitialData();
 }
 
 function updateWalletUI() {
   const connectBtn = document.getElementById('connectBtn');
+  renderNetworkSelector();
+  renderActivity();
   if (state.isConnected && state.userAddress) {
     const shortAddr = `${state.userAddress.slice(0, 6)}...${state.userAddress.slice(-4)}`;
     document.getElementById('walletAddr').textContent = shortAddr;
@@ -468,30 +999,397 @@ function updateWalletUI() {
     connectBtn.textContent = shortAddr;
     connectBtn.className = 'btn ghost';
     connectBtn.onclick = null;
+    document.getElementById('viewAddressForm').style.display = 'none';
   } else {
-    document.getElementById('walletAddr').textContent = '연결되지 않음';
-    document.getElementById('chainInfo').textContent = '-';
-    document.getElementById('networkBadge').textContent = '연결 필요';
+    // 지갑 없이도 읽기 전용 프로바이더로 공개 데이터를 표시 (서명이 필요한 작업만 연결 요청)
+    const viewAddr = state.viewAddress ? `${state.viewAddress.slice(0, 6)}...${state.viewAddress.slice(-4)}` : null;
+    document.getElementById('walletAddr').textContent = viewAddr ? t('portfolio.viewing', { address: viewAddr }) : t('portfolio.notConnected');
+    document.getElementById('chainInfo').textContent = state.provider ? CURRENT_NETWORK.chainName : '-';
+    document.getElementById('networkBadge').textContent = state.provider ? t('wallet.readOnly', { network: CURRENT_NETWORK.chainName }) : t('wallet.connectRequired');
     document.getElementById('networkBadge').className = 'pill warn';
-    connectBtn.textContent = '지갑 연결';
+    connectBtn.textContent = t('wallet.connect');
     connectBtn.className = 'btn primary';
     connectBtn.onclick = connectWallet;
+    document.getElementById('viewAddressForm').style.display = '';
   }
 }
+  // ---------- 네트워크 전환 ----------
+  const networkState = {
+    switching: false,       // switchNetwork 진행 중 (중복 전환 방지)
+    walletSwitching: false  // 앱이 지갑에 체인 전환을 요청한 동안 chainChanged 무시
+  };
+
+  function loadCustomNetwork() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(CUSTOM_NETWORK_STORAGE_KEY) || 'null');
+      return stored && stored.chainId && stored.rpcUrls ? stored : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function renderNetworkSelector() {
+    const select = document.getElementById('networkSelect');
+    if (!select) return;
+    select.value = currentNetworkKey;
+    const custom = loadCustomNetwork();
+    select.querySelector('option[value="custom"]').textContent = custom
+      ? `${custom.chainName} (${custom.chainId})`
+      : t('nav.customRpc');
+    document.getElementById('customRpcForm').style.display = 'none';
+  }
+
+  // 이전 네트워크의 조회 결과·구독·차트 데이터를 모두 비움
+  function resetNetworkState() {
+    if (whitelistState.subscription) {
+      whitelistState.subscription.removeAllListeners();
+      whitelistState.subscription = null;
+    }
+    whitelistState.fee = null;
+    whitelistState.requests = [];
+    renderWhitelistRequests();
+    document.getElementById('whitelistFee').textContent = '-';
+
+    allowanceState.allowances = [];
+    renderAllowances();
+
+    adminState.owned.clear();
+    closeAdminConfirm();
+    document.getElementById('adminPanel').style.display = 'none';
+
+    lendingState.totalLiquidity = null;
+    lendingState.userBalance = null;
+    ['lendTotalSupply', 'lendTotalBorrows', 'lendLiquidity', 'lendUtilization', 'lendBorrowRate', 'lendUserPrincipal', 'lendUserInterest']
+      .forEach(id => { document.getElementById(id).textContent = '-'; });
+
+    positionState.allPositionIds = [];
+    positionState.totalFeesEarned = 0;
+    healthState.thresholds.clear();
+    healthState.alerted.clear();
+    setActivePositions([]);
+    document.getElementById('totalFees').textContent = `${nice(0)} USDC`;
+    historyState.records = [];
+    historyState.account = null;
+    renderPositionHistory();
+    clearAnalytics();
+
+    state.assets = [];
+    state.preview = null;
+    state.balances = { native: '0', usdc: '0', weth: '0' };
+    document.getElementById('nativeBalance').textContent = '0.0000';
+    document.getElementById('usdcBalance').textContent = '0.00';
+    document.getElementById('wethBalance').textContent = '0.0000';
+    state.currentPrice = 0;
+    state.priceChange24h = null;
+    state.priceFresh = null;
+    priceState.token = null;
+    priceState.series = [];
+    priceState.oracleChangeBps = null;
+    chartState.feeEvents = [];
+    blockTimeCache.clear();
+
+    const select = document.getElementById('assetPair');
+    select.innerHTML = '';
+    select.appendChild(el('option', { value: CONTRACTS.weth }, ['ETH/USDC']));
+    renderPriceData();
+  }
+
+  /**
+   * 페이지 새로고침 없이 네트워크 전환: 컨트랙트 세트 교체 → 상태·차트 초기화 → 지갑 체인 전환 → 데이터 재조회
+   * @param {string} key - NETWORKS 키
+   * @returns {Promise<boolean>} 전환 여부
+   */
+  async function switchNetwork(key) {
+    const network = getNetwork(key);
+    if (!network || networkState.switching) return false;
+    if (!findContractSet(network.chainId)) {
+      showNotification(t('network.noContracts', { network: network.chainName, chainId: network.chainId }), 'error');
+      renderNetworkSelector();
+      return false;
+    }
+
+    networkState.switching = true;
+    try {
+      applyNetwork(key);
+      resetNetworkState();
+      if (state.isConnected && getWalletProvider()) {
+        await _connectAndSetupProvider(state.userAddress);
+      } else {
+        state.provider = createReadOnlyProvider();
+      }
+      updateWalletUI();
+      updatePreview();
+      await loadInitialData();
+      showNotification(t('network.switched', { network: CURRENT_NETWORK.chainName }), 'success');
+      return true;
+    } finally {
+      networkState.switching = false;
+    }
+  }
+
+  // 사용자 RPC: 입력한 체인 ID와 RPC가 응답한 체인 ID가 같은지 확인한 뒤 저장
+  // 이름과 통화 기호는 wallet_addEthereumChain과 formatNative에 그대로 쓰이므로, 비워 두면 체인 ID가 같은
+  // 알려진 네트워크의 값을 쓰고 알려진 네트워크가 아니면 입력을 요구합니다.
+  async function applyCustomNetwork() {
+    const rpcUrl = document.getElementById('customRpcUrl').value.trim();
+    const chainId = parseInt(document.getElementById('customChainId').value, 10);
+    if (!/^https?:\/\//.test(rpcUrl) || !(chainId > 0)) {
+      return showNotification(t('network.invalidCustom'), 'warn');
+    }
+    const known = Object.values(NETWORKS).find(network => network && network.chainId === chainId);
+    const chainName = document.getElementById('customChainName').value.trim() || known?.chainName;
+    const symbol = document.getElementById('customCurrencySymbol').value.trim() || known?.nativeCurrency.symbol;
+    // wallet_addEthereumChain(EIP-3085)은 2~6자의 통화 기호만 받음
+    if (!chainName || !/^\S{2,6}$/.test(symbol || '')) {
+      return showNotification(t('network.invalidCustomDetails', { chainId }), 'warn');
+    }
+    const nativeCurrency = known && known.nativeCurrency.symbol === symbol
+      ? known.nativeCurrency
+      : { name: symbol, symbol, decimals: 18 };
+    try {
+      const network = await new window.ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true }).getNetwork();
+      if (Number(network.chainId) !== chainId) {
+        return showNotification(t('network.chainIdMismatch', { actual: network.chainId, expected: chainId }), 'error');
+      }
+    } catch (error) {
+      return showNotification(t('network.rpcUnreachable', { error: error.message }), 'error');
+    }
+    localStorage.setItem(CUSTOM_NETWORK_STORAGE_KEY, JSON.stringify({
+      chainId,
+      chainName,
+      nativeCurrency,
+      rpcUrls: [rpcUrl],
+      ...(known?.blockExplorerUrls ? { blockExplorerUrls: known.blockExplorerUrls } : {})
+    }));
+    await switchNetwork('custom');
+  }
+
+  // ---------- 트랜잭션 관리자 ----------
+  // 제출한 모든 트랜잭션을 목적·해시·상태와 함께 localStorage에 기록합니다.
+  // 새로고침(계정 변경 등) 후에도 대기 중인 트랜잭션을 다시 추적하고, 교체되거나 사라진 트랜잭션을 판별합니다.
+  const TX_STORAGE_KEY = 'pillar_transactions';
+  const TX_HISTORY_LIMIT = 50;               // 계정·체인별 보관 개수
+  const TX_POLL_MS = 4000;
+  const TX_DROP_TIMEOUT_MS = 30 * 60 * 1000; // 노드에서 찾을 수 없는 상태가 이 시간 넘게 이어지면 누락으로 판단
+  const TX_STATUS_BADGE = { pending: 'badge warn', confirmed: 'badge ok', failed: 'badge err', replaced: 'badge err', dropped: 'badge err' };
+  const txState = {
+    watching: new Set() // 추적 중인 해시 (중복 추적 방지)
+  };
+
+  // 같은 주소라도 네트워크마다 기록이 다르므로 체인 ID와 주소로 구분
+  function getTxStorageId() {
+    return `${CURRENT_NETWORK.chainId}:${state.userAddress.toLowerCase()}`;
+  }
+
+  function readTxStore() {
+    try {
+      return JSON.parse(localStorage.getItem(TX_STORAGE_KEY) || '{}');
+    } catch (error) {
+      return {}; // 손상된 값은 덮어씀
+    }
+  }
+
+  // 최신 순 기록 (지갑 미연결 시 빈 목록)
+  function getTxRecords() {
+    return state.userAddress ? (readTxStore()[getTxStorageId()] || []) : [];
+  }
+
+  /**
+   * 기록 추가 또는 갱신 (hash로 찾음)
+   * 추적 중에 네트워크가 바뀌어도 원래 계정·체인의 기록을 갱신하도록 storageId를 받습니다.
+   */
+  function saveTxRecord(storageId, hash, changes) {
+    const store = readTxStore();
+    const records = store[storageId] || [];
+    const index = records.findIndex(record => record.hash === hash);
+    const record = { ...(index === -1 ? {} : records[index]), ...changes, updatedAt: Date.now() };
+    if (index === -1) {
+      records.unshift(record);
+    } else {
+      records[index] = record;
+    }
+    store[storageId] = records.slice(0, TX_HISTORY_LIMIT);
+    localStorage.setItem(TX_STORAGE_KEY, JSON.stringify(store));
+    renderActivity();
+    return record;
+  }
+
+  function getExplorerTxUrl(chainId, hash) {
+    const network = Object.keys(NETWORKS).map(getNetwork).find(n => n && n.chainId === chainId);
+    const base = network && network.blockExplorerUrls && network.blockExplorerUrls[0];
+    return base ? `${base.replace(/\/$/, '')}/tx/${hash}` : null;
+  }
+
+  /**
+   * 제출된 트랜잭션을 기록하고 채굴될 때까지 대기
+   * 가스비만 올린 재전송(가속)은 같은 작업으로 보고 새 해시로 기록을 이어갑니다.
+   * @param {object} tx - ethers TransactionResponse
+   * @param {string} purpose - 작업 종류 (approve, openPosition, closePosition, ...)
+   * @param {string} label - 활동 목록과 알림에 표시할 설명
+   * @returns {Promise<object>} 성공한 트랜잭션의 영수증
+   */
+  async function trackTransaction(tx, purpose, label) {
+    const storageId = getTxStorageId();
+    saveTxRecord(storageId, tx.hash, {
+      hash: tx.hash,
+      purpose,
+      label,
+      chainId: CURRENT_NETWORK.chainId,
+      from: tx.from,
+      nonce: tx.nonce,
+      status: 'pending',
+      submittedAt: Date.now()
+    });
+    showNotification(t('tx.submitted', { label, hash: `${tx.hash.slice(0,10)}...` }), 'info');
+    txState.watching.add(tx.hash);
+    try {
+      const receipt = await tx.wait();
+      saveTxRecord(storageId, tx.hash, { status: 'confirmed', blockNumber: receipt.blockNumber });
+      return receipt;
+    } catch (error) {
+      if (error.code === 'TRANSACTION_REPLACED' && error.reason === 'repriced') {
+        const succeeded = error.receipt.status === 1;
+        saveTxRecord(storageId, tx.hash, {
+          hash: error.replacement.hash,
+          originalHash: tx.hash,
+          status: succeeded ? 'confirmed' : 'failed',
+          blockNumber: error.receipt.blockNumber
+        });
+        if (succeeded) return error.receipt;
+        throw new Error(t('tx.repricedFailed'));
+      }
+      if (error.code === 'TRANSACTION_REPLACED') {
+        saveTxRecord(storageId, tx.hash, { status: 'replaced', replacedBy: error.replacement.hash });
+      } else {
+        saveTxRecord(storageId, tx.hash, { status: 'failed', blockNumber: error.receipt ? error.receipt.blockNumber : null });
+      }
+      throw error;
+    } finally {
+      txState.watching.delete(tx.hash);
+    }
+  }
+
+  // 새로고침 전에 제출된 대기 중 트랜잭션을 다시 추적
+  function resumePendingTransactions() {
+    if (!state.provider || !state.userAddress) return;
+    const storageId = getTxStorageId();
+    getTxRecords()
+      .filter(record => record.status === 'pending' && !txState.watching.has(record.hash))
+      .forEach(record => watchStoredTransaction(storageId, record));
+  }
+
+  /**
+   * 해시만 남은 트랜잭션을 폴링으로 추적
+   * 같은 nonce가 다른 트랜잭션으로 채워지면 교체, 노드에서 오랫동안 찾을 수 없으면 누락으로 기록합니다.
+   */
+  async function watchStoredTransaction(storageId, record) {
+    txState.watching.add(record.hash);
+    const provider = state.provider;
+    try {
+      // 네트워크나 지갑이 바뀌면 중단 (해당 네트워크로 돌아오면 다시 추적)
+      while (provider === state.provider) {
+        const receipt = await provider.getTransactionReceipt(record.hash);
+        if (receipt) {
+          const status = receipt.status === 1 ? 'confirmed' : 'failed';
+          saveTxRecord(storageId, record.hash, { status, blockNumber: receipt.blockNumber });
+          showNotification(`${record.label}: ${t(`tx.status.${status}`)}`, status === 'confirmed' ? 'success' : 'error');
+          if (status === 'confirmed') loadInitialData();
+          return;
+        }
+        const [pendingTx, minedNonce] = await Promise.all([
+          provider.getTransaction(record.hash),
+          provider.getTransactionCount(record.from, 'latest')
+        ]);
+        if (minedNonce > record.nonce) {
+          // 두 조회 사이에 채굴됐을 수 있으므로 영수증을 한 번 더 확인
+          if (await provider.getTransactionReceipt(record.hash)) continue;
+          saveTxRecord(storageId, record.hash, { status: 'replaced' });
+          showNotification(t('tx.replacedNotice', { label: record.label }), 'warn');
+          loadInitialData();
+          return;
+        }
+        if (!pendingTx && Date.now() - record.submittedAt > TX_DROP_TIMEOUT_MS) {
+          saveTxRecord(storageId, record.hash, { status: 'dropped' });
+          showNotification(t('tx.droppedNotice', { label: record.label }), 'warn');
+          return;
+        }
+        await new Promise(resolve => setTimeout(resolve, TX_POLL_MS));
+      }
+    } catch (error) {
+      console.warn('트랜잭션 추적 실패:', record.hash, error);
+    } finally {
+      txState.watching.delete(record.hash);
+    }
+  }
+
+  function toggleActivityDrawer() {
+    document.getElementById('activityDrawer').classList.toggle('open');
+    renderActivity();
+  }
+
+  function clearCompletedTransactions() {
+    if (!state.userAddress) return;
+    const store = readTxStore();
+    store[getTxStorageId()] = getTxRecords().filter(record => record.status === 'pending');
+    localStorage.setItem(TX_STORAGE_KEY, JSON.stringify(store));
+    renderActivity();
+  }
+
+  function renderActivity() {
+    const activityBtn = document.getElementById('activityBtn');
+    if (!activityBtn) return;
+    const records = getTxRecords();
+    const pending = records.filter(record => record.status === 'pending');
+    activityBtn.textContent = pending.length > 0 ? t('nav.activityPending', { count: pending.length }) : t('nav.activity');
+    activityBtn.className = pending.length > 0 ? 'btn ghost active' : 'btn ghost';
+    renderActivityList('activityPending', pending, t('activity.noPending'));
+    renderActivityList('activityCompleted', records.filter(record => record.status !== 'pending'), t('activity.noCompleted'));
+  }
+
+  function renderActivityList(containerId, records, emptyText) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+    if (records.length === 0) {
+      container.appendChild(el('div', { class: 'badge', style: 'text-align:center; padding:10px;' }, [emptyText]));
+      return;
+    }
+    records.forEach(record => {
+      const url = getExplorerTxUrl(record.chainId, record.hash);
+      const shortHash = `${record.hash.slice(0, 10)}...`;
+      container.appendChild(el('div', { class: 'activityItem' }, [
+        el('div', { class: 'kv', style: 'padding:0;' }, [
+          el('div', {}, [record.label]),
+          el('div', { class: TX_STATUS_BADGE[record.status] }, [t(`tx.status.${record.status}`)])
+        ]),
+        el('div', { class: 'activityMeta' }, [
+          formatDateTime(record.submittedAt),
+          ' · ',
+          url ? el('a', { href: url, target: '_blank', rel: 'noopener' }, [shortHash]) : shortHash
+        ])
+      ]));
+    });
+  }
+
   // ---------- 차트 관리 ----------
   let volumeFeeChartInstance = null;
   let rangeChartInstance = null;
-  const chartState = { labels: [], volumeData: [], feeData: [] };
+  // 거래량/수수료 차트의 시간 창: 전체 기간(ms)과 막대 개수
+  const CHART_WINDOWS = {
+    '1h': { spanMs: 60 * 60 * 1000, buckets: 12 },        // 5분 단위
+    '24h': { spanMs: 24 * 60 * 60 * 1000, buckets: 24 },  // 1시간 단위
+    '7d': { spanMs: 7 * 24 * 60 * 60 * 1000, buckets: 28 } // 6시간 단위
+  };
+  const chartState = {
+    window: '24h',
+    feeEvents: [] // { time: ms, positionId, amount: USDC } - 사용자 포지션의 FeesHarvested
+  };
 
   function initializeCharts() {
-    for (let i = 0; i < 30; i++) {
-      chartState.labels.push(`T-${30 - i}`);
-      chartState.volumeData.push(Math.random() * 1000 + 500);
-      chartState.feeData.push(Math.random() * 5 + (i * 0.2));
-    }
     initializeRangeChart();
     initializeVolumeFeeChart();
-    setInterval(simulateWashTrade, 5000);
+    renderVolumeFeeChart();
+    // 시간 창이 현재 시각 기준으로 밀리도록 주기적으로 다시 그림
+    setInterval(renderVolumeFeeChart, 60000);
   }
 
   function initializeRangeChart() {
@@ -499,10 +1397,10 @@ function updateWalletUI() {
     rangeChartInstance = new Chart(ctx, {
       type: 'line',
       data: {
-        labels: chartState.labels,
+        labels: [],
         datasets: [{
-            label: 'Current Price',
-            data: Array(30).fill(state.currentPrice),
+            label: t('chart.currentPriceSeries'),
+            data: [],
             borderColor: 'rgba(255, 255, 255, 0.2)',
             borderWidth: 2,
             pointRadius: 0,
@@ -513,7 +1411,7 @@ function updateWalletUI() {
         maintainAspectRatio: false,
         scales: {
             x: { ticks: { color: '#94a3b8' }, grid: { color: 'rgba(255,255,255,0.1)' } },
-            y: { ticks: { color: '#94a3b8' }, grid: { color: 'rgba(255,255,255,0.1)' }, title: { display: true, text: '가격 (USDC)', color: '#cbd5e1' } }
+            y: { ticks: { color: '#94a3b8' }, grid: { color: 'rgba(255,255,255,0.1)' }, title: { display: true, text: t('chart.priceAxis'), color: '#cbd5e1' } }
         },
         plugins: {
           legend: { display: false },
@@ -529,14 +1427,14 @@ function updateWalletUI() {
     volumeFeeChartInstance = new Chart(ctx, {
       type: 'bar',
       data: {
-        labels: chartState.labels,
+        labels: [],
         datasets: [{
-          label: '거래량 (Volume)',
-          data: chartState.volumeData,
+          label: t('chart.volumeSeries'),
+          data: [],
           backgroundColor: 'rgba(59, 130, 246, 0.6)',
         }, {
-          label: '누적 수수료 (Fees)',
-          data: chartState.feeData,
+          label: t('chart.feeSeries'),
+          data: [],
           backgroundColor: 'rgba(34, 197, 94, 0.6)',
           yAxisID: 'y1'
         }]
@@ -545,8 +1443,8 @@ function updateWalletUI() {
         maintainAspectRatio: false,
         scales: {
           x: { ticks: { color: '#94a3b8' }, grid: { color: 'rgba(255,255,255,0.1)' } },
-          y: { beginAtZero: true, position: 'left', ticks: { color: '#94a3b8' }, grid: { color: 'rgba(255,255,255,0.1)' }, title: { display: true, text: '거래량', color: '#cbd5e1' } },
-          y1: { beginAtZero: true, position: 'right', ticks: { color: '#22c55e' }, grid: { drawOnChartArea: false }, title: { display: true, text: '수수료 (USDC)', color: '#22c55e' } }
+          y: { beginAtZero: true, position: 'left', ticks: { color: '#94a3b8' }, grid: { color: 'rgba(255,255,255,0.1)' }, title: { display: true, text: t('chart.volumeAxis'), color: '#cbd5e1' } },
+          y1: { beginAtZero: true, position: 'right', ticks: { color: '#22c55e' }, grid: { drawOnChartArea: false }, title: { display: true, text: t('chart.feeAxis'), color: '#22c55e' } }
         },
         plugins: {
           legend: { labels: { color: '#e2e8f0' } }
@@ -555,41 +1453,88 @@ function updateWalletUI() {
     });
   }
 
-  // 수수료 누적 조건이 추가된 함수
-  function simulateWashTrade() {
+  /**
+   * 선택된 시간 창을 같은 길이의 구간으로 나눠 거래량·수수료 차트를 다시 그림
+   * - 거래량: 구간 안의 마지막 오라클 24h 거래량 (없으면 직전 값을 이어서 사용)
+   * - 수수료: 구간 안에서 수확된 순수수료(compoundedAmount) 합계
+   */
+  function renderVolumeFeeChart() {
     if (!volumeFeeChartInstance) return;
-    
-    chartState.labels.shift(); 
-    chartState.labels.push(`T-${new Date().getSeconds()}`);
-    chartState.volumeData.shift(); 
-    chartState.volumeData.push(Math.random() * 1000 + 500);
-    
-    // 포지션이 활성화되어 있을 때만 수수료 누적
-    if (positionState.isPositionActive) {
-      const feeIncrement = Math.random() * 0.5 + 0.1; // 0.1~0.6 USDC
-      const newFee = (chartState.feeData[chartState.feeData.length - 1] || 0) + feeIncrement;
-      chartState.feeData.shift(); 
-      chartState.feeData.push(newFee);
-      positionState.totalFeesEarned = newFee;
-      document.getElementById('totalFees').textContent = `${nice(newFee)} USDC`;
-    } else {
-      // 포지션이 없으면 수수료 동결
-      chartState.feeData.shift();
-      chartState.feeData.push(chartState.feeData[chartState.feeData.length - 1] || 0);
+    const { spanMs, buckets } = CHART_WINDOWS[chartState.window];
+    const bucketMs = spanMs / buckets;
+    const end = Date.now();
+    const start = end - spanMs;
+
+    const labels = [];
+    const volumeData = [];
+    const feeData = new Array(buckets).fill(0);
+    const points = priceState.series.filter(point => point.volume !== null);
+    let volume = null;
+    let cursor = 0;
+    for (; cursor < points.length && points[cursor].time < start; cursor++) {
+      volume = points[cursor].volume;
     }
-    
-    volumeFeeChartInstance.data.labels = chartState.labels;
-    volumeFeeChartInstance.data.datasets[0].data = chartState.volumeData;
-    volumeFeeChartInstance.data.datasets[1].data = chartState.feeData;
+    for (let i = 0; i < buckets; i++) {
+      const bucketEnd = start + bucketMs * (i + 1);
+      for (; cursor < points.length && points[cursor].time < bucketEnd; cursor++) {
+        volume = points[cursor].volume;
+      }
+      volumeData.push(volume);
+      labels.push(formatDateTime(bucketEnd, chartState.window === '7d'
+        ? { month: 'numeric', day: 'numeric', hour: '2-digit' }
+        : { hour: '2-digit', minute: '2-digit' }));
+    }
+    for (const fee of chartState.feeEvents) {
+      if (fee.time < start || fee.time > end) continue;
+      feeData[Math.min(buckets - 1, Math.floor((fee.time - start) / bucketMs))] += fee.amount;
+    }
+
+    volumeFeeChartInstance.data.labels = labels;
+    volumeFeeChartInstance.data.datasets[0].data = volumeData;
+    volumeFeeChartInstance.data.datasets[1].data = feeData;
     volumeFeeChartInstance.update('none');
   }
-  
+
+  // 사용자의 모든 포지션(종료 포함)에 대한 FeesHarvested 이벤트로 총 수수료와 차트 데이터를 구성
+  async function loadFeeHistory() {
+    if (!state.provider) return;
+    const positionIds = positionState.allPositionIds;
+    try {
+      let events = [];
+      if (positionIds.length > 0) {
+        const vaultContract = new window.ethers.Contract(CONTRACTS.dynamicVault, DYNAMIC_VAULT_ABI, state.provider);
+        events = await queryEvents(vaultContract, vaultContract.filters.FeesHarvested(positionIds));
+      }
+      const times = await Promise.all(events.map(getBlockTime));
+      if (positionIds !== positionState.allPositionIds) return; // 조회 중 계정이 바뀜
+      chartState.feeEvents = events.map((event, i) => ({
+        time: times[i],
+        positionId: event.args.positionId.toString(),
+        amount: parseFloat(window.ethers.formatUnits(event.args.compoundedAmount, 6))
+      }));
+      positionState.totalFeesEarned = chartState.feeEvents.reduce((sum, fee) => sum + fee.amount, 0);
+      document.getElementById('totalFees').textContent = `${nice(positionState.totalFeesEarned)} USDC`;
+      renderVolumeFeeChart();
+    } catch (error) {
+      console.warn('수수료 이력 로드 실패:', error);
+    }
+  }
+
   function updateRangeChartAnnotations() {
     if (!rangeChartInstance) return;
-    const { currentPrice, allowedRangeBps, selectedRange } = state;
+    const { currentPrice, allowedRangeBps, selectedRange, preview } = state;
+    // 오라클 가격이 없으면 범위 박스를 그리지 않음
+    if (!(currentPrice > 0)) {
+      rangeChartInstance.options.plugins.annotation.annotations = {};
+      rangeChartInstance.update();
+      return;
+    }
     const normalLower = currentPrice * (1 - allowedRangeBps / 10000);
     const normalUpper = currentPrice * (1 + allowedRangeBps / 10000);
-    const effectiveRangeBps = selectedRange === 0 ? allowedRangeBps : selectedRange;
+    // 프리뷰가 유효하면 밈 토큰 보정까지 반영된 finalRangeBps를 사용
+    const effectiveRangeBps = preview && preview.ok
+      ? Number(preview.finalRangeBps)
+      : (selectedRange === 0 ? allowedRangeBps : selectedRange);
     const selectedLower = currentPrice * (1 - effectiveRangeBps / 10000);
     const selectedUpper = currentPrice * (1 + effectiveRangeBps / 10000);
     rangeChartInstance.options.plugins.annotation.annotations = {
@@ -602,22 +1547,30 @@ function updateWalletUI() {
   // ---------- 포지션 관리 개선 모듈 ----------
   const positionState = {
     activePositions: [],
+    allPositionIds: [], // 종료·청산 포함 사용자의 모든 포지션 ID (수수료 이력 조회용)
     totalFeesEarned: 0,
     isPositionActive: false
   };
 
   function initializePositionChart() {
     const positionChartHtml = `
-      <div class="h">내 포지션 현황</div>
+      <div class="h">${t('positions.title')}</div>
       <div class="canvasWrap" style="height: 250px;">
         <canvas id="positionChart"></canvas>
       </div>
+      <div id="positionHealthList" style="margin-top: 12px;"></div>
+      <div class="row healthAlertSettings" style="margin-top: 10px;">
+        <label>${t('positions.warnThreshold')} <input id="healthWarnPct" type="number" min="100" step="5"> %</label>
+        <label>${t('positions.criticalThreshold')} <input id="healthCriticalPct" type="number" min="100" step="5"> %</label>
+        <label><input id="healthBrowserAlerts" type="checkbox"> ${t('positions.browserAlerts')}</label>
+      </div>
+      <div class="badge" style="font-size: 11px; text-align: center;">${t('positions.alertHint')}</div>
       <div class="row" style="margin-top: 15px; gap: 8px;">
         <button class="btn danger" id="closePositionBtn" style="flex:1;" onclick="closeSelectedPosition()" disabled>
-          포지션 종료
+          ${t('positions.close')}
         </button>
         <button class="btn primary" id="harvestFeesBtn" style="flex:1;" onclick="harvestFees()" disabled>
-          수수료 수확
+          ${t('positions.harvest')}
         </button>
       </div>
     `;
@@ -633,28 +1586,16 @@ function updateWalletUI() {
       data: {
         labels: [],
         datasets: [{
-          label: '포지션 크기 (USDC)',
+          label: t('positions.sizeSeries'),
           data: [],
           backgroundColor: 'rgba(59, 130, 246, 0.6)',
           borderColor: 'rgba(59, 130, 246, 1)',
           borderWidth: 1
         }, {
-          label: '수익/손실 (USDC)',
+          label: t('positions.healthSeries'),
           data: [],
-          backgroundColor: (context) => {
-  // context.parsed와 context.parsed.y가 유효한지 먼저 확인합니다.
-  if (context.parsed && typeof context.parsed.y === 'number') {
-    return context.parsed.y >= 0 ? 'rgba(34, 197, 94, 0.6)' : 'rgba(239, 68, 68, 0.6)';
-  }
-  // 데이터가 없는 경우 기본 색상을 반환합니다.
-  return 'rgba(59, 130, 246, 0.6)'; 
-},
-borderColor: (context) => {
-  if (context.parsed && typeof context.parsed.y === 'number') {
-    return context.parsed.y >= 0 ? 'rgba(34, 197, 94, 1)' : 'rgba(239, 68, 68, 1)';
-  }
-  return 'rgba(59, 130, 246, 1)';
-},
+          yAxisID: 'y1',
+          backgroundColor: (context) => HEALTH_LEVEL_COLORS[positionState.activePositions[context.dataIndex]?.healthLevel] || 'rgba(148, 163, 184, 0.6)',
           borderWidth: 1
         }]
       },
@@ -663,7 +1604,8 @@ borderColor: (context) => {
         responsive: true,
         scales: {
           x: { ticks: { color: '#94a3b8' }, grid: { color: 'rgba(255,255,255,0.1)' } },
-          y: { beginAtZero: true, ticks: { color: '#94a3b8' }, grid: { color: 'rgba(255,255,255,0.1)' }, title: { display: true, text: '금액 (USDC)', color: '#cbd5e1' } }
+          y: { beginAtZero: true, ticks: { color: '#94a3b8' }, grid: { color: 'rgba(255,255,255,0.1)' }, title: { display: true, text: t('common.amountUsdc'), color: '#cbd5e1' } },
+          y1: { beginAtZero: true, position: 'right', ticks: { color: '#94a3b8' }, grid: { drawOnChartArea: false }, title: { display: true, text: t('positions.healthAxis'), color: '#cbd5e1' } }
         },
         plugins: {
           legend: { labels: { color: '#e2e8f0' } }
@@ -675,6 +1617,9 @@ borderColor: (context) => {
         }
       }
     });
+    setupHealthAlertSettings();
+    // 차트 생성 전에 불러온 포지션이 있다면 바로 반영
+    updatePositionChart();
   }
 
   let selectedPositionIndex = -1;
@@ -682,36 +1627,33 @@ borderColor: (context) => {
     selectedPositionIndex = index;
     document.getElementById('closePositionBtn').disabled = false;
     document.getElementById('harvestFeesBtn').disabled = false;
-    showNotification(`포지션 #${index + 1} 선택됨`, 'info');
+    showNotification(t('positions.selected', { id: positionState.activePositions[index].id }), 'info');
   }
 
   async function closeSelectedPosition() {
     if (selectedPositionIndex === -1 || !positionState.activePositions[selectedPositionIndex]) {
-      return showNotification('선택된 포지션이 없습니다', 'warn');
+      return showNotification(t('positions.noneSelected'), 'warn');
     }
     if (!state.isConnected || !state.signer) {
-      return showNotification('먼저 지갑을 연결해주세요', 'warn');
+      return showNotification(t('common.connectFirst'), 'warn');
     }
     try {
-      showNotification('포지션 종료 중...', 'info');
+      showNotification(t('positions.closing'), 'info');
       document.getElementById('closePositionBtn').disabled = true;
       const vaultContract = new window.ethers.Contract(CONTRACTS.dynamicVault, DYNAMIC_VAULT_ABI, state.signer);
       const positionId = positionState.activePositions[selectedPositionIndex].id;
       const tx = await vaultContract.closePosition(positionId);
-      showNotification(`트랜잭션 제출됨: ${tx.hash.slice(0,10)}...`, 'info');
-      const receipt = await tx.wait();
+      const receipt = await trackTransaction(tx, 'closePosition', t('positions.closeLabel', { id: positionId }));
       if (receipt.status === 1) {
-        showNotification('포지션 종료 성공!', 'success');
-        positionState.activePositions.splice(selectedPositionIndex, 1);
+        showNotification(t('positions.closed'), 'success');
         selectedPositionIndex = -1;
-        positionState.isPositionActive = positionState.activePositions.length > 0;
-        updatePositionChart();
+        await loadInitialData();
       } else {
-        throw new Error("트랜잭션이 실패했습니다.");
+        throw new Error(t('common.txFailed'));
       }
     } catch (error) {
       console.error('포지션 종료 오류:', error);
-      showNotification(`오류: ${error.reason || error.message}`, 'error');
+      showNotification(t('common.error', { message: describeError(error) }), 'error');
     } finally {
       document.getElementById('closePositionBtn').disabled = true;
     }
@@ -719,25 +1661,26 @@ borderColor: (context) => {
 
   async function harvestFees() {
     if (selectedPositionIndex === -1 || !positionState.activePositions[selectedPositionIndex]) {
-        return showNotification('수수료를 수확할 포지션을 선택해주세요.', 'warn');
+        return showNotification(t('positions.selectToHarvest'), 'warn');
     }
     if (!state.isConnected || !state.signer) {
-      return showNotification('먼저 지갑을 연결해주세요', 'warn');
+      return showNotification(t('common.connectFirst'), 'warn');
     }
     try {
-      showNotification('수수료 수확 중...', 'info');
+      showNotification(t('positions.harvesting'), 'info');
       document.getElementById('harvestFeesBtn').disabled = true;
       const vaultContract = new window.ethers.Contract(CONTRACTS.dynamicVault, DYNAMIC_VAULT_ABI, state.signer);
       const positionId = positionState.activePositions[selectedPositionIndex].id;
-      const tx = await vaultContract.harvestFees(positionId);
-      const receipt = await tx.wait();
+      const tx = await vaultContract.harvestAndCompound(positionId);
+      const receipt = await trackTransaction(tx, 'harvest', t('positions.harvestLabel', { id: positionId }));
       if (receipt.status === 1) {
-        showNotification('수수료 수확 성공!', 'success');
-        loadBalances();
+        showNotification(t('positions.harvested'), 'success');
+        await refreshPosition(positionId);
+        await Promise.all([loadFeeHistory(), loadPositionHistory()]);
       }
     } catch (error) {
       console.error('수수료 수확 오류:', error);
-      showNotification(`오류: ${error.reason || error.message}`, 'error');
+      showNotification(t('common.error', { message: describeError(error) }), 'error');
     } finally {
       document.getElementById('harvestFeesBtn').disabled = false;
     }
@@ -745,97 +1688,908 @@ borderColor: (context) => {
 
   function updatePositionChart() {
     if (!window.positionChartInstance) return;
-    const labels = positionState.activePositions.map((pos, idx) => `포지션 #${idx + 1}`);
+    const labels = positionState.activePositions.map(pos => t('positions.label', { id: pos.id }));
     const positionSizes = positionState.activePositions.map(pos => pos.collateral);
-    const pnlData = positionState.activePositions.map(pos => pos.unrealizedPnl || 0);
+    // 부채가 없는 포지션(무한대 헬스)은 차트에서 생략
+    const healthData = positionState.activePositions.map(pos =>
+      Number.isFinite(pos.healthRatioBps) ? pos.healthRatioBps / 100 : null);
     window.positionChartInstance.data.labels = labels;
     window.positionChartInstance.data.datasets[0].data = positionSizes;
-    window.positionChartInstance.data.datasets[1].data = pnlData;
+    window.positionChartInstance.data.datasets[1].data = healthData;
     window.positionChartInstance.update();
   }
 
-  function calculateOptimalRange() {
-    const volatility = 0.15;
-    const timeDecay = Math.exp(-1/30);
-    const optimalRangeBps = Math.floor(volatility * 10000 * Math.sqrt(30/365) * timeDecay);
-    return Math.max(500, Math.min(5000, optimalRangeBps));
+  /**
+   * getPositionDetails가 반환한 Position 구조체를 대시보드용 객체로 변환
+   * @param {bigint|string} positionId - 볼트의 포지션 ID
+   * @param {object} raw - DynamicRangeVault.Position 구조체
+   */
+  function toPositionView(positionId, raw) {
+    const { formatUnits } = window.ethers;
+    return {
+      id: positionId.toString(),
+      owner: raw.owner,
+      baseAsset: raw.baseAsset,
+      targetAsset: raw.targetAsset,
+      collateral: parseFloat(formatUnits(raw.collateralAmount, 6)),
+      debt: parseFloat(formatUnits(raw.debtAmount, 6)),
+      accruedFees: parseFloat(formatUnits(raw.accruedFees, 6)),
+      leverage: Number(raw.leverageBps) / 10000,
+      rangeBps: Number(raw.rangeWidthBps),
+      entryPrice: parseFloat(formatUnits(raw.centerPrice, 18)),
+      lowerBound: parseFloat(formatUnits(raw.priceLowerBound, 18)),
+      upperBound: parseFloat(formatUnits(raw.priceUpperBound, 18)),
+      marginType: Number(raw.marginType),
+      status: Number(raw.status),
+      feeTier: Number(raw.feeTier),
+      healthRatioBps: null, // getPositionHealthRatio (담보+수수료)/부채, 부채가 없으면 Infinity
+      thresholdBps: null,   // 청산 엔진 임계값
+      inRange: null,        // isPositionInRange
+      healthLevel: null,    // 'ok' | 'warn' | 'critical' | 'liquidatable'
+      timestamp: Number(raw.lastUpdateTime) * 1000
+    };
   }
 
-  function onPositionOpened(positionData) {
-    const newPosition = {
-      id: positionData.id || Date.now(),
-      collateral: parseFloat(document.getElementById('collateralAmount').value || '0'),
-      leverage: state.leverage / 10000,
-      rangeBps: state.selectedRange === 0 ? state.allowedRangeBps : state.selectedRange,
-      entryPrice: state.currentPrice,
-      unrealizedPnl: 0,
-      timestamp: Date.now()
-    };
-    positionState.activePositions.push(newPosition);
-    positionState.isPositionActive = true;
+  // ACTIVE(0) / OUT_OF_RANGE(1) 상태만 대시보드에 표시
+  function isOpenPosition(position) {
+    return position.status === 0 || position.status === 1;
+  }
+
+  function setActivePositions(positions) {
+    positionState.activePositions = positions;
+    positionState.isPositionActive = positions.length > 0;
+    if (selectedPositionIndex >= positions.length) {
+      selectedPositionIndex = -1;
+    }
     updatePositionChart();
+    renderPositionHealth();
   }
 
-  function initializePositionModule() {
-    setTimeout(() => {
-      if (document.getElementById('positionsList')) {
-        initializePositionChart();
-      }
-    }, 1000);
-    setInterval(() => {
-      if (state.selectedRange === 0) {
-        const newOptimalRange = calculateOptimalRange();
-        if (newOptimalRange !== state.allowedRangeBps) {
-          state.allowedRangeBps = newOptimalRange;
-          document.getElementById('allowedRangeBps').textContent = state.allowedRangeBps;
-          updateRangeChartAnnotations();
+  // 볼트의 getUserPositions + getPositionDetails로 포지션 목록을 재구성
+  async function loadPositions() {
+    if (!state.provider) return;
+    const account = getAccountAddress();
+    if (!account) {
+      positionState.allPositionIds = [];
+      setActivePositions([]);
+      return;
+    }
+    try {
+      const vaultContract = new window.ethers.Contract(CONTRACTS.dynamicVault, DYNAMIC_VAULT_ABI, state.provider);
+      const positionIds = await vaultContract.getUserPositions(account);
+      if (account !== getAccountAddress()) return; // 조회 중 주소가 바뀜
+      const details = await Promise.all(positionIds.map(id => vaultContract.getPositionDetails(id)));
+      positionState.allPositionIds = positionIds.map(id => id.toString());
+      const positions = positionIds
+        .map((id, i) => toPositionView(id, details[i]))
+        .filter(isOpenPosition);
+      setActivePositions(positions);
+      await updatePositionHealth();
+    } catch (error) {
+      console.error('포지션 로드 실패:', error);
+      showNotification(t('positions.loadFailed'), 'error');
+    }
+  }
+
+  // 단일 포지션만 다시 읽어 목록에 반영 (종료된 포지션은 목록에서 제거)
+  async function refreshPosition(positionId) {
+    const vaultContract = new window.ethers.Contract(CONTRACTS.dynamicVault, DYNAMIC_VAULT_ABI, state.provider);
+    const position = toPositionView(positionId, await vaultContract.getPositionDetails(positionId));
+    const others = positionState.activePositions.filter(p => p.id !== position.id);
+    setActivePositions(isOpenPosition(position) ? [...others, position] : others);
+    await updatePositionHealth();
+    return position;
+  }
+
+  /**
+   * 트랜잭션 영수증에서 PositionOpened 이벤트를 디코딩해 실제 positionId를 찾음
+   * @returns {bigint|null} 이벤트가 없으면 null
+   */
+  function findOpenedPositionId(vaultContract, receipt) {
+    const vaultAddress = CONTRACTS.dynamicVault.toLowerCase();
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== vaultAddress) continue;
+      try {
+        const parsed = vaultContract.interface.parseLog(log);
+        if (parsed && parsed.name === 'PositionOpened') {
+          return parsed.args.positionId;
         }
+      } catch (error) {
+        // 다른 이벤트는 무시
       }
-    }, 60000);
+    }
+    return null;
   }
 
-  async function updatePositionPnL() {
-    if (!positionState.activePositions.length || !state.signer) return;
+  async function onPositionOpened(positionData) {
     try {
-      const vaultContract = new window.ethers.Contract(CONTRACTS.dynamicVault, DYNAMIC_VAULT_ABI, state.signer);
-      for (let i = 0; i < positionState.activePositions.length; i++) {
-        const position = positionState.activePositions[i];
-        const [unrealizedPnl] = await vaultContract.getPositionPnL(position.id);
-        positionState.activePositions[i].unrealizedPnl = parseFloat(window.ethers.formatUnits(unrealizedPnl, 6));
-      }
-      updatePositionChart();
+      await refreshPosition(positionData.id);
     } catch (error) {
-      console.warn('포지션 PnL 업데이트 실패:', error);
+      console.warn('신규 포지션 조회 실패, 전체 목록을 다시 불러옵니다:', error);
+      await loadPositions();
     }
   }
 
-  // ---------- 핵심 로직 (트랜잭션 및 데이터 로드) ----------
-// ---------- 핵심 로직 (트랜잭션 및 데이터 로드) ----------
+  function initializePositionModule() {
+    setTimeout(() => {
+      if (document.getElementById('positionsList')) {
+        initializePositionChart();
+      }
+    }, 1000);
+  }
+
+  // ---------- 포지션 헬스 모니터링 ----------
+  const HEALTH_ALERT_STORAGE_KEY = 'pillar_health_alerts';
+  const HEALTH_LEVEL_ORDER = { ok: 0, warn: 1, critical: 2, liquidatable: 3 };
+  const HEALTH_LEVEL_COLORS = {
+    ok: 'rgba(34, 197, 94, 0.6)',
+    warn: 'rgba(245, 158, 11, 0.6)',
+    critical: 'rgba(239, 68, 68, 0.6)',
+    liquidatable: 'rgba(239, 68, 68, 0.9)'
+  };
+  const healthState = {
+    // 헬스 비율이 청산 임계값의 warnPct% / criticalPct% 아래로 내려가면 알림
+    settings: { warnPct: 130, criticalPct: 110, browserAlerts: false },
+    thresholds: new Map(), // targetAsset(소문자) => 임계값 BPS
+    alerted: new Map()     // positionId => { level, outOfRange } 마지막으로 알린 상태 (반복 알림 억제)
+  };
+
+  function loadHealthAlertSettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(HEALTH_ALERT_STORAGE_KEY) || '{}');
+      Object.assign(healthState.settings, stored);
+    } catch (error) {
+      // 손상된 값은 기본값 사용
+    }
+  }
+
+  function setupHealthAlertSettings() {
+    loadHealthAlertSettings();
+    const warnInput = document.getElementById('healthWarnPct');
+    const criticalInput = document.getElementById('healthCriticalPct');
+    const browserInput = document.getElementById('healthBrowserAlerts');
+    warnInput.value = healthState.settings.warnPct;
+    criticalInput.value = healthState.settings.criticalPct;
+    browserInput.checked = healthState.settings.browserAlerts && 'Notification' in window && Notification.permission === 'granted';
+
+    const save = () => {
+      const warnPct = parseFloat(warnInput.value);
+      const criticalPct = parseFloat(criticalInput.value);
+      if (!(criticalPct >= 100) || !(warnPct >= criticalPct)) {
+        showNotification(t('health.invalidSettings'), 'warn');
+        warnInput.value = healthState.settings.warnPct;
+        criticalInput.value = healthState.settings.criticalPct;
+        return;
+      }
+      healthState.settings.warnPct = warnPct;
+      healthState.settings.criticalPct = criticalPct;
+      healthState.settings.browserAlerts = browserInput.checked;
+      localStorage.setItem(HEALTH_ALERT_STORAGE_KEY, JSON.stringify(healthState.settings));
+      // 기준이 바뀌면 새 기준으로 다시 알릴 수 있도록 억제 상태 초기화
+      healthState.alerted.clear();
+      updatePositionHealth();
+    };
+    warnInput.addEventListener('change', save);
+    criticalInput.addEventListener('change', save);
+    browserInput.addEventListener('change', async () => {
+      if (browserInput.checked) {
+        if (!('Notification' in window)) {
+          browserInput.checked = false;
+          return showNotification(t('health.notificationsUnsupported'), 'warn');
+        }
+        if (await Notification.requestPermission() !== 'granted') {
+          browserInput.checked = false;
+          showNotification(t('health.notificationsDenied'), 'warn');
+        }
+      }
+      save();
+    });
+  }
+
+  /**
+   * PillarLiquidationEngine._getLiquidationThreshold와 같은 순서로 임계값을 결정
+   * (자산별 설정값 → 화이트리스트 밈 토큰 → 기본값)
+   */
+  async function getLiquidationThreshold(asset) {
+    const key = asset.toLowerCase();
+    if (!healthState.thresholds.has(key)) {
+      const engineContract = new window.ethers.Contract(CONTRACTS.liquidationEngine, LIQUIDATION_ENGINE_ABI, state.provider);
+      let threshold = await engineContract.liquidationThresholds(asset);
+      if (threshold === 0n) {
+        const isMeme = await getRegistryContract(state.provider).isTokenWhitelisted(asset);
+        threshold = isMeme
+          ? await engineContract.MEME_LIQUIDATION_THRESHOLD()
+          : await engineContract.DEFAULT_LIQUIDATION_THRESHOLD();
+      }
+      healthState.thresholds.set(key, Number(threshold));
+    }
+    return healthState.thresholds.get(key);
+  }
+
+  function getHealthLevel(healthRatioBps, thresholdBps) {
+    const { warnPct, criticalPct } = healthState.settings;
+    if (healthRatioBps < thresholdBps) return 'liquidatable';
+    if (healthRatioBps < thresholdBps * criticalPct / 100) return 'critical';
+    if (healthRatioBps < thresholdBps * warnPct / 100) return 'warn';
+    return 'ok';
+  }
+
+  function formatHealth(healthRatioBps) {
+    return Number.isFinite(healthRatioBps) ? `${(healthRatioBps / 100).toFixed(1)}%` : '∞';
+  }
+
+  function sendHealthAlert(message, type) {
+    showNotification(message, type);
+    if (healthState.settings.browserAlerts && 'Notification' in window && Notification.permission === 'granted') {
+      new Notification('Pillar Protocol', { body: message, tag: 'pillar-health' });
+    }
+  }
+
+  // 상태가 나빠질 때만 알리고, 회복되면 억제 상태를 낮춰 다음 악화 시 다시 알림
+  function checkHealthAlerts(position) {
+    const previous = healthState.alerted.get(position.id) || { level: 'ok', outOfRange: false };
+    const next = { level: position.healthLevel, outOfRange: position.inRange === false };
+
+    if (HEALTH_LEVEL_ORDER[next.level] > HEALTH_LEVEL_ORDER[previous.level]) {
+      const health = t('health.withThreshold', { health: formatHealth(position.healthRatioBps), threshold: (position.thresholdBps / 100).toFixed(0) });
+      if (next.level === 'liquidatable') {
+        sendHealthAlert(t('health.liquidatable', { id: position.id, health }), 'error');
+      } else if (next.level === 'critical') {
+        sendHealthAlert(t('health.critical', { id: position.id, health }), 'error');
+      } else {
+        sendHealthAlert(t('health.warn', { id: position.id, health }), 'warn');
+      }
+    }
+    if (next.outOfRange && !previous.outOfRange) {
+      sendHealthAlert(t('health.outOfRange', { id: position.id }), 'warn');
+    }
+    healthState.alerted.set(position.id, next);
+  }
+
+  function renderPositionHealth() {
+    const listEl = document.getElementById('positionHealthList');
+    if (!listEl) return;
+    listEl.innerHTML = '';
+    for (const position of positionState.activePositions) {
+      const healthClass = { ok: 'badge ok', warn: 'badge warn', critical: 'badge err', liquidatable: 'badge err' }[position.healthLevel] || 'badge';
+      const healthText = position.healthRatioBps === null
+        ? '-'
+        : t('health.vsThreshold', { health: formatHealth(position.healthRatioBps), threshold: (position.thresholdBps / 100).toFixed(0) });
+      listEl.appendChild(el('div', { class: 'kv' }, [
+        el('div', {}, [t('positions.label', { id: position.id })]),
+        el('div', { class: 'row', style: 'gap: 6px;' }, [
+          el('div', { class: healthClass }, [healthText]),
+          el('div', { class: position.inRange === null ? 'pill' : position.inRange ? 'pill ok' : 'pill err' }, [
+            position.inRange === null ? '-' : position.inRange ? t('health.inRange') : t('health.outOfRangeBadge')
+          ])
+        ])
+      ]));
+    }
+  }
+
+  // 열린 포지션의 헬스 비율·범위 상태를 갱신하고 알림 조건을 확인
+  async function updatePositionHealth() {
+    if (!positionState.activePositions.length || !state.provider) {
+      renderPositionHealth();
+      return;
+    }
+    try {
+      const vaultContract = new window.ethers.Contract(CONTRACTS.dynamicVault, DYNAMIC_VAULT_ABI, state.provider);
+      const positions = positionState.activePositions;
+      const results = await Promise.all(positions.map(position => Promise.all([
+        vaultContract.getPositionHealthRatio(position.id),
+        vaultContract.isPositionInRange(position.id),
+        getLiquidationThreshold(position.targetAsset)
+      ])));
+      if (positions !== positionState.activePositions) return; // 조회 중 목록이 바뀜
+      positions.forEach((position, i) => {
+        const [healthRatio, inRange, thresholdBps] = results[i];
+        position.healthRatioBps = healthRatio === window.ethers.MaxUint256 ? Infinity : Number(healthRatio);
+        position.inRange = inRange;
+        position.thresholdBps = thresholdBps;
+        position.healthLevel = getHealthLevel(position.healthRatioBps, thresholdBps);
+        checkHealthAlerts(position);
+      });
+      for (const id of healthState.alerted.keys()) {
+        if (!positions.some(position => position.id === id)) healthState.alerted.delete(id);
+      }
+      updatePositionChart();
+      renderPositionHealth();
+    } catch (error) {
+      console.warn('포지션 헬스 업데이트 실패:', error);
+    }
+  }
+
+  // ---------- 포지션 이력 (원장) ----------
+  // PositionOpened(owner)로 찾은 모든 포지션의 종료·청산·수확·리밸런스 이벤트를 모아 포지션별 원장을 만듭니다.
+  // 이벤트는 볼트·렌딩 풀 배포 블록부터 조회하며, 설정 모듈에 배포 블록이 없으면 최근 EVENT_LOOKBACK_BLOCKS 블록만 반영됩니다.
+  // 손익은 지갑 기준 현금 흐름(볼트가 소유자에게 돌려준 금액 - 넣은 담보)이며, 청산된 포지션은 돌려받는 금액이 없습니다.
+  // 차입 비용은 렌딩 풀 borrowIndex 변화(개설 시 Borrowed → 종료 시 Repaid, 열린 포지션은 현재 값)로 추정한
+  // 부채 이자입니다. 볼트가 원금만 상환하므로 손익에서 빼지 않고 참고용으로만 표시합니다.
+  const historyState = {
+    records: [],   // 포지션별 원장 (최신 포지션 먼저)
+    account: null  // records를 조회한 주소
+  };
+
+  function groupByPositionId(events) {
+    const groups = new Map();
+    events.forEach(event => {
+      const id = event.args.positionId.toString();
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push(event);
+    });
+    return groups;
+  }
+
+  function sumEventArg(events = [], name) {
+    return events.reduce((sum, event) => sum + event.args[name], 0n);
+  }
+
+  async function loadPositionHistory() {
+    const account = getAccountAddress();
+    if (!state.provider || !account) {
+      historyState.records = [];
+      historyState.account = null;
+      renderPositionHistory();
+      return;
+    }
+    try {
+      const { Contract } = window.ethers;
+      const vaultContract = new Contract(CONTRACTS.dynamicVault, DYNAMIC_VAULT_ABI, state.provider);
+      const lendingContract = new Contract(CONTRACTS.lendingVault, LENDING_VAULT_ABI, state.provider);
+      const vaultFrom = DEPLOY_BLOCKS.dynamicVault;
+      const lendingFrom = DEPLOY_BLOCKS.lendingVault;
+      const opened = await queryEvents(vaultContract, vaultContract.filters.PositionOpened(null, account), vaultFrom);
+      const ids = opened.map(event => event.args.positionId);
+      let [closed, liquidated, harvested, rebalanced, borrowed, repaid] = [[], [], [], [], [], []];
+      if (ids.length > 0) {
+        [closed, liquidated, harvested, rebalanced, borrowed, repaid] = await Promise.all([
+          queryEvents(vaultContract, vaultContract.filters.PositionClosed(ids), vaultFrom),
+          queryEvents(vaultContract, vaultContract.filters.PositionLiquidated(ids), vaultFrom),
+          queryEvents(vaultContract, vaultContract.filters.FeesHarvested(ids), vaultFrom),
+          queryEvents(vaultContract, vaultContract.filters.PositionRebalanced(ids), vaultFrom),
+          queryEvents(lendingContract, lendingContract.filters.Borrowed(CONTRACTS.dynamicVault), lendingFrom),
+          queryEvents(lendingContract, lendingContract.filters.Repaid(CONTRACTS.dynamicVault), lendingFrom)
+        ]);
+      }
+      const closedById = groupByPositionId(closed);
+      const liquidatedById = groupByPositionId(liquidated);
+      const harvestedById = groupByPositionId(harvested);
+      const rebalancedById = groupByPositionId(rebalanced);
+      // 개설·종료 트랜잭션의 Borrowed/Repaid가 기록한 borrowIndex
+      const borrowIndexByTx = new Map([...borrowed, ...repaid].map(event => [event.transactionHash, event.args.newBorrowIndex]));
+      const baseAssets = [...new Set(opened.map(event => event.args.baseAsset.toLowerCase()))];
+      const currentBorrowIndex = new Map(await Promise.all(baseAssets.map(async asset =>
+        [asset, (await lendingContract.assets(asset)).borrowIndex])));
+
+      const records = await Promise.all(opened.map(async (event) => {
+        const id = event.args.positionId.toString();
+        const { baseAsset, targetAsset, collateralAmount, leverageBps } = event.args;
+        const closeEvent = (closedById.get(id) || [])[0] || null;
+        const liquidationEvent = (liquidatedById.get(id) || [])[0] || null;
+        const endEvent = closeEvent || liquidationEvent;
+        // 볼트의 openDynamicPosition과 같은 식으로 차입액 계산
+        const debt = collateralAmount * (leverageBps - 10000n) / 10000n;
+        const openIndex = borrowIndexByTx.get(event.transactionHash);
+        const endIndex = endEvent ? borrowIndexByTx.get(endEvent.transactionHash) : currentBorrowIndex.get(baseAsset.toLowerCase());
+        let borrowCost = null;
+        if (debt === 0n) borrowCost = 0n;
+        else if (openIndex && endIndex) borrowCost = debt * endIndex / openIndex - debt;
+        let returned = null;
+        if (closeEvent) returned = closeEvent.args.finalCollateralAmount;
+        else if (liquidationEvent) returned = 0n;
+        const [openedAt, endedAt] = await Promise.all([getBlockTime(event), endEvent ? getBlockTime(endEvent) : null]);
+        return {
+          id,
+          targetAsset,
+          outcome: closeEvent ? 'closed' : liquidationEvent ? 'liquidated' : 'open',
+          openedAt,
+          endedAt,
+          collateral: collateralAmount,
+          leverageBps: Number(leverageBps),
+          debt,
+          fees: sumEventArg(harvestedById.get(id), 'compoundedAmount'),
+          performanceFees: sumEventArg(harvestedById.get(id), 'performanceFee'),
+          rebalanceFees: sumEventArg(rebalancedById.get(id), 'rebalanceFee'),
+          borrowCost,
+          returned,
+          liquidationPenalty: liquidationEvent ? liquidationEvent.args.liquidationPenalty : null,
+          pnl: returned === null ? null : returned - collateralAmount,
+          openTx: event.transactionHash,
+          endTx: endEvent ? endEvent.transactionHash : null
+        };
+      }));
+      if (account !== getAccountAddress()) return; // 조회 중 주소가 바뀜
+      historyState.records = records.sort((a, b) => Number(BigInt(b.id) - BigInt(a.id)));
+      historyState.account = account;
+      renderPositionHistory();
+    } catch (error) {
+      console.warn('포지션 이력 로드 실패:', error);
+    }
+  }
+
+  function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+    if (days > 0) return t('history.durationDays', { days, hours: hours % 24 });
+    if (hours > 0) return t('history.durationHours', { hours, minutes: minutes % 60 });
+    return t('history.durationMinutes', { minutes });
+  }
+
+  function formatSignedUsdc(amount) {
+    const value = parseFloat(window.ethers.formatUnits(amount, 6));
+    return `${value > 0 ? '+' : ''}${nice(value)} USDC`;
+  }
+
+  function getAssetSymbol(address) {
+    const asset = state.assets.find(item => item.address.toLowerCase() === address.toLowerCase());
+    return asset ? asset.symbol : `${address.slice(0, 6)}...${address.slice(-4)}`;
+  }
+
+  function renderPositionHistory() {
+    const container = document.getElementById('positionHistory');
+    const { records } = historyState;
+    const realized = records.filter(record => record.pnl !== null).reduce((sum, record) => sum + record.pnl, 0n);
+    const realizedBadge = document.getElementById('realizedPnl');
+    realizedBadge.textContent = formatSignedUsdc(realized);
+    realizedBadge.className = realized < 0n ? 'badge err' : realized > 0n ? 'badge ok' : 'badge';
+
+    // 배포 블록을 모르면 오래된 포지션이 빠질 수 있음을 알림
+    const lookback = document.getElementById('historyLookback');
+    lookback.style.display = DEPLOY_BLOCKS.dynamicVault === undefined ? '' : 'none';
+    lookback.textContent = t('history.lookbackLimited', { blocks: EVENT_LOOKBACK_BLOCKS.toLocaleString(i18n.numberLocale) });
+
+    container.innerHTML = '';
+    if (records.length === 0) {
+      container.appendChild(el('div', { class: 'badge', style: 'text-align:center; padding:20px;' }, [t('history.empty')]));
+      return;
+    }
+    const columns = ['id', 'asset', 'outcome', 'opened', 'duration', 'collateral', 'fees', 'borrowCost', 'pnl'];
+    const outcomeClass = { open: 'pill', closed: 'pill ok', liquidated: 'pill err' };
+    const now = Date.now();
+    const rows = records.map(record => el('tr', {}, [
+      el('td', {}, [`#${record.id}`]),
+      el('td', {}, [`${getAssetSymbol(record.targetAsset)} · ${(record.leverageBps / 10000).toFixed(1)}x`]),
+      el('td', {}, [el('span', { class: outcomeClass[record.outcome] }, [t(`history.outcome.${record.outcome}`)])]),
+      el('td', {}, [formatDateTime(record.openedAt, { dateStyle: 'short', timeStyle: 'short' })]),
+      el('td', {}, [formatDuration((record.endedAt ?? now) - record.openedAt)]),
+      el('td', {}, [`${nice(window.ethers.formatUnits(record.collateral, 6))} USDC`]),
+      el('td', {}, [`${nice(window.ethers.formatUnits(record.fees, 6))} USDC`]),
+      el('td', {}, [record.borrowCost === null ? '-' : `${nice(window.ethers.formatUnits(record.borrowCost, 6))} USDC`]),
+      el('td', { style: record.pnl === null ? '' : `color: ${record.pnl < 0n ? '#ef4444' : '#22c55e'};` }, [record.pnl === null ? '-' : formatSignedUsdc(record.pnl)])
+    ]));
+    container.appendChild(el('table', { class: 'dataTable' }, [
+      el('thead', {}, [el('tr', {}, columns.map(column => el('th', {}, [t(`history.columns.${column}`)])))]),
+      el('tbody', {}, rows)
+    ]));
+  }
+
+  // 회계용 내보내기: 금액은 USDC 단위 소수 문자열, 시각은 ISO 8601, 기간은 초
+  function toExportRow(record) {
+    const { formatUnits } = window.ethers;
+    const amount = (value) => (value === null ? '' : formatUnits(value, 6));
+    return {
+      positionId: record.id,
+      asset: getAssetSymbol(record.targetAsset),
+      assetAddress: record.targetAsset,
+      outcome: record.outcome,
+      openedAt: new Date(record.openedAt).toISOString(),
+      endedAt: record.endedAt === null ? '' : new Date(record.endedAt).toISOString(),
+      durationSeconds: record.endedAt === null ? '' : Math.round((record.endedAt - record.openedAt) / 1000),
+      leverage: (record.leverageBps / 10000).toString(),
+      collateral: amount(record.collateral),
+      debt: amount(record.debt),
+      fees: amount(record.fees),
+      performanceFees: amount(record.performanceFees),
+      rebalanceFees: amount(record.rebalanceFees),
+      borrowCostEstimate: amount(record.borrowCost),
+      returned: amount(record.returned),
+      liquidationPenalty: amount(record.liquidationPenalty),
+      realizedPnl: amount(record.pnl),
+      openTx: record.openTx,
+      endTx: record.endTx || ''
+    };
+  }
+
+  function toCsv(rows) {
+    const escape = (value) => {
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = Object.keys(rows[0]);
+    return [header, ...rows.map(row => header.map(key => row[key]))].map(line => line.map(escape).join(',')).join('\n');
+  }
+
+  function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = el('a', { href: url, download: filename });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  function exportPositionHistory(format) {
+    if (historyState.records.length === 0) {
+      return showNotification(t('history.empty'), 'warn');
+    }
+    const rows = historyState.records.map(toExportRow);
+    const filename = `pillar-positions-${CURRENT_NETWORK.chainId}-${historyState.account}.${format}`;
+    if (format === 'csv') {
+      downloadFile(filename, toCsv(rows), 'text/csv');
+    } else {
+      const payload = { account: historyState.account, chainId: CURRENT_NETWORK.chainId, exportedAt: new Date().toISOString(), positions: rows };
+      downloadFile(filename, JSON.stringify(payload, null, 2), 'application/json');
+    }
+  }
+
+  // ---------- 프로토콜 분석 ----------
+  // 현재 상태는 렌딩 풀 뷰 함수와 볼트의 모든 포지션(getPositionDetails 1..nextPositionId-1)으로,
+  // 추이는 볼트·청산 엔진 이벤트로 집계합니다. 이벤트는 배포 블록부터 읽고 이후에는 새 블록만 더하며,
+  // 종료·청산된 포지션은 다시 바뀌지 않으므로 한 번만 조회합니다.
+  const POSITION_STATUS_NAMES = ['ACTIVE', 'OUT_OF_RANGE', 'LIQUIDATED', 'CLOSED'];
+  const MARGIN_TYPE_NAMES = ['CROSS', 'ISOLATED'];
+  const LEVERAGE_BUCKETS = [[1, 2], [2, 3], [3, 5], [5, 10]]; // 레버리지 분포 구간 (하한 초과, 상한 이하. 첫 구간은 하한 포함)
+  const ANALYTICS_DAYS = 30;            // 일별 차트에 표시할 기간
+  const ANALYTICS_POSITION_BATCH = 25;  // getPositionDetails 동시 호출 수
+  const analyticsState = {
+    open: false,
+    requestId: 0,          // 네트워크 전환·새로고침 시 이전 조회 결과를 버리기 위한 번호
+    finalPositions: new Map(), // 포지션 ID => 종료·청산된 포지션
+    series: null,          // 지금까지 읽은 이벤트 금액 { liquidationVolume, liquidationPenalties, performanceFees, rebalanceFees }
+    scannedBlock: null,    // series에 반영된 마지막 블록
+    liquidationChart: null,
+    feeChart: null
+  };
+
+  function toggleAnalytics() {
+    analyticsState.open = !analyticsState.open;
+    document.getElementById('mainPanels').style.display = analyticsState.open ? 'none' : '';
+    document.getElementById('lowerPanels').style.display = analyticsState.open ? 'none' : '';
+    document.getElementById('analyticsPanels').style.display = analyticsState.open ? '' : 'none';
+    document.getElementById('analyticsBtn').textContent = t(analyticsState.open ? 'nav.trade' : 'nav.analytics');
+    if (analyticsState.open) {
+      initializeAnalyticsCharts();
+      loadAnalytics();
+    }
+  }
+
+  // 캔버스가 보이는 상태에서 만들어야 크기가 잡히므로 탭을 처음 열 때 생성
+  function initializeAnalyticsCharts() {
+    if (analyticsState.liquidationChart) return;
+    const scales = {
+      x: { ticks: { color: '#94a3b8' }, grid: { color: 'rgba(255,255,255,0.1)' } },
+      y: { beginAtZero: true, ticks: { color: '#94a3b8' }, grid: { color: 'rgba(255,255,255,0.1)' } }
+    };
+    const plugins = { legend: { labels: { color: '#e2e8f0' } } };
+    analyticsState.liquidationChart = new Chart(document.getElementById('analyticsLiquidationChart').getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: [],
+        datasets: [{ label: t('analytics.liquidationSeries'), data: [], backgroundColor: 'rgba(239, 68, 68, 0.6)' }]
+      },
+      options: { maintainAspectRatio: false, scales, plugins }
+    });
+    analyticsState.feeChart = new Chart(document.getElementById('analyticsFeeChart').getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: [],
+        datasets: [
+          { label: t('analytics.performanceFees'), data: [], borderColor: '#22c55e', backgroundColor: 'rgba(34, 197, 94, 0.2)', fill: 'stack', tension: 0.2 },
+          { label: t('analytics.rebalanceFees'), data: [], borderColor: '#3b82f6', backgroundColor: 'rgba(59, 130, 246, 0.2)', fill: 'stack', tension: 0.2 },
+          { label: t('analytics.liquidationPenalties'), data: [], borderColor: '#f59e0b', backgroundColor: 'rgba(245, 158, 11, 0.2)', fill: 'stack', tension: 0.2 }
+        ]
+      },
+      options: { maintainAspectRatio: false, scales: { ...scales, y: { ...scales.y, stacked: true } }, plugins }
+    });
+  }
+
+  // 볼트 생성자 설정상 렌딩 자산 후보는 USDC·WETH이며, 실제로 등록(isActive)된 것만 표시
+  async function loadLendingMarkets(lendingContract) {
+    const candidates = [CONTRACTS.usdc, CONTRACTS.weth]
+      .filter((asset, i, list) => list.findIndex(other => other.toLowerCase() === asset.toLowerCase()) === i);
+    const markets = await Promise.all(candidates.map(async (asset) => {
+      const data = await lendingContract.assets(asset);
+      if (!data.isActive) return null;
+      const tokenContract = new window.ethers.Contract(asset, USDC_ABI, state.provider);
+      const [symbol, decimals, utilization] = await Promise.all([
+        tokenContract.symbol().catch(() => `${asset.slice(0, 6)}...`),
+        tokenContract.decimals(),
+        lendingContract.getUtilizationRate(asset)
+      ]);
+      return {
+        asset,
+        symbol,
+        decimals: Number(decimals),
+        totalSupply: data.totalSupply,
+        totalBorrows: data.totalBorrows,
+        reserves: data.reserves,
+        utilization
+      };
+    }));
+    return markets.filter(Boolean);
+  }
+
+  // 캐시에 없는 포지션(열린 포지션과 새로 생긴 포지션)만 조회
+  async function loadUncachedPositions(vaultContract) {
+    const count = Number(await vaultContract.nextPositionId()) - 1;
+    const ids = [];
+    for (let id = 1; id <= count; id++) {
+      if (!analyticsState.finalPositions.has(String(id))) ids.push(id);
+    }
+    const positions = [];
+    for (let start = 0; start < ids.length; start += ANALYTICS_POSITION_BATCH) {
+      const batchIds = ids.slice(start, start + ANALYTICS_POSITION_BATCH);
+      const batch = await Promise.all(batchIds.map(id => vaultContract.getPositionDetails(id)));
+      positions.push(...batch.map((raw, i) => toPositionView(batchIds[i], raw)));
+    }
+    return positions;
+  }
+
+  // 포지션의 대상 자산 등급 (자산 목록에 있으면 재사용, 없으면 볼트의 assetTiers 조회)
+  async function loadAssetTierMap(vaultContract, positions) {
+    const tiers = new Map(state.assets.map(asset => [asset.address.toLowerCase(), asset.tier]));
+    const missing = [...new Set(positions.map(position => position.targetAsset.toLowerCase()))].filter(asset => !tiers.has(asset));
+    const loaded = await Promise.all(missing.map(asset => vaultContract.assetTiers(asset)));
+    missing.forEach((asset, i) => tiers.set(asset, Number(loaded[i])));
+    return tiers;
+  }
+
+  async function toDailyAmounts(events, argName) {
+    const times = await Promise.all(events.map(getBlockTime));
+    return events.map((event, i) => ({ time: times[i], amount: parseFloat(window.ethers.formatUnits(event.args[argName], 6)) }));
+  }
+
+  // 지난 조회 이후 latest까지의 이벤트 금액 (첫 조회는 각 컨트랙트의 배포 블록부터)
+  async function loadNewAnalyticsEvents(vaultContract, engineContract, latest) {
+    const since = (key) => (analyticsState.scannedBlock === null ? DEPLOY_BLOCKS[key] : analyticsState.scannedBlock + 1);
+    const [liquidations, harvested, rebalanced] = await Promise.all([
+      queryEvents(engineContract, engineContract.filters.LiquidationExecuted(), since('liquidationEngine'), latest),
+      queryEvents(vaultContract, vaultContract.filters.FeesHarvested(), since('dynamicVault'), latest),
+      queryEvents(vaultContract, vaultContract.filters.PositionRebalanced(), since('dynamicVault'), latest)
+    ]);
+    const [liquidationVolume, liquidationPenalties, performanceFees, rebalanceFees] = await Promise.all([
+      toDailyAmounts(liquidations, 'collateralLiquidated'),
+      toDailyAmounts(liquidations, 'penalty'),
+      toDailyAmounts(harvested, 'performanceFee'),
+      toDailyAmounts(rebalanced, 'rebalanceFee')
+    ]);
+    return { liquidationVolume, liquidationPenalties, performanceFees, rebalanceFees };
+  }
+
+  // 최근 ANALYTICS_DAYS일(UTC)을 하루 단위로 합산. 그 이전 금액은 before로 따로 반환
+  function bucketByDay(items) {
+    const today = Math.floor(Date.now() / DAY_MS);
+    const firstDay = today - ANALYTICS_DAYS + 1;
+    const totals = new Array(ANALYTICS_DAYS).fill(0);
+    let before = 0;
+    items.forEach(({ time, amount }) => {
+      const day = Math.floor(time / DAY_MS);
+      if (day < firstDay) before += amount;
+      else totals[Math.min(day, today) - firstDay] += amount;
+    });
+    return { before, totals };
+  }
+
+  function cumulative({ before, totals }) {
+    let sum = before;
+    return totals.map(amount => (sum += amount));
+  }
+
+  async function loadAnalytics() {
+    if (!state.provider || !analyticsState.open) return;
+    const requestId = ++analyticsState.requestId;
+    try {
+      const { Contract } = window.ethers;
+      const vaultContract = new Contract(CONTRACTS.dynamicVault, DYNAMIC_VAULT_ABI, state.provider);
+      const lendingContract = new Contract(CONTRACTS.lendingVault, LENDING_VAULT_ABI, state.provider);
+      const engineContract = new Contract(CONTRACTS.liquidationEngine, LIQUIDATION_ENGINE_ABI, state.provider);
+      const latest = await state.provider.getBlockNumber();
+      const [markets, fetched, newSeries] = await Promise.all([
+        loadLendingMarkets(lendingContract),
+        loadUncachedPositions(vaultContract),
+        loadNewAnalyticsEvents(vaultContract, engineContract, latest)
+      ]);
+      const positions = [...analyticsState.finalPositions.values(), ...fetched];
+      const tiers = await loadAssetTierMap(vaultContract, positions);
+      if (requestId !== analyticsState.requestId) return; // 조회 중 네트워크가 바뀌었거나 다시 조회함
+
+      // 이 조회의 결과가 반영될 때만 캐시를 갱신 (버려진 조회가 블록을 건너뛰지 않도록)
+      fetched.filter(position => !isOpenPosition(position)).forEach(position => analyticsState.finalPositions.set(position.id, position));
+      const series = analyticsState.series || { liquidationVolume: [], liquidationPenalties: [], performanceFees: [], rebalanceFees: [] };
+      Object.keys(series).forEach(key => series[key].push(...newSeries[key]));
+      analyticsState.series = series;
+      analyticsState.scannedBlock = latest;
+
+      renderLendingMarkets(markets);
+      renderPositionAnalytics(positions, tiers);
+      renderAnalyticsCharts(series);
+    } catch (error) {
+      console.warn('프로토콜 분석 로드 실패:', error);
+    }
+  }
+
+  function renderKvRows(containerId, rows) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+    rows.forEach(([label, value]) => {
+      container.appendChild(el('div', { class: 'kv' }, [ el('div', {}, [label]), el('div', { class: 'badge' }, [value]) ]));
+    });
+  }
+
+  function renderLendingMarkets(markets) {
+    const container = document.getElementById('analyticsLending');
+    container.innerHTML = '';
+    if (markets.length === 0) {
+      container.appendChild(el('div', { class: 'badge', style: 'text-align:center; padding:20px;' }, [t('analytics.noMarkets')]));
+      return;
+    }
+    const { formatUnits } = window.ethers;
+    const columns = ['asset', 'supply', 'borrows', 'utilization', 'reserves'];
+    const amount = (value, market) => `${nice(formatUnits(value, market.decimals))} ${market.symbol}`;
+    container.appendChild(el('table', { class: 'dataTable' }, [
+      el('thead', {}, [el('tr', {}, columns.map(column => el('th', {}, [t(`analytics.columns.${column}`)])))]),
+      el('tbody', {}, markets.map(market => el('tr', {}, [
+        el('td', {}, [market.symbol]),
+        el('td', {}, [amount(market.totalSupply, market)]),
+        el('td', {}, [amount(market.totalBorrows, market)]),
+        // 이용률은 WAD(1e18) 단위
+        el('td', {}, [`${(parseFloat(formatUnits(market.utilization, 18)) * 100).toFixed(2)}%`]),
+        el('td', {}, [amount(market.reserves, market)])
+      ])))
+    ]));
+  }
+
+  // 미결제약정은 열린 포지션(ACTIVE/OUT_OF_RANGE)의 담보 + 부채(= 담보 × 레버리지), USDC 기준
+  function renderPositionAnalytics(positions, tiers) {
+    const open = positions.filter(isOpenPosition);
+    const notional = (position) => position.collateral + position.debt;
+    const sumBy = (names, keyOf) => names.map((name, i) => [
+      name,
+      `${nice(open.filter(position => keyOf(position) === i).reduce((sum, position) => sum + notional(position), 0))} USDC`
+    ]);
+
+    document.getElementById('analyticsTotalOi').textContent = `${nice(open.reduce((sum, position) => sum + notional(position), 0))} USDC`;
+    renderKvRows('analyticsOiByTier', sumBy(ASSET_TIER_NAMES, position => tiers.get(position.targetAsset.toLowerCase())));
+    renderKvRows('analyticsOiByMargin', sumBy(MARGIN_TYPE_NAMES, position => position.marginType));
+    renderKvRows('analyticsStatusCounts', POSITION_STATUS_NAMES.map((name, i) =>
+      [name, String(positions.filter(position => position.status === i).length)]));
+    renderKvRows('analyticsLeverage', LEVERAGE_BUCKETS.map(([min, max], i) => [
+      `${min}x – ${max}x`,
+      String(open.filter(position => (i === 0 ? position.leverage >= min : position.leverage > min) && position.leverage <= max).length)
+    ]));
+  }
+
+  function renderAnalyticsCharts({ liquidationVolume, liquidationPenalties, performanceFees, rebalanceFees }) {
+    const firstDay = Math.floor(Date.now() / DAY_MS) - ANALYTICS_DAYS + 1;
+    const labels = Array.from({ length: ANALYTICS_DAYS }, (_, i) =>
+      formatDateTime((firstDay + i) * DAY_MS, { month: 'numeric', day: 'numeric', timeZone: 'UTC' }));
+    const total = (items) => items.reduce((sum, item) => sum + item.amount, 0);
+
+    document.getElementById('analyticsLiquidationTotal').textContent =
+      t('analytics.liquidationSummary', { count: liquidationVolume.length, amount: nice(total(liquidationVolume)) });
+    document.getElementById('analyticsFeeTotal').textContent =
+      `${nice(total(performanceFees) + total(rebalanceFees) + total(liquidationPenalties))} USDC`;
+    // 배포 블록을 모르면 합계가 최근 EVENT_LOOKBACK_BLOCKS 블록에 한정됨
+    document.getElementById('analyticsNote').textContent = DEPLOY_BLOCKS.dynamicVault === undefined || DEPLOY_BLOCKS.liquidationEngine === undefined
+      ? t('analytics.lookbackNote', { blocks: EVENT_LOOKBACK_BLOCKS.toLocaleString(i18n.numberLocale), days: ANALYTICS_DAYS })
+      : t('analytics.sinceDeployNote', { days: ANALYTICS_DAYS });
+
+    const { liquidationChart, feeChart } = analyticsState;
+    liquidationChart.data.labels = labels;
+    liquidationChart.data.datasets[0].data = bucketByDay(liquidationVolume).totals;
+    liquidationChart.update('none');
+    feeChart.data.labels = labels;
+    [performanceFees, rebalanceFees, liquidationPenalties].forEach((items, i) => {
+      feeChart.data.datasets[i].data = cumulative(bucketByDay(items));
+    });
+    feeChart.update('none');
+  }
+
+  function clearAnalytics() {
+    analyticsState.requestId++;
+    analyticsState.finalPositions.clear();
+    analyticsState.series = null;
+    analyticsState.scannedBlock = null;
+    document.getElementById('analyticsLending').innerHTML = '';
+    ['analyticsOiByTier', 'analyticsOiByMargin', 'analyticsStatusCounts', 'analyticsLeverage']
+      .forEach(id => { document.getElementById(id).innerHTML = ''; });
+    ['analyticsTotalOi', 'analyticsLiquidationTotal', 'analyticsFeeTotal']
+      .forEach(id => { document.getElementById(id).textContent = '-'; });
+    [analyticsState.liquidationChart, analyticsState.feeChart].filter(Boolean).forEach(chart => {
+      chart.data.labels = [];
+      chart.data.datasets.forEach(dataset => { dataset.data = []; });
+      chart.update('none');
+    });
+  }
+
+  // ---------- 핵심 로직 (트랜잭션 및 데이터 로드) ----------
+// ---------- 핵심 로직 (트랜잭션 및 데이터 로드) ----------
+async function loadBalances() {
+  const account = getAccountAddress();
+  if (!state.provider || !account) return;
+  try {
+    const { Contract, formatEther, formatUnits } = window.ethers;
+    const usdcContract = new Contract(CONTRACTS.usdc, USDC_ABI, state.provider);
+    const wethContract = new Contract(CONTRACTS.weth, USDC_ABI, state.provider);
+    const [native, usdc, weth] = await Promise.all([
+      state.provider.getBalance(account),
+      usdcContract.balanceOf(account),
+      wethContract.balanceOf(account)
+    ]);
+    state.balances = { native: formatEther(native), usdc: formatUnits(usdc, 6), weth: formatEther(weth) };
+    document.getElementById('nativeBalance').textContent = parseFloat(state.balances.native).toFixed(4);
+    document.getElementById('usdcBalance').textContent = nice(state.balances.usdc);
+    document.getElementById('wethBalance').textContent = parseFloat(state.balances.weth).toFixed(4);
+  } catch (error) {
+    console.warn('잔액 로드 실패:', error);
+  }
+}
+
+// 지갑 연결 직후 및 트랜잭션 완료 후 온체인 상태를 다시 읽어옵니다.
+async function loadInitialData() {
+  resumePendingTransactions();
+  await Promise.all([
+    loadBalances(),
+    loadPositions().then(loadFeeHistory),
+    loadPositionHistory(),
+    loadAnalytics(),
+    loadAssetPairs().then(loadAllowances),
+    loadLendingData(),
+    loadWhitelistData(),
+    loadAdminConsole()
+  ]);
+}
+
+// '주소 조회': 지갑 없이 입력한 주소의 잔액·포지션·렌딩 공급액을 읽기 전용으로 표시
+async function applyViewAddress() {
+  const input = document.getElementById('viewAddressInput').value.trim();
+  if (!window.ethers.isAddress(input)) {
+    return showNotification(t('portfolio.invalidViewAddress'), 'warn');
+  }
+  state.viewAddress = window.ethers.getAddress(input);
+  healthState.alerted.clear();
+  updateWalletUI();
+  await Promise.all([
+    loadBalances(),
+    loadPositions().then(loadFeeHistory),
+    loadPositionHistory(),
+    loadLendingData()
+  ]);
+}
+
 async function openPosition() {
   if (!state.isConnected || !state.signer) {
-    return showNotification('먼저 지갑을 연결해주세요', 'warn');
+    return showNotification(t('common.connectFirst'), 'warn');
   }
   const collateralAmountStr = document.getElementById('collateralAmount').value;
   if (!collateralAmountStr || parseFloat(collateralAmountStr) < 100) {
-    return showNotification('최소 100 USDC 담보가 필요합니다', 'warn');
+    return showNotification(t('open.minCollateral'), 'warn');
+  }
+  if (state.priceFresh === false) {
+    return showNotification(formatDecodedError(errorDecoder.describeErrorCode('STALE_ORACLE', { locale: i18n.locale })), 'warn');
+  }
+  const selectedAsset = getSelectedAsset();
+  if (selectedAsset && state.leverage > selectedAsset.maxLeverageBps) {
+    return showNotification(t('open.maxLeverage', { symbol: selectedAsset.symbol, leverage: (selectedAsset.maxLeverageBps / 10000).toFixed(1) }), 'warn');
+  }
+  if (state.preview && !state.preview.ok) {
+    return showNotification(t('open.blocked', { reason: describeRevertReason(state.preview.reason) }), 'warn');
   }
   const collateralAmount = window.ethers.parseUnits(collateralAmountStr, 6); // USDC는 6자리
 
   try {
-    showNotification('트랜잭션 준비 중...', 'info');
+    showNotification(t('open.preparing'), 'info');
     document.getElementById('openPositionBtn').disabled = true;
 
-    const usdcContract = new window.ethers.Contract(CONTRACTS.usdc, USDC_ABI, state.signer);
     const vaultContract = new window.ethers.Contract(CONTRACTS.dynamicVault, DYNAMIC_VAULT_ABI, state.signer);
 
-    showNotification('USDC 사용 승인을 요청합니다...', 'info');
-    const approveTx = await usdcContract.approve(CONTRACTS.dynamicVault, collateralAmount);
-    await approveTx.wait();
-    showNotification('USDC 사용 승인 완료!', 'success');
-    showNotification('포지션 오픈 트랜잭션을 요청합니다...', 'info');
+    await ensureAllowance(CONTRACTS.usdc, 'dynamicVault', collateralAmount, 'USDC');
+    showNotification(t('open.requesting'), 'info');
 
     const baseAsset = CONTRACTS.usdc;
-    const targetAsset = CONTRACTS.weth;
+    const targetAsset = state.targetAsset;
     const customRangeBps = state.selectedRange;
     const feeTier = 1;
 
@@ -849,85 +2603,1109 @@ async function openPosition() {
       feeTier
     );
 
-    showNotification(`트랜잭션 제출됨: ${tx.hash.slice(0,10)}...`, 'info');
-    const receipt = await tx.wait();
+    const receipt = await trackTransaction(tx, 'openPosition', t('open.label', { amount: collateralAmountStr, leverage: (state.leverage / 10000).toFixed(1) }));
     if (receipt.status === 1) {
-      showNotification('포지션 오픈 성공!', 'success');
+      showNotification(t('open.opened'), 'success');
       document.getElementById('collateralAmount').value = '';
-      
-      if (window.onPositionOpened) {
-        window.onPositionOpened({ id: receipt.hash });
-      }
 
-      // ▼▼▼▼▼ 여기가 수정된 부분입니다 ▼▼▼▼▼
-      loadInitialData(); // 'i'를 대문자 'I'로 수정한 최종 버전
-      // ▲▲▲▲▲ 여기가 수정된 부분입니다 ▲▲▲▲▲
+      const positionId = findOpenedPositionId(vaultContract, receipt);
+      if (positionId !== null) {
+        await onPositionOpened({ id: positionId });
+      }
+      loadInitialData();
 
     } else {
-      throw new Error("트랜잭션이 실패했습니다.");
+      throw new Error(t('common.txFailed'));
     }
   } catch (error) {
     console.error('포지션 오픈 오류:', error);
-    showNotification(`오류: ${error.reason || error.message}`, 'error');
+    showNotification(t('common.error', { message: describeError(error) }), 'error');
   } finally {
-    document.getElementById('openPositionBtn').disabled = false;
+    document.getElementById('openPositionBtn').disabled = state.priceFresh === false;
   }
 }
 
+  const MEME_TIER_NAMES = ['-', 'Bronze', 'Silver', 'Gold'];
+  const MIN_COLLATERAL_USDC = '100'; // DynamicRangeVault.MIN_COLLATERAL_USD
+  let previewRequestId = 0;
+
+  function setPreviewBadge(id, text, className = 'badge') {
+    const badge = document.getElementById(id);
+    badge.textContent = text;
+    badge.className = className;
+  }
+
+  // 레버리지·범위 입력이 바뀔 때마다 즉시 반영되는 부분만 갱신하고, 온체인 프리뷰는 디바운스 호출
   function updatePreview() {
-    document.getElementById('effectiveLeverage').textContent = `${(state.leverage / 10000).toFixed(1)}x`;
-    const collateral = parseFloat(document.getElementById('collateralAmount').value || '0');
-    if (collateral > 0) {
-      const borrowAmount = collateral * (state.leverage / 10000 - 1);
-      document.getElementById('borrowAmount').textContent = `${nice(borrowAmount)} USDC`;
+    const selectedRangeText = state.selectedRange === 0 ? t('preview.auto') : state.selectedRange.toString();
+    document.getElementById('selectedRangeBps').textContent = selectedRangeText;
+    setPreviewBadge('previewStatus', t('preview.calculating'));
+    fetchPreviewDebounced();
+  }
+
+  async function fetchPreview() {
+    const requestId = ++previewRequestId;
+    if (!state.provider) {
+      state.preview = null;
+      renderPreview();
+      return;
+    }
+    const collateralStr = document.getElementById('collateralAmount').value;
+    const hasCollateral = parseFloat(collateralStr || '0') > 0;
+    try {
+      const vaultContract = new window.ethers.Contract(CONTRACTS.dynamicVault, DYNAMIC_VAULT_ABI, state.provider);
+      // 담보 미입력 시에도 범위 정보를 보여주기 위해 최소 담보로 조회
+      const collateralAmount = window.ethers.parseUnits(hasCollateral ? collateralStr : MIN_COLLATERAL_USDC, 6);
+      const preview = await vaultContract.previewOpenPosition(
+        CONTRACTS.usdc,
+        state.targetAsset,
+        collateralAmount,
+        state.leverage,
+        state.marginType,
+        state.selectedRange,
+        1
+      );
+      // 더 최신 요청이 있으면 이 결과는 버림
+      if (requestId !== previewRequestId) return;
+      state.preview = { ...preview.toObject(), hasCollateral };
+    } catch (error) {
+      if (requestId !== previewRequestId) return;
+      console.warn('포지션 프리뷰 조회 실패:', error);
+      state.preview = null;
+    }
+    renderPreview();
+  }
+
+  const fetchPreviewDebounced = debounce(fetchPreview, 400);
+
+  function renderPreview() {
+    const preview = state.preview;
+    if (!preview) {
+      ['borrowAmount', 'priceBounds', 'previewRange'].forEach(id => setPreviewBadge(id, '-'));
+      setPreviewBadge('effectiveLeverage', `${(state.leverage / 10000).toFixed(1)}x`);
+      setPreviewBadge('previewStatus', state.provider ? t('preview.failed') : t('preview.connectWallet'), 'badge warn');
+      return;
+    }
+    const { formatUnits } = window.ethers;
+    const leverageText = `${(Number(preview.leverageBps) / 10000).toFixed(1)}x`;
+    if (preview.isMeme) {
+      const maxLeverage = (Number(preview.maxMemeLeverageBps) / 10000).toFixed(1);
+      setPreviewBadge('effectiveLeverage', t('preview.memeLeverage', { leverage: leverageText, tier: MEME_TIER_NAMES[Number(preview.memeTier)], max: maxLeverage }));
     } else {
-      document.getElementById('borrowAmount').textContent = '-';
+      setPreviewBadge('effectiveLeverage', leverageText);
+    }
+
+    if (!preview.ok) {
+      ['borrowAmount', 'priceBounds', 'previewRange'].forEach(id => setPreviewBadge(id, '-'));
+      setPreviewBadge('previewStatus', describeRevertReason(preview.reason), 'badge err');
+      updateRangeChartAnnotations();
+      return;
+    }
+
+    setPreviewBadge('borrowAmount', preview.hasCollateral ? `${nice(formatUnits(preview.borrowAmount, 6))} USDC` : '-');
+    setPreviewBadge('priceBounds', `${formatUsd(formatUnits(preview.lowerBound, 18))} ~ ${formatUsd(formatUnits(preview.upperBound, 18))}`);
+    setPreviewBadge('previewRange', `±${preview.finalRangeBps} / ±${preview.allowedRangeBps} bps`);
+    setPreviewBadge('previewStatus', preview.hasCollateral ? 'OK' : t('preview.enterCollateral'), preview.hasCollateral ? 'badge ok' : 'badge warn');
+
+    state.allowedRangeBps = Number(preview.allowedRangeBps);
+    document.getElementById('allowedRangeBps').textContent = state.allowedRangeBps;
+    updateRangeChartAnnotations();
+  }
+
+  // ---------- 자산 페어 (MemeTokenRegistry) ----------
+  const ASSET_TIER_NAMES = ['BLUE_CHIP', 'MAJOR_ALT', 'MEME'];
+  const ASSET_TIER_MEME = 2;
+  const LEVERAGE_SLIDER_MAX = 50000; // UI에서 제공하는 최대 레버리지 (5x)
+  const MEME_TIER_BADGE_CLASS = ['badge', 'badge err', 'badge warn', 'badge ok'];
+
+  function getSelectedAsset() {
+    return state.assets.find(asset => asset.address.toLowerCase() === state.targetAsset.toLowerCase()) || null;
+  }
+
+  /**
+   * 대상 자산의 볼트 등급과 레지스트리 밈 티어를 읽어 레버리지 상한을 계산
+   * (DynamicRangeVault._validateLeverageForAsset과 동일한 규칙)
+   */
+  async function loadAssetInfo(vaultContract, registryContract, token) {
+    const tokenContract = new window.ethers.Contract(token, USDC_ABI, state.provider);
+    const [symbol, assetTier, isWhitelisted] = await Promise.all([
+      tokenContract.symbol().catch(() => `${token.slice(0, 6)}...`),
+      vaultContract.assetTiers(token),
+      registryContract.isTokenWhitelisted(token)
+    ]);
+    const tier = Number(assetTier);
+    const memeTier = isWhitelisted ? Number(await registryContract.getTokenTier(token)) : 0;
+    const maxLeverageBps = tier === ASSET_TIER_MEME && isWhitelisted
+      ? await registryContract.getMaxLeverageForToken(token)
+      : await vaultContract.maxLeverageByTier(tier);
+    return { address: token, symbol, tier, memeTier, isWhitelisted, maxLeverageBps: Number(maxLeverageBps) };
+  }
+
+  async function loadAssetPairs() {
+    if (!state.provider) return;
+    try {
+      const { Contract } = window.ethers;
+      const vaultContract = new Contract(CONTRACTS.dynamicVault, DYNAMIC_VAULT_ABI, state.provider);
+      const registryContract = new Contract(CONTRACTS.registry, REGISTRY_ABI, state.provider);
+      const whitelisted = await registryContract.getWhitelistedTokens();
+      const tokens = [CONTRACTS.weth, ...whitelisted]
+        .filter((token, i, list) => list.findIndex(other => other.toLowerCase() === token.toLowerCase()) === i);
+      state.assets = await Promise.all(tokens.map(token => loadAssetInfo(vaultContract, registryContract, token)));
+      renderAssetOptions();
+      selectAsset(getSelectedAsset() ? state.targetAsset : CONTRACTS.weth);
+    } catch (error) {
+      console.warn('자산 페어 로드 실패:', error);
+      fetchPreview();
+    }
+  }
+
+  function renderAssetOptions() {
+    const select = document.getElementById('assetPair');
+    select.innerHTML = '';
+    state.assets.forEach(asset => {
+      const tierLabel = asset.memeTier > 0 ? `${ASSET_TIER_NAMES[asset.tier]} · ${MEME_TIER_NAMES[asset.memeTier]}` : ASSET_TIER_NAMES[asset.tier];
+      const label = `${asset.symbol}/USDC · ${tierLabel} · ${t('assets.maxLeverage', { leverage: (asset.maxLeverageBps / 10000).toFixed(1) })}`;
+      select.appendChild(el('option', { value: asset.address }, [label]));
+    });
+  }
+
+  function selectAsset(address) {
+    state.targetAsset = address;
+    document.getElementById('assetPair').value = address;
+    const asset = getSelectedAsset();
+    if (asset) {
+      const tierBadge = document.getElementById('assetTierBadge');
+      tierBadge.textContent = asset.memeTier > 0 ? MEME_TIER_NAMES[asset.memeTier] : ASSET_TIER_NAMES[asset.tier];
+      tierBadge.className = MEME_TIER_BADGE_CLASS[asset.memeTier];
+      document.getElementById('assetMaxLeverage').textContent = t('assets.maxLeverage', { leverage: (asset.maxLeverageBps / 10000).toFixed(1) });
+    }
+    applyLeverageCap();
+    updatePreview();
+    loadPriceData();
+  }
+
+  // 선택된 자산의 레버리지 상한에 맞춰 슬라이더와 버튼을 제한
+  function applyLeverageCap() {
+    const asset = getSelectedAsset();
+    const cap = asset ? Math.min(LEVERAGE_SLIDER_MAX, asset.maxLeverageBps) : LEVERAGE_SLIDER_MAX;
+    document.getElementById('leverageSlider').max = cap;
+    document.querySelectorAll('.lev-btn').forEach(btn => {
+      btn.disabled = parseInt(btn.dataset.lev) > cap;
+    });
+    if (state.leverage > cap) {
+      setLeverage(cap);
+    }
+  }
+
+  function setLeverage(value) {
+    const asset = getSelectedAsset();
+    const cap = asset ? Math.min(LEVERAGE_SLIDER_MAX, asset.maxLeverageBps) : LEVERAGE_SLIDER_MAX;
+    state.leverage = Math.min(value, cap);
+    document.getElementById('leverageSlider').value = state.leverage;
+    document.getElementById('leverageValue').textContent = `${(state.leverage / 10000).toFixed(1)}x`;
+    document.querySelectorAll('.lev-btn').forEach(btn => btn.classList.toggle('active', parseInt(btn.dataset.lev) === state.leverage));
+    updatePreview();
+  }
+
+  // ---------- 렌딩 풀 (PillarLendingVault) ----------
+  const lendingState = {
+    totalLiquidity: null, // bigint, USDC 6자리
+    userBalance: null     // 원금 + 이자 (bigint)
+  };
+
+  function formatUsdc(amount) {
+    return `${nice(window.ethers.formatUnits(amount, 6))} USDC`;
+  }
+
+  async function loadLendingData() {
+    if (!state.provider) return;
+    try {
+      const { Contract, formatUnits } = window.ethers;
+      const lendingContract = new Contract(CONTRACTS.lendingVault, LENDING_VAULT_ABI, state.provider);
+      const asset = CONTRACTS.usdc;
+      const [supplied, borrowed, liquidity, utilization, borrowRate] = await Promise.all([
+        lendingContract.totalSupply(asset),
+        lendingContract.totalBorrows(asset),
+        lendingContract.getTotalLiquidity(asset),
+        lendingContract.getUtilizationRate(asset),
+        lendingContract.getBorrowRate(asset)
+      ]);
+      lendingState.totalLiquidity = liquidity;
+      document.getElementById('lendTotalSupply').textContent = formatUsdc(supplied);
+      document.getElementById('lendTotalBorrows').textContent = formatUsdc(borrowed);
+      document.getElementById('lendLiquidity').textContent = formatUsdc(liquidity);
+      // 이용률은 WAD(1e18), 이자율은 RAY(1e27) 단위
+      document.getElementById('lendUtilization').textContent = `${(parseFloat(formatUnits(utilization, 18)) * 100).toFixed(2)}%`;
+      document.getElementById('lendBorrowRate').textContent = `${(parseFloat(formatUnits(borrowRate, 27)) * 100).toFixed(2)}%`;
+
+      const account = getAccountAddress();
+      if (account) {
+        const [principal, interest] = await lendingContract.getUserBalance(account, asset);
+        lendingState.userBalance = principal + interest;
+        document.getElementById('lendUserPrincipal').textContent = formatUsdc(principal);
+        document.getElementById('lendUserInterest').textContent = formatUsdc(interest);
+      }
+      updateWithdrawWarning();
+    } catch (error) {
+      console.warn('렌딩 풀 데이터 로드 실패:', error);
+    }
+  }
+
+  // USDC 소수 6자리를 넘거나 지수 표기(1e5)인 입력은 parseUnits가 던지므로 형식부터 확인
+  function parseLendAmount() {
+    const value = document.getElementById('lendAmount').value.trim();
+    if (!/^\d+(\.\d{1,6})?$/.test(value)) return null;
+    const amount = window.ethers.parseUnits(value, 6);
+    return amount > 0n ? amount : null;
+  }
+
+  // 출금 금액이 가용 유동성 또는 내 공급 잔액을 넘으면 경고를 표시
+  function updateWithdrawWarning() {
+    const warningEl = document.getElementById('lendWarning');
+    const amount = parseLendAmount();
+    let message = '';
+    if (amount !== null && lendingState.totalLiquidity !== null && amount > lendingState.totalLiquidity) {
+      message = t('lending.exceedsLiquidity', { amount: formatUsdc(lendingState.totalLiquidity) });
+    } else if (amount !== null && lendingState.userBalance !== null && amount > lendingState.userBalance) {
+      message = t('lending.exceedsBalance', { amount: formatUsdc(lendingState.userBalance) });
+    }
+    warningEl.textContent = message;
+    warningEl.style.display = message ? 'block' : 'none';
+  }
+
+  async function supplyToLending() {
+    if (!state.isConnected || !state.signer) {
+      return showNotification(t('common.connectFirst'), 'warn');
+    }
+    const amount = parseLendAmount();
+    if (amount === null) {
+      return showNotification(t('lending.enterSupplyAmount'), 'warn');
+    }
+    const supplyBtn = document.getElementById('lendSupplyBtn');
+    try {
+      supplyBtn.disabled = true;
+      const lendingContract = new window.ethers.Contract(CONTRACTS.lendingVault, LENDING_VAULT_ABI, state.signer);
+
+      await ensureAllowance(CONTRACTS.usdc, 'lendingVault', amount, 'USDC');
+
+      const tx = await lendingContract.supply(CONTRACTS.usdc, amount);
+      const receipt = await trackTransaction(tx, 'supply', t('lending.supplyLabel', { amount: formatUsdc(amount) }));
+      if (receipt.status === 1) {
+        showNotification(t('lending.supplied'), 'success');
+        document.getElementById('lendAmount').value = '';
+        await Promise.all([loadLendingData(), loadBalances()]);
+      } else {
+        throw new Error(t('common.txFailed'));
+      }
+    } catch (error) {
+      console.error('공급 오류:', error);
+      showNotification(t('common.error', { message: describeError(error) }), 'error');
+    } finally {
+      supplyBtn.disabled = false;
+    }
+  }
+
+  async function withdrawFromLending() {
+    if (!state.isConnected || !state.signer) {
+      return showNotification(t('common.connectFirst'), 'warn');
+    }
+    const amount = parseLendAmount();
+    if (amount === null) {
+      return showNotification(t('lending.enterWithdrawAmount'), 'warn');
+    }
+    if (lendingState.totalLiquidity !== null && amount > lendingState.totalLiquidity) {
+      return showNotification(t('lending.insufficientLiquidity', { amount: formatUsdc(lendingState.totalLiquidity) }), 'warn');
+    }
+    const withdrawBtn = document.getElementById('lendWithdrawBtn');
+    try {
+      withdrawBtn.disabled = true;
+      const lendingContract = new window.ethers.Contract(CONTRACTS.lendingVault, LENDING_VAULT_ABI, state.signer);
+      const tx = await lendingContract.withdraw(CONTRACTS.usdc, amount);
+      const receipt = await trackTransaction(tx, 'withdraw', t('lending.withdrawLabel', { amount: formatUsdc(amount) }));
+      if (receipt.status === 1) {
+        showNotification(t('lending.withdrawn'), 'success');
+        document.getElementById('lendAmount').value = '';
+        await Promise.all([loadLendingData(), loadBalances()]);
+      } else {
+        throw new Error(t('common.txFailed'));
+      }
+    } catch (error) {
+      console.error('출금 오류:', error);
+      showNotification(t('common.error', { message: describeError(error) }), 'error');
+    } finally {
+      withdrawBtn.disabled = false;
+    }
+  }
+
+  // ---------- 토큰 승인 (ERC-20 allowance) ----------
+  // 승인액이 이미 충분하면 approve를 건너뛰고, 부족할 때만 사용자가 고른 방식(정확한 금액/무제한)으로 승인합니다.
+  const APPROVAL_MODE_STORAGE_KEY = 'pillar_approval_mode';
+  const APPROVAL_SPENDERS = { dynamicVault: 'DynamicRangeVault', lendingVault: 'PillarLendingVault' };
+  const allowanceState = {
+    mode: localStorage.getItem(APPROVAL_MODE_STORAGE_KEY) === 'unlimited' ? 'unlimited' : 'exact',
+    allowances: [] // { token, symbol, decimals, spenderKey, amount: bigint }
+  };
+
+  // 무제한 승인은 사용할 때마다 조금씩 줄어드는 토큰도 있으므로 MaxUint256의 절반 이상이면 무제한으로 표시
+  function isUnlimitedAllowance(amount) {
+    return amount >= window.ethers.MaxUint256 / 2n;
+  }
+
+  /**
+   * spender의 현재 승인액이 amount보다 적을 때만 승인 트랜잭션 전송
+   * @param {string} tokenAddress - ERC-20 토큰 주소
+   * @param {string} spenderKey - APPROVAL_SPENDERS 키
+   * @param {bigint} amount - 필요한 금액 (토큰 최소 단위)
+   * @param {string} symbol - 알림 표시용 토큰 심볼
+   */
+  async function ensureAllowance(tokenAddress, spenderKey, amount, symbol) {
+    const tokenContract = new window.ethers.Contract(tokenAddress, USDC_ABI, state.signer);
+    const current = await tokenContract.allowance(state.userAddress, CONTRACTS[spenderKey]);
+    if (current >= amount) {
+      showNotification(t('allowance.sufficient', { symbol }), 'info');
+      return;
+    }
+    const unlimited = allowanceState.mode === 'unlimited';
+    showNotification(t('allowance.requesting', { symbol }), 'info');
+    const approveTx = await tokenContract.approve(CONTRACTS[spenderKey], unlimited ? window.ethers.MaxUint256 : amount);
+    await trackTransaction(approveTx, 'approve', t(unlimited ? 'allowance.unlimitedLabel' : 'allowance.exactLabel', { symbol, spender: APPROVAL_SPENDERS[spenderKey] }));
+    showNotification(t('allowance.approved', { symbol }), 'success');
+    loadAllowances();
+  }
+
+  // USDC, WETH와 자산 페어 목록의 토큰 각각에 대해 두 볼트의 승인액을 조회
+  async function loadAllowances() {
+    if (!state.provider || !state.userAddress) return;
+    try {
+      const { Contract } = window.ethers;
+      const tokens = [CONTRACTS.usdc, CONTRACTS.weth, ...state.assets.map(asset => asset.address)]
+        .filter((token, i, list) => list.findIndex(other => other.toLowerCase() === token.toLowerCase()) === i);
+      const spenderKeys = Object.keys(APPROVAL_SPENDERS);
+      const rows = await Promise.all(tokens.map(async (token) => {
+        const tokenContract = new Contract(token, USDC_ABI, state.provider);
+        const [symbol, decimals, ...amounts] = await Promise.all([
+          tokenContract.symbol().catch(() => shortAddress(token)),
+          tokenContract.decimals().catch(() => 18n),
+          ...spenderKeys.map(key => tokenContract.allowance(state.userAddress, CONTRACTS[key]))
+        ]);
+        return spenderKeys.map((spenderKey, i) => ({ token, symbol, decimals: Number(decimals), spenderKey, amount: amounts[i] }));
+      }));
+      allowanceState.allowances = rows.flat();
+      renderAllowances();
+    } catch (error) {
+      console.warn('토큰 승인 조회 실패:', error);
+    }
+  }
+
+  function renderAllowances() {
+    const container = document.getElementById('allowanceList');
+    container.innerHTML = '';
+    const granted = allowanceState.allowances.filter(allowance => allowance.amount > 0n);
+    if (granted.length === 0) {
+      container.appendChild(el('div', { class: 'badge', style: 'text-align:center; padding:10px;' }, [t('allowance.none')]));
+      return;
+    }
+    granted.forEach(allowance => {
+      const amountText = isUnlimitedAllowance(allowance.amount)
+        ? t('allowance.unlimited')
+        : `${nice(window.ethers.formatUnits(allowance.amount, allowance.decimals))} ${allowance.symbol}`;
+      const revokeBtn = el('button', { class: 'btn ghost', style: 'padding:4px 10px; font-size:12px;' }, [t('allowance.revoke')]);
+      revokeBtn.onclick = () => revokeAllowance(allowance, revokeBtn);
+      container.appendChild(el('div', { class: 'kv' }, [
+        el('div', {}, [`${allowance.symbol} → ${APPROVAL_SPENDERS[allowance.spenderKey]}`]),
+        el('div', { class: 'row' }, [
+          el('div', { class: isUnlimitedAllowance(allowance.amount) ? 'badge warn' : 'badge' }, [amountText]),
+          revokeBtn
+        ])
+      ]));
+    });
+  }
+
+  async function revokeAllowance(allowance, button) {
+    if (!state.isConnected || !state.signer) {
+      return showNotification(t('common.connectFirst'), 'warn');
+    }
+    try {
+      button.disabled = true;
+      const tokenContract = new window.ethers.Contract(allowance.token, USDC_ABI, state.signer);
+      const tx = await tokenContract.approve(CONTRACTS[allowance.spenderKey], 0);
+      const receipt = await trackTransaction(tx, 'revokeApproval', t('allowance.revokeLabel', { symbol: allowance.symbol, spender: APPROVAL_SPENDERS[allowance.spenderKey] }));
+      if (receipt.status === 1) {
+        showNotification(t('allowance.revoked', { symbol: allowance.symbol }), 'success');
+        await loadAllowances();
+      } else {
+        throw new Error(t('common.txFailed'));
+      }
+    } catch (error) {
+      console.error('승인 해제 오류:', error);
+      showNotification(t('common.error', { message: describeError(error) }), 'error');
+      button.disabled = false;
+    }
+  }
+
+  // ---------- 이벤트 로그 조회 ----------
+  const EVENT_QUERY_CHUNK = 10000; // RPC의 eth_getLogs 블록 범위 제한 대응
+  const EVENT_LOOKBACK_BLOCKS = 200000; // 시작 블록을 모를 때 조회할 최근 블록 수
+
+  /**
+   * 블록 범위를 나눠 이벤트를 조회
+   * @param {object} contract - ethers Contract
+   * @param {object} filter - contract.filters.X(...) 결과
+   * @param {number} [fromBlock] - 생략 시 최근 EVENT_LOOKBACK_BLOCKS 블록
+   * @param {number} [toBlock] - 생략 시 최신 블록
+   */
+  async function queryEvents(contract, filter, fromBlock, toBlock) {
+    const latest = toBlock ?? await contract.runner.provider.getBlockNumber();
+    const start = fromBlock ?? Math.max(0, latest - EVENT_LOOKBACK_BLOCKS);
+    const events = [];
+    for (let from = start; from <= latest; from += EVENT_QUERY_CHUNK) {
+      const to = Math.min(from + EVENT_QUERY_CHUNK - 1, latest);
+      events.push(...await contract.queryFilter(filter, from, to));
+    }
+    return events;
+  }
+
+  const blockTimeCache = new Map(); // blockNumber => ms
+
+  async function getBlockTime(event) {
+    if (!blockTimeCache.has(event.blockNumber)) {
+      const block = await event.getBlock();
+      blockTimeCache.set(event.blockNumber, block.timestamp * 1000);
+    }
+    return blockTimeCache.get(event.blockNumber);
+  }
+
+  // ---------- 오라클 가격 (PumpFunOracle) ----------
+  const PRICE_HISTORY_MAX_POINTS = 200;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const priceState = {
+    token: null,
+    series: [],            // { time: ms, price: USD, volume: 24h 거래량 USD | null } 오래된 순
+    oracleChangeBps: null  // 최신 TokenMetricsUpdated의 priceChange24h (이력이 부족할 때 대체값)
+  };
+
+  function getOracleContract() {
+    return new window.ethers.Contract(CONTRACTS.oracle, ORACLE_ABI, state.provider);
+  }
+
+  // 선택된 자산이 바뀌면 가격 이력과 현재가를 새로 불러옴
+  async function loadPriceData() {
+    if (!state.provider) return;
+    const token = state.targetAsset;
+    priceState.token = token;
+    priceState.series = [];
+    priceState.oracleChangeBps = null;
+    try {
+      const oracleContract = getOracleContract();
+      const events = (await queryEvents(oracleContract, oracleContract.filters.TokenMetricsUpdated(token)))
+        .slice(-PRICE_HISTORY_MAX_POINTS);
+      const times = await Promise.all(events.map(getBlockTime));
+      if (priceState.token !== token) return;
+      priceState.series = events.map((event, i) => ({
+        time: times[i],
+        price: parseFloat(window.ethers.formatUnits(event.args.priceUSD, 18)),
+        volume: parseFloat(window.ethers.formatUnits(event.args.volumeUSD24h, 18))
+      }));
+      if (events.length > 0) {
+        priceState.oracleChangeBps = Number(events[events.length - 1].args.priceChange24h);
+      }
+    } catch (error) {
+      console.warn('가격 이력 로드 실패:', error);
+    }
+    await pollPrice();
+  }
+
+  async function pollPrice() {
+    if (!state.provider || !priceState.token) return;
+    const token = priceState.token;
+    try {
+      const [price, isFresh] = await getOracleContract().getPrice(token);
+      if (priceState.token !== token) return;
+      const wasFresh = state.priceFresh;
+      state.currentPrice = parseFloat(window.ethers.formatUnits(price, 18));
+      state.priceFresh = isFresh;
+
+      const last = priceState.series[priceState.series.length - 1];
+      if (state.currentPrice > 0 && (!last || last.price !== state.currentPrice)) {
+        // getPrice는 거래량을 주지 않으므로 차트에서는 직전 오라클 거래량을 이어서 사용
+        priceState.series.push({ time: Date.now(), price: state.currentPrice, volume: null });
+        priceState.series = priceState.series.slice(-PRICE_HISTORY_MAX_POINTS);
+      }
+      state.priceChange24h = calculatePriceChange24h();
+
+      if (!isFresh && wasFresh !== false) {
+        showNotification(formatDecodedError(errorDecoder.describeErrorCode('STALE_ORACLE', { locale: i18n.locale })), 'warn');
+      } else if (isFresh && wasFresh === false) {
+        showNotification(t('oracle.fresh'), 'success');
+      }
+      renderPriceData();
+    } catch (error) {
+      console.warn('오라클 가격 조회 실패:', error);
+    }
+  }
+
+  // 24시간 전 시점(또는 그 이전 가장 가까운 기록) 대비 변동률, 이력이 부족하면 오라클 지표 사용
+  function calculatePriceChange24h() {
+    const cutoff = Date.now() - DAY_MS;
+    const baseline = [...priceState.series].reverse().find(point => point.time <= cutoff);
+    if (baseline && baseline.price > 0) {
+      return (state.currentPrice - baseline.price) / baseline.price * 100;
+    }
+    return priceState.oracleChangeBps === null ? null : priceState.oracleChangeBps / 100;
+  }
+
+  function renderPriceData() {
+    document.getElementById('currentPrice').textContent = state.currentPrice > 0 ? formatUsd(state.currentPrice) : '-';
+
+    const changeEl = document.getElementById('priceChange24h');
+    if (state.priceChange24h === null) {
+      changeEl.textContent = '-';
+      changeEl.style.color = '';
+    } else {
+      changeEl.textContent = `${state.priceChange24h >= 0 ? '+' : ''}${state.priceChange24h.toFixed(2)}%`;
+      changeEl.style.color = state.priceChange24h >= 0 ? '#22c55e' : '#ef4444';
+    }
+
+    const freshnessEl = document.getElementById('priceFreshness');
+    if (state.priceFresh === null) {
+      freshnessEl.textContent = t('chart.oracleChecking');
+      freshnessEl.className = 'pill';
+    } else {
+      freshnessEl.textContent = state.priceFresh ? t('oracle.ok') : t('oracle.stale');
+      freshnessEl.className = state.priceFresh ? 'pill ok' : 'pill err';
+    }
+    document.getElementById('openPositionBtn').disabled = state.priceFresh === false;
+
+    if (rangeChartInstance) {
+      rangeChartInstance.data.labels = priceState.series.map(point =>
+        formatDateTime(point.time, { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' }));
+      rangeChartInstance.data.datasets[0].data = priceState.series.map(point => point.price);
+    }
+    updateRangeChartAnnotations();
+    renderVolumeFeeChart();
+  }
+
+  // ---------- 토큰 상장 신청 (MemeTokenRegistry.requestWhitelist) ----------
+  const WHITELIST_STORAGE_KEY = 'pillar_whitelist_requests';
+  const whitelistState = {
+    fee: null,       // bigint, 네이티브 토큰 wei
+    requests: [],    // { token, website, blockNumber, status, tier, maxLeverageBps, reason }
+    subscription: null // 승인/폐지 이벤트를 구독 중인 registry Contract
+  };
+
+  // 같은 주소라도 네트워크마다 신청 내역이 다르므로 체인 ID와 주소로 구분
+  function getWhitelistStorageId() {
+    return `${CURRENT_NETWORK.chainId}:${state.userAddress.toLowerCase()}`;
+  }
+
+  function loadStoredWhitelistRequests() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(WHITELIST_STORAGE_KEY) || '{}');
+      return stored[getWhitelistStorageId()] || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function saveStoredWhitelistRequests() {
+    let stored = {};
+    try {
+      stored = JSON.parse(localStorage.getItem(WHITELIST_STORAGE_KEY) || '{}');
+    } catch (error) {
+      // 손상된 값은 덮어씀
+    }
+    stored[getWhitelistStorageId()] = whitelistState.requests.map(({ token, website, blockNumber }) => ({ token, website, blockNumber }));
+    localStorage.setItem(WHITELIST_STORAGE_KEY, JSON.stringify(stored));
+  }
+
+  function getRegistryContract(runner) {
+    return new window.ethers.Contract(CONTRACTS.registry, REGISTRY_ABI, runner);
+  }
+
+  async function loadWhitelistData() {
+    if (!state.provider) return;
+    try {
+      const registryContract = getRegistryContract(state.provider);
+      whitelistState.fee = await registryContract.whitelistBaseFee();
+      document.getElementById('whitelistFee').textContent =
+        `${window.ethers.formatEther(whitelistState.fee)} ${CURRENT_NETWORK.nativeCurrency.symbol}`;
+      if (state.userAddress) {
+        await loadWhitelistRequests(registryContract);
+        subscribeWhitelistEvents(registryContract);
+      }
+    } catch (error) {
+      console.warn('상장 신청 정보 로드 실패:', error);
+    }
+  }
+
+  // 로컬에 저장된 신청과 WhitelistRequested 이벤트를 합친 뒤, 토큰별 승인/폐지 이벤트로 결과를 판정
+  async function loadWhitelistRequests(registryContract) {
+    const requests = new Map(loadStoredWhitelistRequests().map(r => [r.token.toLowerCase(), r]));
+    const requested = await queryEvents(registryContract, registryContract.filters.WhitelistRequested(null, state.userAddress));
+    requested.forEach(event => {
+      requests.set(event.args.token.toLowerCase(), { token: event.args.token, website: event.args.websiteUrl, blockNumber: event.blockNumber });
+    });
+
+    whitelistState.requests = await Promise.all([...requests.values()].map(async (request) => {
+      const [whitelisted, delisted] = await Promise.all([
+        queryEvents(registryContract, registryContract.filters.TokenWhitelisted(request.token), request.blockNumber),
+        queryEvents(registryContract, registryContract.filters.TokenDelisted(request.token), request.blockNumber)
+      ]);
+      const latest = [...whitelisted, ...delisted].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index).pop();
+      return applyWhitelistEvent({ ...request, status: 'pending' }, latest);
+    }));
+    saveStoredWhitelistRequests();
+    renderWhitelistRequests();
+  }
+
+  function applyWhitelistEvent(request, event) {
+    if (!event) return request;
+    if (event.fragment.name === 'TokenWhitelisted') {
+      return { ...request, status: 'whitelisted', tier: Number(event.args.tier), maxLeverageBps: Number(event.args.maxLeverageBps) };
+    }
+    return { ...request, status: 'delisted', reason: event.args.reason };
+  }
+
+  function subscribeWhitelistEvents(registryContract) {
+    if (whitelistState.subscription) return;
+    whitelistState.subscription = registryContract;
+    const onOutcome = (token, payload) => {
+      const index = whitelistState.requests.findIndex(r => r.token.toLowerCase() === token.toLowerCase());
+      if (index === -1) return;
+      const updated = applyWhitelistEvent(whitelistState.requests[index], payload.log);
+      whitelistState.requests[index] = updated;
+      renderWhitelistRequests();
+      if (updated.status === 'whitelisted') {
+        showNotification(t('whitelist.approvedNotice', { token: shortAddress(token), tier: MEME_TIER_NAMES[updated.tier] }), 'success');
+      } else {
+        showNotification(t('whitelist.delistedNotice', { token: shortAddress(token), reason: updated.reason }), 'warn');
+      }
+    };
+    registryContract.on('TokenWhitelisted', (token, tier, maxLeverageBps, payload) => onOutcome(token, payload));
+    registryContract.on('TokenDelisted', (token, reason, payload) => onOutcome(token, payload));
+  }
+
+  function renderWhitelistRequests() {
+    const container = document.getElementById('whitelistRequests');
+    container.innerHTML = '';
+    if (whitelistState.requests.length === 0) {
+      container.appendChild(el('div', { class: 'badge', style: 'text-align:center; padding:10px;' }, [t('whitelist.noRequests')]));
+      return;
+    }
+    whitelistState.requests.forEach(request => {
+      let statusText = t('whitelist.pending');
+      let statusClass = 'badge warn';
+      if (request.status === 'whitelisted') {
+        statusText = t('whitelist.approved', { tier: MEME_TIER_NAMES[request.tier], leverage: (request.maxLeverageBps / 10000).toFixed(1) });
+        statusClass = 'badge ok';
+      } else if (request.status === 'delisted') {
+        statusText = t('whitelist.delisted', { reason: request.reason });
+        statusClass = 'badge err';
+      }
+      container.appendChild(el('div', { class: 'kv', title: request.website }, [
+        el('div', {}, [shortAddress(request.token)]),
+        el('div', { class: statusClass }, [statusText])
+      ]));
+    });
+  }
+
+  async function submitWhitelistRequest() {
+    if (!state.isConnected || !state.signer) {
+      return showNotification(t('common.connectFirst'), 'warn');
+    }
+    const token = document.getElementById('whitelistToken').value.trim();
+    const website = document.getElementById('whitelistWebsite').value.trim();
+    if (!window.ethers.isAddress(token)) {
+      return showNotification(t('whitelist.invalidToken'), 'warn');
+    }
+    if (!/^https?:\/\/\S+$/.test(website)) {
+      return showNotification(t('whitelist.invalidWebsite'), 'warn');
+    }
+    const submitBtn = document.getElementById('whitelistSubmitBtn');
+    try {
+      submitBtn.disabled = true;
+      // requestWhitelist는 추적 중이 아닌 토큰에 대해 onlyOwner인 pumpOracle.startTrackingToken을 호출하므로
+      // 오라클 소유자가 레지스트리가 아니면 NOT_OWNER로 되돌려집니다. 수수료를 보내기 전에 확인합니다.
+      const oracle = getOracleContract();
+      const [tracking, oracleOwner] = await Promise.all([oracle.isTrackingToken(token), oracle.owner()]);
+      if (!tracking && oracleOwner.toLowerCase() !== CONTRACTS.registry.toLowerCase()) {
+        return showNotification(t('whitelist.untracked', { token: shortAddress(token) }), 'warn');
+      }
+      const registryContract = getRegistryContract(state.signer);
+      // 신청 직전의 최신 수수료로 결제
+      const fee = await registryContract.whitelistBaseFee();
+      showNotification(t('whitelist.paying', { fee: `${window.ethers.formatEther(fee)} ${CURRENT_NETWORK.nativeCurrency.symbol}` }), 'info');
+      const tx = await registryContract.requestWhitelist(token, website, { value: fee });
+      const receipt = await trackTransaction(tx, 'requestWhitelist', t('whitelist.label', { token: shortAddress(token) }));
+      if (receipt.status === 1) {
+        showNotification(t('whitelist.submitted'), 'success');
+        const others = whitelistState.requests.filter(r => r.token.toLowerCase() !== token.toLowerCase());
+        whitelistState.requests = [...others, { token: window.ethers.getAddress(token), website, blockNumber: receipt.blockNumber, status: 'pending' }];
+        saveStoredWhitelistRequests();
+        renderWhitelistRequests();
+        subscribeWhitelistEvents(getRegistryContract(state.provider));
+        document.getElementById('whitelistToken').value = '';
+        document.getElementById('whitelistWebsite').value = '';
+        loadBalances();
+      } else {
+        throw new Error(t('common.txFailed'));
+      }
+    } catch (error) {
+      console.error('상장 신청 오류:', error);
+      showNotification(t('common.error', { message: describeError(error) }), 'error');
+    } finally {
+      submitBtn.disabled = false;
+    }
+  }
+
+  // ---------- 관리자 콘솔 (owner 전용) ----------
+  // 연결된 지갑이 owner()인 컨트랙트가 있을 때만 패널을 보여주고, 소유한 컨트랙트의 작업만 실행합니다.
+  // 모든 작업은 현재값과 새 값을 보여주는 확인 단계를 거친 뒤 전송됩니다.
+  const ADMIN_CONTRACTS = {
+    dynamicVault: { name: 'DynamicRangeVault', abi: () => DYNAMIC_VAULT_ABI },
+    lendingVault: { name: 'PillarLendingVault', abi: () => LENDING_VAULT_ABI },
+    registry: { name: 'MemeTokenRegistry', abi: () => REGISTRY_ABI },
+    oracle: { name: 'PumpFunOracle', abi: () => ORACLE_ABI },
+    liquidationEngine: { name: 'PillarLiquidationEngine', abi: () => LIQUIDATION_ENGINE_ABI }
+  };
+  const LIQUIDATION_THRESHOLD_RANGE = [5000, 9500]; // PillarLiquidationEngine.setLiquidationThreshold 허용 범위
+  const adminState = {
+    owned: new Set(), // 연결된 지갑이 소유한 ADMIN_CONTRACTS 키
+    pending: null     // 확인 대기 중인 { action, values, key }
+  };
+
+  function getAdminContract(key, runner) {
+    return new window.ethers.Contract(CONTRACTS[key], ADMIN_CONTRACTS[key].abi(), runner);
+  }
+
+  function formatNative(wei) {
+    return `${window.ethers.formatEther(wei)} ${CURRENT_NETWORK.nativeCurrency.symbol}`;
+  }
+
+  const formatPaused = (paused) => (paused ? t('admin.paused') : t('admin.running'));
+  const formatEnabled = (enabled, on, off) => (enabled ? on : off);
+
+  // 작업·입력 필드 이름은 카탈로그의 admin.actions.<id>, admin.fields.<name> 키에서 가져옴
+  const adminActionLabel = (action) => t(`admin.actions.${action.id}`);
+  const adminFieldLabel = (field) => t(`admin.fields.${field.name}`);
+
+  // contract: 대상 컨트랙트 키 (입력값으로 정하는 경우 함수)
+  // options: select 필드의 [값, 표시 이름] 목록을 돌려주는 함수, note: 확인 단계에 보여줄 안내 문구 키
+  // current/next: 확인 단계에 표시할 현재값과 새 값 (같으면 전송하지 않음)
+  // send: 트랜잭션 전송, after: 완료 후 다시 읽을 데이터
+  const ADMIN_ACTIONS = [
+    {
+      id: 'setAssetTier',
+      contract: 'dynamicVault',
+      fields: [
+        { name: 'asset', type: 'address' },
+        { name: 'tier', type: 'select', options: () => ASSET_TIER_NAMES.map((name, i) => [String(i), name]) }
+      ],
+      current: async (contract, values) => ASSET_TIER_NAMES[Number(await contract.assetTiers(values.asset))],
+      next: (values) => ASSET_TIER_NAMES[Number(values.tier)],
+      send: (contract, values) => contract.setAssetTier(values.asset, Number(values.tier)),
+      after: () => loadAssetPairs()
+    },
+    {
+      id: 'updateLeverageRange',
+      contract: 'dynamicVault',
+      fields: [
+        { name: 'leverageBps', type: 'integer', min: 10000, max: 100000 },
+        { name: 'maxRangeBps', type: 'integer', min: 1, max: 10000 }
+      ],
+      current: async (contract, values) => `±${await contract.getAllowedRange(values.leverageBps)} bps`,
+      next: (values) => `±${values.maxRangeBps} bps`,
+      send: (contract, values) => contract.updateLeverageRange(values.leverageBps, values.maxRangeBps),
+      after: () => fetchPreview()
+    },
+    {
+      id: 'setLiquidationThreshold',
+      contract: 'liquidationEngine',
+      fields: [
+        { name: 'asset', type: 'address' },
+        { name: 'threshold', type: 'integer', min: LIQUIDATION_THRESHOLD_RANGE[0], max: LIQUIDATION_THRESHOLD_RANGE[1] }
+      ],
+      current: async (contract, values) => {
+        const threshold = Number(await contract.liquidationThresholds(values.asset));
+        return threshold === 0 ? t('admin.defaultThreshold', { threshold: await getLiquidationThreshold(values.asset) }) : `${threshold} bps`;
+      },
+      next: (values) => `${values.threshold} bps`,
+      send: (contract, values) => contract.setLiquidationThreshold(values.asset, values.threshold),
+      after: (values) => {
+        healthState.thresholds.delete(values.asset.toLowerCase());
+        updatePositionHealth();
+      }
+    },
+    {
+      id: 'pause',
+      contract: (values) => values.vault,
+      fields: [
+        { name: 'vault', type: 'select', options: () => [['dynamicVault', 'DynamicRangeVault'], ['lendingVault', 'PillarLendingVault']] },
+        { name: 'paused', type: 'select', options: () => [['true', t('admin.options.pause')], ['false', t('admin.options.unpause')]] }
+      ],
+      current: async (contract) => formatPaused(await contract.paused()),
+      next: (values) => formatPaused(values.paused === 'true'),
+      send: (contract, values) => (values.paused === 'true' ? contract.pause() : contract.unpause())
+    },
+    {
+      id: 'trackToken',
+      contract: 'oracle',
+      fields: [
+        { name: 'token', type: 'address' },
+        { name: 'tracking', type: 'select', options: () => [['true', t('admin.options.startTracking')], ['false', t('admin.options.stopTracking')]] }
+      ],
+      current: async (contract, values) => formatEnabled((await contract.tokenMetrics(values.token)).isTracking, t('admin.tracking'), t('admin.notTracking')),
+      next: (values) => formatEnabled(values.tracking === 'true', t('admin.tracking'), t('admin.notTracking')),
+      send: (contract, values) => (values.tracking === 'true'
+        ? contract.startTrackingToken(values.token)
+        : contract.stopTrackingToken(values.token))
+    },
+    {
+      id: 'updater',
+      contract: 'oracle',
+      fields: [
+        { name: 'updater', type: 'address' },
+        { name: 'authorized', type: 'select', options: () => [['true', t('admin.options.authorize')], ['false', t('admin.options.revoke')]] }
+      ],
+      current: async (contract, values) => formatEnabled(await contract.authorizedUpdaters(values.updater), t('admin.authorized'), t('admin.unauthorized')),
+      next: (values) => formatEnabled(values.authorized === 'true', t('admin.authorized'), t('admin.unauthorized')),
+      send: (contract, values) => (values.authorized === 'true'
+        ? contract.authorizeUpdater(values.updater)
+        : contract.revokeUpdater(values.updater))
+    },
+    {
+      id: 'evaluateAndWhitelistToken',
+      contract: 'registry',
+      fields: [
+        { name: 'token', type: 'address' }
+      ],
+      current: async (contract, values) => formatEnabled(await contract.isTokenWhitelisted(values.token), t('admin.listed'), t('admin.notListed')),
+      next: () => t('admin.listed'),
+      note: 'admin.notes.evaluateAndWhitelistToken',
+      send: (contract, values) => contract.evaluateAndWhitelistToken(values.token),
+      after: () => loadAssetPairs()
+    },
+    {
+      id: 'updateWhitelistFee',
+      contract: 'registry',
+      fields: [
+        { name: 'fee', type: 'ether' }
+      ],
+      current: async (contract) => formatNative(await contract.whitelistBaseFee()),
+      next: (values) => formatNative(values.fee),
+      send: (contract, values) => contract.updateWhitelistFee(values.fee),
+      after: () => loadWhitelistData()
+    },
+    {
+      id: 'withdrawFees',
+      contract: 'registry',
+      fields: [],
+      current: async () => formatNative(await state.provider.getBalance(CONTRACTS.registry)),
+      next: () => formatNative(0n),
+      note: 'admin.notes.withdrawFees',
+      send: (contract) => contract.withdrawFees(),
+      after: () => loadBalances()
+    }
+  ];
+
+  function getSelectedAdminAction() {
+    const id = document.getElementById('adminAction').value;
+    return ADMIN_ACTIONS.find(action => action.id === id);
+  }
+
+  function resolveAdminContract(action, values) {
+    return typeof action.contract === 'function' ? action.contract(values) : action.contract;
+  }
+
+  // 입력값 검증 및 변환 (잘못된 값이면 사용자에게 보여줄 메시지로 예외)
+  function readAdminValues(action) {
+    const values = {};
+    action.fields.forEach(field => {
+      const raw = document.getElementById(`adminField-${field.name}`).value.trim();
+      if (field.type === 'address') {
+        if (!window.ethers.isAddress(raw)) throw new Error(t('admin.invalidAddress', { field: adminFieldLabel(field) }));
+        values[field.name] = window.ethers.getAddress(raw);
+      } else if (field.type === 'integer') {
+        const value = Number(raw);
+        if (!Number.isInteger(value) || value < field.min || value > field.max) {
+          throw new Error(t('admin.invalidInteger', { field: adminFieldLabel(field), min: field.min, max: field.max }));
+        }
+        values[field.name] = value;
+      } else if (field.type === 'ether') {
+        if (!/^\d+(\.\d+)?$/.test(raw)) throw new Error(t('admin.invalidNumber', { field: adminFieldLabel(field) }));
+        values[field.name] = window.ethers.parseEther(raw);
+      } else {
+        values[field.name] = raw;
+      }
+    });
+    return values;
+  }
+
+  async function loadAdminConsole() {
+    const panel = document.getElementById('adminPanel');
+    adminState.owned.clear();
+    if (state.provider && state.userAddress) {
+      try {
+        const owners = await Promise.all(Object.keys(ADMIN_CONTRACTS).map(async key =>
+          [key, await getAdminContract(key, state.provider).owner()]));
+        owners
+          .filter(([, owner]) => owner.toLowerCase() === state.userAddress.toLowerCase())
+          .forEach(([key]) => adminState.owned.add(key));
+      } catch (error) {
+        console.warn('관리자 권한 확인 실패:', error);
+      }
+    }
+    panel.style.display = adminState.owned.size > 0 ? 'block' : 'none';
+    if (adminState.owned.size > 0) {
+      renderAdminConsole();
+    }
+  }
+
+  function renderAdminConsole() {
+    const ownership = document.getElementById('adminOwnership');
+    ownership.innerHTML = '';
+    Object.entries(ADMIN_CONTRACTS).forEach(([key, { name }]) => {
+      ownership.appendChild(el('div', { class: adminState.owned.has(key) ? 'pill ok' : 'pill' }, [
+        `${adminState.owned.has(key) ? '✓' : '✕'} ${name}`
+      ]));
+    });
+
+    const select = document.getElementById('adminAction');
+    const selected = select.value;
+    select.innerHTML = '';
+    ADMIN_ACTIONS.forEach(action => {
+      // 입력값으로 대상이 정해지는 작업은 후보 중 하나라도 소유하면 선택 가능 (검토 단계에서 다시 확인)
+      const owned = typeof action.contract === 'function'
+        ? ['dynamicVault', 'lendingVault'].some(key => adminState.owned.has(key))
+        : adminState.owned.has(action.contract);
+      const option = el('option', { value: action.id }, [adminActionLabel(action)]);
+      option.disabled = !owned;
+      select.appendChild(option);
+    });
+    const firstEnabled = [...select.options].find(option => !option.disabled);
+    select.value = [...select.options].some(option => option.value === selected && !option.disabled)
+      ? selected
+      : firstEnabled.value;
+    renderAdminFields();
+  }
+
+  function renderAdminFields() {
+    const container = document.getElementById('adminFields');
+    container.innerHTML = '';
+    closeAdminConfirm();
+    getSelectedAdminAction().fields.forEach(field => {
+      container.appendChild(el('div', { class: 'label' }, [adminFieldLabel(field)]));
+      const input = field.type === 'select'
+        ? el('select', { id: `adminField-${field.name}` }, field.options().map(([value, label]) => el('option', { value }, [label])))
+        : el('input', {
+          id: `adminField-${field.name}`,
+          type: field.type === 'address' ? 'text' : 'number',
+          placeholder: field.type === 'address' ? '0x...' : '',
+          ...(field.type === 'integer' ? { min: String(field.min), max: String(field.max), step: '1' } : {}),
+          ...(field.type === 'ether' ? { min: '0', step: 'any' } : {})
+        });
+      // 확인 후 입력값이 바뀌면 검토를 다시 하도록 확인 단계를 닫음
+      input.addEventListener('input', closeAdminConfirm);
+      container.appendChild(input);
+    });
+  }
+
+  async function reviewAdminAction() {
+    if (!state.isConnected || !state.signer) {
+      return showNotification(t('common.connectFirst'), 'warn');
+    }
+    const action = getSelectedAdminAction();
+    let values;
+    try {
+      values = readAdminValues(action);
+    } catch (error) {
+      return showNotification(error.message, 'warn');
+    }
+    const key = resolveAdminContract(action, values);
+    if (!adminState.owned.has(key)) {
+      return showNotification(t('admin.notOwner', { contract: ADMIN_CONTRACTS[key].name }), 'warn');
+    }
+    try {
+      const current = await action.current(getAdminContract(key, state.provider), values);
+      adminState.pending = { action, values, key };
+      renderAdminConfirm(current, action.next(values));
+    } catch (error) {
+      console.error('관리자 작업 조회 오류:', error);
+      showNotification(t('common.error', { message: describeError(error) }), 'error');
+    }
+  }
+
+  function renderAdminConfirm(current, next) {
+    const { action, key } = adminState.pending;
+    const unchanged = current === next;
+    const box = document.getElementById('adminConfirm');
+    box.innerHTML = '';
+    box.appendChild(el('div', { class: 'label' }, [adminActionLabel(action)]));
+    box.appendChild(el('div', { class: 'kv' }, [ el('div', {}, [t('admin.targetContract')]), el('div', { class: 'badge' }, [ADMIN_CONTRACTS[key].name]) ]));
+    box.appendChild(el('div', { class: 'kv' }, [ el('div', {}, [t('admin.current')]), el('div', { class: 'badge' }, [current]) ]));
+    box.appendChild(el('div', { class: 'kv' }, [ el('div', {}, [t('admin.next')]), el('div', { class: unchanged ? 'badge' : 'badge warn' }, [next]) ]));
+    if (action.note) {
+      box.appendChild(el('div', { class: 'badge', style: 'font-size:11px; margin-top:8px;' }, [t(action.note)]));
+    }
+    if (unchanged) {
+      box.appendChild(el('div', { class: 'badge err', style: 'margin-top:8px;' }, [t('admin.unchanged')]));
+    }
+    const confirmBtn = el('button', { class: 'btn danger', id: 'adminConfirmBtn', style: 'flex:1;', onclick: executeAdminAction }, [t('admin.confirm')]);
+    confirmBtn.disabled = unchanged;
+    box.appendChild(el('div', { class: 'row', style: 'margin-top:12px;' }, [
+      confirmBtn,
+      el('button', { class: 'btn ghost', style: 'flex:1;', onclick: closeAdminConfirm }, [t('admin.cancel')])
+    ]));
+    box.style.display = 'block';
+  }
+
+  function closeAdminConfirm() {
+    adminState.pending = null;
+    const box = document.getElementById('adminConfirm');
+    box.innerHTML = '';
+    box.style.display = 'none';
+  }
+
+  async function executeAdminAction() {
+    if (!adminState.pending) return;
+    const { action, values, key } = adminState.pending;
+    const confirmBtn = document.getElementById('adminConfirmBtn');
+    try {
+      confirmBtn.disabled = true;
+      const tx = await action.send(getAdminContract(key, state.signer), values);
+      const receipt = await trackTransaction(tx, `admin:${action.id}`, adminActionLabel(action));
+      if (receipt.status === 1) {
+        showNotification(t('admin.done', { action: adminActionLabel(action) }), 'success');
+        closeAdminConfirm();
+        if (action.after) action.after(values);
+      } else {
+        throw new Error(t('common.txFailed'));
+      }
+    } catch (error) {
+      console.error('관리자 작업 오류:', error);
+      showNotification(t('common.error', { message: describeError(error) }), 'error');
+      confirmBtn.disabled = false;
     }
-    const selectedRangeText = state.selectedRange === 0 ? 'auto' : state.selectedRange.toString();
-    document.getElementById('selectedRangeBps').textContent = selectedRangeText;
-    const baseApr = 5.2;
-    const leverageMultiplier = state.leverage / 10000;
-    const expectedApr = (baseApr * leverageMultiplier).toFixed(1);
-    document.getElementById('expectedApr').textContent = `${expectedApr}% APR`;
-    let riskLevel = '낮음'; let riskClass = 'ok';
-    if (state.leverage >= 30000) { riskLevel = '높음'; riskClass = 'err'; } 
-    else if (state.leverage >= 20000) { riskLevel = '중간'; riskClass = 'warn'; }
-    const riskEl = document.getElementById('riskLevel');
-    riskEl.textContent = riskLevel;
-    riskEl.className = `badge ${riskClass}`;
   }
 
   // ---------- 이벤트 리스너 설정 (수정된 버전) ----------
 function setupEventListeners() {
     // 레버리지 슬라이더 및 버튼
     document.getElementById('leverageSlider').addEventListener('input', (e) => {
-      state.leverage = parseInt(e.target.value);
-      document.getElementById('leverageValue').textContent = `${(state.leverage / 10000).toFixed(1)}x`;
-      document.querySelectorAll('.lev-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.lev === e.target.value));
-      updatePreview();
+      setLeverage(parseInt(e.target.value));
     });
     document.querySelectorAll('.lev-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const value = btn.dataset.lev;
-        document.getElementById('leverageSlider').value = value;
-        state.leverage = parseInt(value);
-        document.getElementById('leverageValue').textContent = `${(state.leverage / 10000).toFixed(1)}x`;
-        document.querySelectorAll('.lev-btn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        updatePreview();
-      });
+      btn.addEventListener('click', () => setLeverage(parseInt(btn.dataset.lev)));
     });
 
+    // 자산 페어 선택
+    document.getElementById('assetPair').addEventListener('change', (e) => selectAsset(e.target.value));
+
     // 가격 범위 슬라이더
     document.getElementById('rangeSlider').addEventListener('input', (e) => {
       const value = parseInt(e.target.value);
       state.selectedRange = value; // state.selectedRange에 직접 값을 할당
-      
-      // 자동 최적화(0)인 경우, 계산된 값을 사용하도록 상태 업데이트
-      if (value === 0) {
-        state.allowedRangeBps = calculateOptimalRange ? calculateOptimalRange() : 2500;
-      }
-      
+      // 허용 범위(allowedRangeBps)는 previewOpenPosition 결과로 갱신됩니다.
       updatePreview();
       updateRangeChartAnnotations();
     });
@@ -949,6 +3727,98 @@ function setupEventListeners() {
 
     // 담보 금액 입력
     document.getElementById('collateralAmount').addEventListener('input', updatePreview);
+
+    // 렌딩 풀 금액 입력
+    document.getElementById('lendAmount').addEventListener('input', updateWithdrawWarning);
+
+    // 네트워크 선택 (사용자 RPC는 입력 폼을 먼저 보여줌)
+    document.getElementById('networkSelect').addEventListener('change', (e) => {
+      const key = e.target.value;
+      const custom = loadCustomNetwork();
+      if (key === 'custom') {
+        document.getElementById('customRpcForm').style.display = 'flex';
+        if (custom) {
+          document.getElementById('customRpcUrl').value = custom.rpcUrls[0];
+          document.getElementById('customChainId').value = custom.chainId;
+          document.getElementById('customChainName').value = custom.chainName;
+          document.getElementById('customCurrencySymbol').value = custom.nativeCurrency.symbol;
+        }
+        return;
+      }
+      switchNetwork(key);
+    });
+    document.getElementById('customRpcApply').addEventListener('click', applyCustomNetwork);
+
+    // 주소 조회 (읽기 전용)
+    document.getElementById('viewAddressBtn').addEventListener('click', applyViewAddress);
+    document.getElementById('viewAddressInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') applyViewAddress();
+    });
+
+    // 언어 선택
+    const languageSelect = document.getElementById('languageSelect');
+    languageSelect.value = i18n.locale;
+    languageSelect.addEventListener('change', (e) => setLocale(e.target.value));
+
+    // 승인 방식 (정확한 금액 / 무제한)
+    const approvalMode = document.getElementById('approvalMode');
+    approvalMode.value = allowanceState.mode;
+    approvalMode.addEventListener('change', (e) => {
+      allowanceState.mode = e.target.value;
+      localStorage.setItem(APPROVAL_MODE_STORAGE_KEY, allowanceState.mode);
+    });
+
+    // 관리자 콘솔 작업 선택
+    document.getElementById('adminAction').addEventListener('change', renderAdminFields);
+
+    // 거래량/수수료 차트 시간 창 (1h / 24h / 7d)
+    document.querySelectorAll('.window-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        chartState.window = btn.dataset.window;
+        document.querySelectorAll('.window-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        renderVolumeFeeChart();
+      });
+    });
+  }
+
+  // ---------- 오류 해석 (pillar-errors.js) ----------
+  // revert 문자열·커스텀 오류·지갑 오류 코드를 설명과 해결 방법으로 바꿉니다. deploy.js도 같은 카탈로그를 사용합니다.
+  let errorDecoder = null;
+  let errorInterfaces = null;
+
+  async function loadErrorDecoder() {
+    const url = window.PILLAR_ERRORS_URL || new URL('pillar-errors.js', SCRIPT_URL).href;
+    try {
+      return await import(url);
+    } catch (error) {
+      throw new Error(t('bootstrap.errorsLoadFailed', { url, error: error.message }));
+    }
+  }
+
+  // 커스텀 오류 해석용 Interface (ethers 로드 후 처음 사용할 때 생성)
+  function getErrorInterfaces() {
+    if (!errorInterfaces) {
+      errorInterfaces = Object.values(frontendConfig.abis).map(abi => new window.ethers.Interface(abi));
+    }
+    return errorInterfaces;
+  }
+
+  function formatDecodedError(decoded) {
+    return decoded.hint ? `${decoded.message} ${decoded.hint}` : decoded.message;
+  }
+
+  /**
+   * 트랜잭션/호출 오류를 알림 문구로 변환
+   * 카탈로그에 없는 오류는 revert 문자열이나 원래 메시지를 그대로 보여줍니다.
+   */
+  function describeError(error) {
+    return formatDecodedError(errorDecoder.decodeContractError(error, { interfaces: getErrorInterfaces(), locale: i18n.locale }));
+  }
+
+  // previewOpenPosition이 돌려주는 사유 문자열 (예: "Exceeds tier leverage limit")
+  function describeRevertReason(reason) {
+    return errorDecoder.decodeContractError({ reason }, { locale: i18n.locale }).message;
   }
 
   // ---------- 알림 시스템 ----------
@@ -973,6 +3843,9 @@ function setupEventListeners() {
   async function bootstrap() {
     try {
       console.log('Pillar Protocol 부트스트랩 시작...');
+      await loadMessages();
+      applyFrontendConfig(await loadFrontendConfig());
+      errorDecoder = await loadErrorDecoder();
       injectStyles();
       createUI();
 
@@ -986,11 +3859,12 @@ function setupEventListeners() {
       });
 
       await waitForEthers();
+      assertAbiCoverage();
       
       const connectBtn = document.getElementById('connectBtn');
       if (connectBtn) {
         connectBtn.disabled = false;
-        connectBtn.textContent = '지갑 연결';
+        connectBtn.textContent = t('wallet.connect');
       }
       
       setupEventListeners();
@@ -998,20 +3872,24 @@ function setupEventListeners() {
       initializeCharts();
       await initializeWalletConnection();
       
-      // 포지션 모듈 초기화 및 PnL 업데이트 인터벌 설정
+      // 포지션 모듈 초기화 및 헬스 모니터링 인터벌 설정
       initializePositionModule();
-      setInterval(updatePositionPnL, 30000);
+      setInterval(updatePositionHealth, 30000);
+      setInterval(loadLendingData, 15000);
+      setInterval(pollPrice, 15000);
 
       console.log('Pillar Protocol 준비 완료!');
       
-      if (window.ethereum && !state.isConnected) {
-        setTimeout(() => showNotification('지갑을 연결하여 Pillar Protocol을 시작하세요', 'info'), 1000);
+      if (listWallets().length > 0 && !state.isConnected) {
+        setTimeout(() => showNotification(t('bootstrap.connectPrompt'), 'info'), 1000);
       }
       
     } catch (error) {
       console.error('부트스트랩 오류:', error);
-      let errorMessage = `초기화 실패: ${error.message}`;
-      document.body.innerHTML = `<div style="color: #ef4444; padding: 40px; text-align: center; background: #0a0a0a; min-height: 100vh; font-family: -apple-system, BlinkMacSystemFont, sans-serif;"><h1 style="color: #60a5fa; margin-bottom: 20px;">🏛️ Pillar Protocol</h1><h2>초기화 오류</h2><p style="margin: 20px 0; color: #94a3b8;">${errorMessage}</p><button onclick="window.location.reload()" style="background: #3b82f6; color: white; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer; font-size: 14px; font-weight: 500;">페이지 새로고침</button></div>`;
+      // 메시지 카탈로그를 불러오지 못한 경우에도 보여줄 수 있도록 영어 문구로 대체
+      const text = (key, fallback, params) => (i18n.translate ? t(key, params) : fallback);
+      let errorMessage = text('bootstrap.failed', `Initialization failed: ${error.message}`, { error: error.message });
+      document.body.innerHTML = `<div style="color: #ef4444; padding: 40px; text-align: center; background: #0a0a0a; min-height: 100vh; font-family: -apple-system, BlinkMacSystemFont, sans-serif;"><h1 style="color: #60a5fa; margin-bottom: 20px;">🏛️ Pillar Protocol</h1><h2>${text('bootstrap.errorTitle', 'Initialization error')}</h2><p style="margin: 20px 0; color: #94a3b8;">${errorMessage}</p><button onclick="window.location.reload()" style="background: #3b82f6; color: white; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer; font-size: 14px; font-weight: 500;">${text('bootstrap.reload', 'Reload page')}</button></div>`;
     }
   }
 
@@ -0,0 +1,53 @@
+import hre from "hardhat";
+import { auditDeployment, expectationsFromConfig, formatAuditTable } from "./config-audit.js";
+import { getManifestPath, loadManifest } from "./deploy-manifest.js";
+import { loadDeployMessages } from "./deploy-messages.js";
+
+const { ethers } = hre;
+const { t } = loadDeployMessages();
+
+/*
+ * 배포 설정 감사 (verify-config)
+ *
+ * deployments/<network>.json에 기록된 배포와 배포 설정을 읽어 컨트랙트 간 연결, 렌딩 자산과 이자율 모델,
+ * 자산 등급, 레버리지-범위 매트릭스, 티어 요구사항, 청산 임계값, treasury/보험 기금, 오라클 업데이터 권한,
+ * 컨트랙트 소유자, 일시 정지 상태를 확인합니다. JSON 보고서와 표를 출력하고, 하나라도 불일치하면 종료 코드 1로 끝납니다.
+ *
+ * 실행 예:
+ *   npx hardhat run verify-config.js --network localhost
+ */
+
+async function main() {
+  const { chainId } = await ethers.provider.getNetwork();
+  const manifest = await loadManifest(hre.network.name, Number(chainId));
+  if (!manifest.addresses) {
+    throw new Error(t('audit.noDeployment', { path: getManifestPath(hre.network.name) }));
+  }
+
+  const results = await auditDeployment(hre, manifest, expectationsFromConfig(ethers, manifest));
+  const failed = results.filter((result) => !result.pass);
+  const report = {
+    network: hre.network.name,
+    chainId: Number(chainId),
+    checkedAt: new Date().toISOString(),
+    passed: results.length - failed.length,
+    failed: failed.length,
+    results
+  };
+
+  console.log(JSON.stringify(report, null, 2));
+  console.log('');
+  console.log(formatAuditTable(results));
+  console.log('');
+  console.log(failed.length === 0
+    ? `✅ ${t('audit.reportPassed', { count: results.length })}`
+    : `❌ ${t('audit.reportFailed', { failed: failed.length, count: results.length })}`);
+  return failed.length === 0;
+}
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error(`💥 ${t('audit.crashed')}`, error.message);
+    process.exit(1);
+  });